@@ -2,9 +2,17 @@
  * Demo HMI Live Simulator
  * - Reads optional layout.json to collect tag IDs
  * - Seeds defaults based on tag name patterns
+ * - Derives robots/feedpoints/stations/VFDs/... from componentsRegistry
+ *   (optionally loaded with --registry <file> or HMI_REGISTRY)
  * - Produces live-changing values (booleans, counters, analogs with jitter)
  * - Implements TOHMI_CRC_Handshake: 1..300 every 1s, then 3s pause, repeat
+ *   (plus a beat for every other PLC in componentsRegistry `plcs`)
  * - Exposes your existing liveDataAPI endpoints for the mobile app
+ * - Pushes buffer changes to hmi-live as they happen (sources/changeFeed.js)
+ * - Optional OPC UA mode (--source=opcua or HMI_SOURCE=opcua) reads a real
+ *   server instead of the mock, configured by config/opcua.json
+ * - Optional scenario mode (--scenario <file|name>) replaces the random
+ *   animators with a repeatable scripted story (see sources/scenarioEngine.js)
  ****************************************************************************/
 
 // Core deps
@@ -17,7 +25,22 @@ const path = require('path');
 const SERVER_NAME = os.hostname();
 const socketPort = 5000;
 
-const componentsRegistry = {
+/** Read "--name=value" / "--name value" from argv */
+function argValue(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) return args[i + 1];
+    if (args[i].startsWith(`${name}=`)) return args[i].slice(name.length + 1);
+  }
+  return undefined;
+}
+
+// Data source: "mock" (in-memory animators) | "opcua" (node-opcua-client)
+const DATA_SOURCE = String(argValue('--source') || process.env.HMI_SOURCE || 'mock').toLowerCase();
+
+const { loadComponentsRegistry, buildTopology, listTopologyTags } = require('./sources/topology');
+
+const DEFAULT_REGISTRY = {
   SERVER_NAME,
   HEARTBEAT: 'TOHMI_CRC_Handshake',
   IIR: true,
@@ -37,14 +60,29 @@ const componentsRegistry = {
   LC_overriding: [],
   totalVFDs: 3,                
   blowerVFDs: [],              
-  stations_perFeedpoint: [[1]]
+  stations_perFeedpoint: [[1]],
+  totalPEs: 9,                  // simulator only: photoeyes TOHMI_PE1..N
+  // PLCs supervised by hmi-live (strategies: see liveDataAPI/plcComms.js); `tags` go stale
+  // while their PLC is lost (a PLC without `tags` serves every tag)
+  plcs: [
+    { id: 'plc1', name: 'Main PLC', tag: 'TOHMI_CRC_Handshake', strategy: 'counter-rollover', min: 1, max: 300, pauseMs: 3000, timeoutMs: 2500 },
+    { id: 'safety', name: 'Safety PLC', tag: 'TOHMI_SafetyPLC_Heartbeat', strategy: 'toggle', timeoutMs: 3000, tags: ['TOHMI_SafetyPLC_*', 'ALARM_ESTOP*', 'ALARM_R*_ESTOP'] }
+  ]
 };
 
+const componentsRegistry = loadComponentsRegistry(DEFAULT_REGISTRY, argValue('--registry') || process.env.HMI_REGISTRY);
+const topology = buildTopology(componentsRegistry);
+console.log(`Topology: ${topology.feedpoints.length} feedpoint(s), ${topology.robots.length} robot(s), ` +
+  `${topology.stations.length} station(s), ${topology.vfds.length} VFD(s).`);
+
 // --- Global data buffer -----------------------------------------------------
-const myDataAll = {};
-myDataAll['TOHMI_totalFeedpoints'] = componentsRegistry.stations_perFeedpoint.length;
-for (let i = 0; i < componentsRegistry.stations_perFeedpoint.length; i++) {
-  myDataAll[`TOHMI_Feedpoint${i + 1}_totalStations`] = componentsRegistry.stations_perFeedpoint[i].length;
+// Writes go through a change feed so hmi-live is pushed changes instead of polling
+const { createChangeFeed } = require('./sources/changeFeed');
+const dataFeed = createChangeFeed();
+const myDataAll = dataFeed.buffer;
+myDataAll['TOHMI_totalFeedpoints'] = topology.feedpoints.length;
+for (const fp of topology.feedpoints) {
+  myDataAll[`TOHMI_Feedpoint${fp.id}_totalStations`] = fp.stations.length;
 }
 
 // --- Helpers ----------------------------------------------------------------
@@ -154,7 +192,7 @@ function collectTagsFromLayout(layoutObj) {
   return [...tags];
 }
 
-// --- Items to monitor (fallback minimal set; layout will augment) ----------
+// --- Items to monitor (module + topology tags; layout will augment) --------
 let itemsToMonitor = [
   'TOHMI_CRC_Handshake',
   'TOHMI_Module1_autoMode',
@@ -163,26 +201,10 @@ let itemsToMonitor = [
   'TOHMI_Module1_dryRun',
   'TOHMI_Module1_activeAlarm',
   'TOHMI_Module1_activeWarning',
-  'TOHMI_R1_servoOn',
-  'TOHMI_R1_remoteMode',
-  'TOHMI_R1_Position',
-  'TOHMI_R1_currentSpeed',
-  'TOHMI_R1_liveCycle',
-  'TOHMI_R1_Timer',
-  'TOHMI_R1_dailyPicks',
-  'TOHMI_PE1',
-  'TOHMI_PE2',
-  'TOHMI_PE3',
   'ALARM_Server1_commLoss',
   'WARNING_Module1_manualMode',
-  'ALARM_VFD1_Fault',
-  'ALARM_VFD1_commLoss',
-  'TOHMI_VFD1_Start',
-  'TOHMI_VFD1_Fwd',
-  'TOHMI_VFD1_Volt',
-  'TOHMI_VFD1_Amp',
-  'TOHMI_VFD1_Freq',
-  'TOHMI_VFD1_Timer'
+  ...(Array.isArray(componentsRegistry.plcs) ? componentsRegistry.plcs.map(p => p.tag) : []),
+  ...listTopologyTags(topology)
 ];
 
 // Try to augment tags from layout.json if present
@@ -204,6 +226,20 @@ if (fs.existsSync(layoutPath)) {
 }
 
 // --- Seed data --------------------------------------------------------------
+const BASELINE_ALARMS = [
+  'ALARM_R1_Error', 'ALARM_R1_commLoss', 'ALARM_R1_remoteDisabled', 'ALARM_R1_productDropped', 'ALARM_R1_safeDrop', 'ALARM_R1_failedPick',
+  'ALARM_CSR1_Error', 'ALARM_CSR1_commLoss', 'ALARM_DI1_commLoss', 'ALARM_DO1_commLoss',
+  'WARNING_R1_safespeed',
+  'ALARM_ESTOP1', 'ALARM_airPressure1',
+  'ALARM_VFD1_Fault', 'ALARM_VFD2_Fault', 'ALARM_VFD3_Fault',
+  'ALARM_VFD1_commLoss', 'ALARM_VFD2_commLoss', 'ALARM_VFD3_commLoss',
+  'ALARM_Server1_commLoss',
+  'WARNING_Station1_containerAbsent', 'WARNING_Station1_removeContainer',
+  'ALARM_Station1_removeContainer', 'ALARM_Station1_containerAbsent',
+  'ALARM_Feedpoint1_queueFault', 'ALARM_Feedpoint2_queueFault', 'ALARM_Feedpoints_queueFault',
+  'WARNING_Module1_manualMode'
+];
+
 function seedMockData() {
   for (const tag of itemsToMonitor) {
     if (!(tag in myDataAll)) {
@@ -211,60 +247,76 @@ function seedMockData() {
     }
   }
 
-  // Seed VFDs 1..N because layout muestra 1..3
-  for (let i = 1; i <= componentsRegistry.totalVFDs; i++) {
-    myDataAll[`TOHMI_VFD${i}_Volt`]  = defaultValueForTag('X_Volt'); // 2300
-    myDataAll[`TOHMI_VFD${i}_Amp`]   = defaultValueForTag('X_Amp');  // 280
-    myDataAll[`TOHMI_VFD${i}_Freq`]  = defaultValueForTag('X_Freq'); // 600
-    myDataAll[`TOHMI_VFD${i}_Timer`] = 0;
+  // Alternate VFD run state so the conveyor page shows both states
+  for (const i of topology.vfds) {
     myDataAll[`TOHMI_VFD${i}_Start`] = i % 2;
-    myDataAll[`TOHMI_VFD${i}_Fwd`]   = 1;
-    myDataAll[`ALARM_VFD${i}_Fault`] = 0;
-    myDataAll[`ALARM_VFD${i}_commLoss`] = 0;
+    myDataAll[`TOHMI_VFD${i}_Timer`] = 0;
   }
 
-  // Station/Recipe sample values (visible in your layout)
-  myDataAll['Recipe_Feedpoint1_projectName'] = 'Demo Project A';
-  myDataAll['Recipe_Feedpoint1_currentLayer'] = 1;
-  myDataAll['Recipe_Feedpoint1_totalLayers'] = 6;
-  myDataAll['TOHMI_Feedpoint1_currentJob'] = 1;
-  myDataAll['Recipe_Feedpoint1_totalDropsAmount'] = 12;
-  myDataAll['Recipe_Feedpoint1_layerSeparator'] = 0;
-  myDataAll['Recipe_Feedpoint1_pickProductsAmount'] = 4;
-  myDataAll['Recipe_Feedpoint1_dropProductsAmount'] = 4;
-  myDataAll['TOHMI_Station1_totalStats'] = 0;
-  myDataAll['TOHMI_Station1_jobsDone'] = 0;
-  myDataAll['TOHMI_Station1_totalProducts'] = 0;
-
-  // Alarms referenced in alarm page start OFF
-  [
-    'ALARM_R1_Error','ALARM_R1_commLoss','ALARM_R1_remoteDisabled','ALARM_R1_productDropped','ALARM_R1_safeDrop','ALARM_R1_failedPick',
-    'ALARM_CSR1_Error','ALARM_CSR1_commLoss','ALARM_DI1_commLoss','ALARM_DO1_commLoss',
-    'WARNING_R1_safespeed',
-    'ALARM_ESTOP1','ALARM_airPressure1',
-    'ALARM_VFD1_Fault','ALARM_VFD2_Fault','ALARM_VFD3_Fault',
-    'ALARM_VFD1_commLoss','ALARM_VFD2_commLoss','ALARM_VFD3_commLoss',
-    'ALARM_Server1_commLoss',
-    'WARNING_Station1_containerAbsent','WARNING_Station1_removeContainer',
-    'ALARM_Station1_removeContainer','ALARM_Station1_containerAbsent',
-    'ALARM_Feedpoint1_queueFault','ALARM_Feedpoint2_queueFault','ALARM_Feedpoints_queueFault',
-    'WARNING_Module1_manualMode'
-  ].forEach(t => { if (!(t in myDataAll)) myDataAll[t] = 0; });
+  // Recipe sample values per feedpoint (projects A, B, C...)
+  for (const fp of topology.feedpoints) {
+    const n = fp.id;
+    myDataAll[`Recipe_Feedpoint${n}_projectName`] = `Demo Project ${String.fromCharCode(64 + ((n - 1) % 26) + 1)}`;
+    myDataAll[`Recipe_Feedpoint${n}_currentLayer`] = 1;
+    myDataAll[`Recipe_Feedpoint${n}_totalLayers`] = 6;
+    myDataAll[`TOHMI_Feedpoint${n}_currentJob`] = 1;
+    myDataAll[`Recipe_Feedpoint${n}_totalDropsAmount`] = 12;
+    myDataAll[`Recipe_Feedpoint${n}_layerSeparator`] = 0;
+    myDataAll[`Recipe_Feedpoint${n}_pickProductsAmount`] = 4;
+    myDataAll[`Recipe_Feedpoint${n}_dropProductsAmount`] = 4;
+  }
+
+  // Stations start empty
+  for (const st of topology.stations) {
+    myDataAll[`TOHMI_Station${st}_totalStats`] = 0;
+    myDataAll[`TOHMI_Station${st}_jobsDone`] = 0;
+    myDataAll[`TOHMI_Station${st}_totalProducts`] = 0;
+  }
 
-  // Photoeyes 1..9 used in indicators page
-  for (let i = 1; i <= 9; i++) {
-    const k = `TOHMI_PE${i}`;
-    if (!(k in myDataAll)) myDataAll[k] = 1;
+  // Servo drives available and running
+  for (const d of topology.servoDrives) {
+    myDataAll[`TOHMI_DR${d}_Status`] = 1;
+    myDataAll[`TOHMI_DR${d}_Avail`] = 1;
   }
+
+  // Baseline alarms of the stock alarm page start OFF whatever the registry declares
+  // (DI/DO modules, air pressure and the second feedpoint have no registry counter)
+  BASELINE_ALARMS.forEach(t => { if (!(t in myDataAll)) myDataAll[t] = 0; });
+}
+
+/** Alarms/warnings that blink randomly in the free-running demo */
+function randomAlarmTags() {
+  return [
+    ...topology.robots.flatMap(r => [`ALARM_R${r}_Error`, `ALARM_R${r}_productDropped`, `ALARM_R${r}_safeDrop`]),
+    ...topology.vfds.map(v => `ALARM_VFD${v}_Fault`),
+    ...topology.stations.map(st => `WARNING_Station${st}_containerAbsent`),
+    ...topology.lightCurtains.map(lc => `ALARM_LC${lc}_Blocked`),
+    ...topology.scanners.map(sc => `ALARM_LScanner${sc}`),
+    'ALARM_Server1_commLoss',
+    'WARNING_Module1_manualMode'
+  ];
 }
 
 // --- Live dynamics ----------------------------------------------------------
-/** Handshake: 1..300 every 1s, then wait 3s, repeat */
+/** Handshake: 1..300 every 1s, then wait 3s, repeat; other supervised PLCs beat every 1s */
 function startHandshake() {
   let hb = 1;
   let active = true;
   myDataAll[componentsRegistry.HEARTBEAT] = hb;
 
+  const others = (Array.isArray(componentsRegistry.plcs) ? componentsRegistry.plcs : [])
+    .filter(p => p && p.tag && p.tag !== componentsRegistry.HEARTBEAT);
+  setInterval(() => {
+    for (const p of others) {
+      if (p.strategy === 'timestamp') myDataAll[p.tag] = Date.now();
+      else if (p.strategy === 'toggle') myDataAll[p.tag] = flip01(myDataAll[p.tag]);
+      else {
+        const next = (Number(myDataAll[p.tag]) || 0) + 1;
+        myDataAll[p.tag] = p.max != null && next > p.max ? (p.min ?? 0) : next;
+      }
+    }
+  }, 1000);
+
   setInterval(() => {
     if (!active) return;
     hb++;
@@ -280,50 +332,58 @@ function startHandshake() {
 }
 
 /** Periodic small changes for analogs and toggles for digitals */
+const animatorTimers = [];
 function startValueAnimators() {
-   setInterval(() => {
+  if (animatorTimers.length) return;
+  const blinkingAlarms = randomAlarmTags();
+
+  animatorTimers.push(setInterval(() => {
     // Module modes / start-pause toggles to visualize UI changes
     myDataAll['TOHMI_Module1_autoMode'] = flip01(myDataAll['TOHMI_Module1_autoMode']);
     myDataAll['TOHMI_Module1_Start'] = flip01(myDataAll['TOHMI_Module1_Start']);
     myDataAll['TOHMI_Module1_Pause'] = flip01(myDataAll['TOHMI_Module1_Pause']);
 
     // Photoeyes pseudo-random blinks (not all at once)
-    for (let i = 1; i <= 9; i++) {
+    for (const i of topology.photoeyes) {
       if (Math.random() < 0.25) myDataAll[`TOHMI_PE${i}`] = flip01(myDataAll[`TOHMI_PE${i}`]);
     }
 
     // Robot live counters
-    myDataAll['TOHMI_R1_Timer'] = (myDataAll['TOHMI_R1_Timer'] || 0) + 1;
-    if (Math.random() < 0.5) myDataAll['TOHMI_R1_dailyPicks'] = (myDataAll['TOHMI_R1_dailyPicks'] || 0) + 1;
-    if (Math.random() < 0.3) myDataAll['TOHMI_R1_liveCycle'] = (myDataAll['TOHMI_R1_liveCycle'] || 0) + 1;
-
-    // Station/Recipe progress
-    if (Math.random() < 0.35) {
-      myDataAll['TOHMI_Station1_totalProducts'] = (myDataAll['TOHMI_Station1_totalProducts'] || 0) + 1;
+    for (const r of topology.robots) {
+      myDataAll[`TOHMI_R${r}_Timer`] = (myDataAll[`TOHMI_R${r}_Timer`] || 0) + 1;
+      if (Math.random() < 0.5) myDataAll[`TOHMI_R${r}_dailyPicks`] = (myDataAll[`TOHMI_R${r}_dailyPicks`] || 0) + 1;
+      if (Math.random() < 0.3) myDataAll[`TOHMI_R${r}_liveCycle`] = (myDataAll[`TOHMI_R${r}_liveCycle`] || 0) + 1;
     }
-    if (Math.random() < 0.15) {
-      myDataAll['TOHMI_Station1_jobsDone'] = (myDataAll['TOHMI_Station1_jobsDone'] || 0) + 1;
+
+    // Station progress
+    for (const st of topology.stations) {
+      if (Math.random() < 0.35) {
+        myDataAll[`TOHMI_Station${st}_totalProducts`] = (myDataAll[`TOHMI_Station${st}_totalProducts`] || 0) + 1;
+      }
+      if (Math.random() < 0.15) {
+        myDataAll[`TOHMI_Station${st}_jobsDone`] = (myDataAll[`TOHMI_Station${st}_jobsDone`] || 0) + 1;
+      }
     }
+
     // Current layer advances occasionally (wrap at totalLayers)
-    if (Math.random() < 0.08) {
-      const totalLayers = myDataAll['Recipe_Feedpoint1_totalLayers'] || 6;
-      const next = (myDataAll['Recipe_Feedpoint1_currentLayer'] || 1) + 1;
-      myDataAll['Recipe_Feedpoint1_currentLayer'] = next > totalLayers ? 1 : next;
+    for (const fp of topology.feedpoints) {
+      if (Math.random() < 0.08) {
+        const totalLayers = myDataAll[`Recipe_Feedpoint${fp.id}_totalLayers`] || 6;
+        const next = (myDataAll[`Recipe_Feedpoint${fp.id}_currentLayer`] || 1) + 1;
+        myDataAll[`Recipe_Feedpoint${fp.id}_currentLayer`] = next > totalLayers ? 1 : next;
+      }
     }
 
     // Randomize some warnings/alarms briefly
-    ['ALARM_R1_Error','ALARM_R1_productDropped','ALARM_R1_safeDrop','ALARM_VFD1_Fault',
-     'ALARM_VFD2_Fault','ALARM_VFD3_Fault','ALARM_Server1_commLoss',
-     'WARNING_Module1_manualMode','WARNING_Station1_containerAbsent'
-    ].forEach(tag => {
+    blinkingAlarms.forEach(tag => {
       if (Math.random() < 0.08) myDataAll[tag] = 1;
       if (Math.random() < 0.20) myDataAll[tag] = 0;
     });
-  }, 1500);
+  }, 1500));
 
   // Analog drift (1s): VFD metrics & robot speed
-  setInterval(() => {
-    for (let i = 1; i <= componentsRegistry.totalVFDs; i++) {
+  animatorTimers.push(setInterval(() => {
+    for (const i of topology.vfds) {
       const vKey = `TOHMI_VFD${i}_Volt`;
       const aKey = `TOHMI_VFD${i}_Amp`;
       const fKey = `TOHMI_VFD${i}_Freq`;
@@ -336,56 +396,151 @@ function startValueAnimators() {
     }
 
     // Robot speed fluctuates between 50..100
-    const sp = clamp(Math.round(jitter(myDataAll['TOHMI_R1_currentSpeed'] || 80, 0.1)), 50, 100);
-    myDataAll['TOHMI_R1_currentSpeed'] = sp;
-
-  }, 1000);
+    for (const r of topology.robots) {
+      const key = `TOHMI_R${r}_currentSpeed`;
+      myDataAll[key] = clamp(Math.round(jitter(myDataAll[key] || 80, 0.1)), 50, 100);
+    }
+  }, 1000));
 
-  setInterval(() => {
-    for (let i = 1; i <= componentsRegistry.totalVFDs; i++) {
+  animatorTimers.push(setInterval(() => {
+    for (const i of topology.vfds) {
       if (Math.random() < 0.35) myDataAll[`TOHMI_VFD${i}_Start`] = flip01(myDataAll[`TOHMI_VFD${i}_Start`]);
       if (Math.random() < 0.20) myDataAll[`TOHMI_VFD${i}_Fwd`] = flip01(myDataAll[`TOHMI_VFD${i}_Fwd`]);
     }
 
-    // Short commLoss spikes
-    if (Math.random() < 0.15) {
-      myDataAll['ALARM_VFD1_commLoss'] = 1;
-      setTimeout(() => (myDataAll['ALARM_VFD1_commLoss'] = 0), 1500);
+    // Servo drives drop out now and then
+    for (const d of topology.servoDrives) {
+      if (Math.random() < 0.2) myDataAll[`TOHMI_DR${d}_Status`] = flip01(myDataAll[`TOHMI_DR${d}_Status`]);
     }
-  }, 10000);
+
+    // Short commLoss spikes on a random VFD
+    if (topology.vfds.length && Math.random() < 0.15) {
+      const key = `ALARM_VFD${pick(topology.vfds)}_commLoss`;
+      myDataAll[key] = 1;
+      setTimeout(() => (myDataAll[key] = 0), 1500);
+    }
+  }, 10000));
+}
+
+/** Stop the random animators (a scenario takes over the mock buffer) */
+function stopValueAnimators() {
+  while (animatorTimers.length) clearInterval(animatorTimers.pop());
 }
 
+/** Apply an operator command (FRMHMI_*) to the mock buffer.
+ * The PLC would normally echo commands on the matching TOHMI_ status tag; mimic that here. */
+function writeMockData(tagId, value) {
+  myDataAll[tagId] = value;
+  const status = tagId.replace(/^FRMHMI_/, 'TOHMI_');
+  if (status !== tagId && status in myDataAll) myDataAll[status] = value;
+}
+
+// --- Scenario engine (mock mode only) ---------------------------------------
+const { createScenarioEngine, readScenarioFile } = require('./sources/scenarioEngine');
+const scenarioEngine = createScenarioEngine({ buffer: myDataAll });
+const SCENARIO_ARG = argValue('--scenario') || process.env.HMI_SCENARIO;
+
 // --- HTTP & API -------------------------------------------------------------
 const app = express();
 const serverAll = require('http').createServer(app);
 
+// OPC UA source (only in opcua mode); fills myDataAll with { value, ts }
+let opcuaSource = null;
+if (DATA_SOURCE === 'opcua') {
+  const { createOpcuaSource } = require('./sources/opcuaSource');
+  opcuaSource = createOpcuaSource({ buffer: myDataAll, tags: itemsToMonitor });
+}
+
 // Attach your existing API adapter
 const apiData = require('./liveDataAPI');
 try {
   apiData.attach(app, {
     // Must return a string
-    getOpcuaState: () => 'connected',
+    getOpcuaState: () => (opcuaSource ? opcuaSource.getState() : 'connected'),
     // Current buffer
     getAllData: () => myDataAll,
+    // Change notifications (mock and OPC UA both write through the feed)
+    onData: dataFeed.onData,
+    // Command write-back (POST /hmi-write)
+    writeData: (tagId, value) => (opcuaSource ? opcuaSource.write(tagId, value) : writeMockData(tagId, value)),
     // Static "registry"
-    getAllSettings: () => componentsRegistry
+    getAllSettings: () => componentsRegistry,
+    // socket.io transport (/hmi-ws) shares the HTTP server
+    server: serverAll
   });
   console.log('Initialized HMI API');
 } catch (err) {
   console.error('Failed to initialize HMI API:', err);
 }
 
+// Scenario control (registered after attach -> JWT protected like the rest)
+// POST /sim/scenario/load  body: { file: "<name>" } or an inline scenario object
+app.get('/sim/scenario', (_req, res) => res.json(scenarioEngine.getStatus()));
+app.post('/sim/scenario/load', express.json({ limit: '256kb' }), (req, res) => {
+  if (opcuaSource) return res.status(409).json({ error: 'scenarios are only available in mock mode' });
+  try {
+    const body = req.body || {};
+    const def = typeof body.file === 'string' ? readScenarioFile(body.file, { allowPaths: false }) : body;
+    return res.json(scenarioEngine.load(def));
+  } catch (e) {
+    return res.status(400).json({ error: 'invalid scenario', detail: e.message });
+  }
+});
+app.post('/sim/scenario/start', (_req, res) => {
+  try {
+    const status = scenarioEngine.start();
+    stopValueAnimators();
+    return res.json(status);
+  } catch (e) {
+    return res.status(409).json({ error: 'cannot start scenario', detail: e.message });
+  }
+});
+app.post('/sim/scenario/pause', (_req, res) => res.json(scenarioEngine.pause()));
+app.post('/sim/scenario/reset', (_req, res) => {
+  const status = scenarioEngine.reset();
+  // Back to the free-running demo when no scenario drives the buffer
+  if (!opcuaSource) startValueAnimators();
+  res.json(status);
+});
+
 // Root + static
 app.get('/', (_req, res) => res.send('HMI Demo Simulator is running.'));
 app.use(express.static(__dirname + '/'));
 
-// Start server
+// Start server; advertised over DNS-SD so ServerConnect can find this HMI.
+// Without a usable internal key no ServerConnect token would verify: stop here instead.
+try {
+  require('iir-shared/identity').checkInternalKeys();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+let stopAdvertising = null;
 serverAll.listen(socketPort, () => {
   console.log(`Server running. Listening on port ${socketPort}`);
+  stopAdvertising = require('./liveDataAPI/advertise').advertiseHmi({ port: socketPort });
 });
 
 // --- Boot sequence ----------------------------------------------------------
-seedMockData();
-startHandshake();
-startValueAnimators();
-console.info('Started in MOCK mode (layout-aware).');
+if (opcuaSource) {
+  opcuaSource.start().catch(err => console.error('OPC UA source failed to start:', err.message));
+  console.info(`Started in OPCUA mode (${itemsToMonitor.length} tags).`);
+} else if (SCENARIO_ARG) {
+  seedMockData();
+  startHandshake();
+  scenarioEngine.load(readScenarioFile(SCENARIO_ARG));
+  const { name } = scenarioEngine.start();
+  console.info(`Started in MOCK mode with scenario "${name}".`);
+} else {
+  seedMockData();
+  startHandshake();
+  startValueAnimators();
+  console.info('Started in MOCK mode (layout-aware).');
+}
+
+// Close the OPC UA session cleanly on Ctrl+C
+process.on('SIGINT', async () => {
+  if (opcuaSource) await opcuaSource.stop();
+  if (stopAdvertising) await new Promise(resolve => stopAdvertising(resolve));
+  process.exit(0);
+});
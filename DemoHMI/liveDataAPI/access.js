@@ -0,0 +1,69 @@
+/*****************************************************************************
+ * Role-based access for hmi-live (roles from the internal JWT `roles` claim)
+ * - layout.json pages and sections may carry `roles`: only those roles see them
+ * - A tag is visible when a visible page/section references it; hidden tags are
+ *   left out of /hmi-structure, snapshots, patches and history
+ * - meta.ndjson `writeRoles` / `ackRoles` restrict writes and alarm actions
+ * - A token without a `roles` claim is a system call (ServerConnect itself): unrestricted
+ ****************************************************************************/
+const { collectConcreteTags } = require('./registry');
+const { createIndex } = require('iir-shared/compactPatch');
+
+const ROLES = ['operator', 'engineer', 'admin'];
+
+/** Roles from JWT claims; null = unrestricted (no `roles` claim). A malformed claim grants no role. */
+function rolesOf(claims) {
+  if (!claims || claims.roles === undefined) return null;
+  return Array.isArray(claims.roles) ? claims.roles.filter(r => typeof r === 'string') : [];
+}
+
+/** Does `roles` satisfy an allow-list? No list (or unrestricted caller) = allowed. */
+function allows(list, roles) {
+  if (roles == null || !Array.isArray(list)) return true;
+  return list.some(r => roles.includes(r));
+}
+
+/** Layout without the pages/sections `roles` may not see. */
+function filterLayout(layout, roles) {
+  if (roles == null) return layout;
+  const pages = (layout.pages || [])
+    .filter(p => allows(p.roles, roles))
+    .map(p => (Array.isArray(p.sections) ? { ...p, sections: p.sections.filter(s => allows(s.roles, roles)) } : p));
+  return { ...layout, pages };
+}
+
+/**
+ * Per-role views of the current structure, cached until it is swapped on reload.
+ * view: { layout, tags (registry order), visible: Set|null (null = everything), index() for compact patches }
+ * @returns {(structure: Object, roles: string[]|null) => Object}
+ */
+function createAccessViews() {
+  let cacheFor = null;
+  const cache = new Map();        // "role,role" -> view
+
+  const withIndex = (view) => {
+    let index = null;
+    return { ...view, index: () => (index = index || createIndex(view.tags)) };
+  };
+
+  return function viewFor(structure, roles) {
+    if (cacheFor !== structure) {
+      cacheFor = structure;
+      cache.clear();
+    }
+    const key = roles == null ? '*' : [...new Set(roles)].sort().join(',');
+    if (!cache.has(key)) {
+      if (roles == null) {
+        cache.set(key, withIndex({ layout: structure.layout, tags: structure.registry.tags, visible: null }));
+      } else {
+        const layout = filterLayout(structure.layout, roles);
+        const referenced = new Set(collectConcreteTags(layout).map(e => e.tagId));
+        const tags = structure.registry.tags.filter(t => referenced.has(t));
+        cache.set(key, withIndex({ layout, tags, visible: new Set(tags) }));
+      }
+    }
+    return cache.get(key);
+  };
+}
+
+module.exports = { ROLES, rolesOf, allows, filterLayout, createAccessViews };
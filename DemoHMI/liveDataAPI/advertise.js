@@ -0,0 +1,27 @@
+/*****************************************************************************
+ * DNS-SD advertisement of hmi-live (_iirhmi._tcp) for ServerConnect's HMI registry
+ * TXT: id (HMI_ID, default hostname), name (HMI_NAME), port, wsPath
+ * MDNS_ENABLED=0 turns it off; MDNS_INTERFACE picks the multicast interface.
+ ****************************************************************************/
+const os = require('os');
+const { Bonjour } = require('bonjour-service');
+
+const SERVICE_TYPE = 'iirhmi';
+
+/**
+ * Advertise this hmi-live; returns stop(cb) (sends goodbye packets), or null when disabled.
+ * @param {{ port: number, wsPath?: string }} opts
+ * @returns {((cb?: Function) => void)|null}
+ */
+function advertiseHmi({ port, wsPath = process.env.HMI_WS_PATH || '/hmi-ws' }) {
+  if (process.env.MDNS_ENABLED === '0') return null;
+  const id = process.env.HMI_ID || os.hostname();
+  const name = process.env.HMI_NAME || `HMI ${id}`;
+  const opts = process.env.MDNS_INTERFACE ? { interface: process.env.MDNS_INTERFACE } : {};
+  const bonjour = new Bonjour(opts, (err) => console.warn(`[hmi-live] mDNS: ${err.message}`));
+  const service = bonjour.publish({ name, type: SERVICE_TYPE, port, txt: { id, name, port: String(port), wsPath } });
+  service.on('error', (err) => console.warn(`[hmi-live] mDNS advertise failed: ${err.message}`));
+  return (cb = () => {}) => bonjour.unpublishAll(() => bonjour.destroy(cb));
+}
+
+module.exports = { advertiseHmi, SERVICE_TYPE };
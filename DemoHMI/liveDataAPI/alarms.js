@@ -0,0 +1,258 @@
+/*****************************************************************************
+ * Alarm lifecycle engine for hmi-live
+ * - Tracks every ALARM_/WARNING_ tag the polling loop publishes:
+ *     normal -> active-unacked -> active-acked -> normal
+ *                     \-> cleared-unacked -(ack)-> normal
+ * - Severity from meta.ndjson `severity` (default: ALARM_ high, WARNING_ low)
+ * - Shelving hides an alarm from annunciation until it expires or is unshelved
+ * - configure() follows the registry: alarm tags that leave it are removed, new ones start normal
+ * - Every transition is appended to an NDJSON journal (ALARM_JOURNAL_FILE);
+ *   on start the journal is replayed so unacknowledged alarms survive a restart
+ ****************************************************************************/
+const fs = require('fs');
+const path = require('path');
+
+const ALARM_TAG_REGEX = /^(ALARM_|WARNING_)/;
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const DEFAULT_JOURNAL_FILE = path.join(__dirname, '../data/alarm-journal.ndjson');
+const JOURNAL_MAX = Number(process.env.ALARM_JOURNAL_MAX || 5000);
+const SHELVE_DEFAULT_MS = 60 * 60 * 1000;
+const SHELVE_MAX_MS = 24 * 60 * 60 * 1000;
+
+const isActiveValue = (v) => v != null && v !== '' && Number(v) !== 0 && v !== false;
+
+/** Severity for an alarm tag: meta.severity when valid, else by prefix. */
+function severityFor(tagId, meta) {
+  if (meta && SEVERITIES.includes(meta.severity)) return meta.severity;
+  return tagId.startsWith('WARNING_') ? 'low' : 'high';
+}
+
+/**
+ * Create the alarm engine.
+ * @param {{ resolveMeta: (tagId: string) => Object|null, onEvent?: (evt: Object) => void, file?: string|null }} opts
+ *   resolveMeta: meta lookup (label/description/severity); onEvent: called for every transition
+ */
+function createAlarmEngine({ resolveMeta, onEvent = () => {}, file = process.env.ALARM_JOURNAL_FILE || DEFAULT_JOURNAL_FILE }) {
+  const alarms = new Map();     // tagId -> alarm record
+  let journal = [];             // newest last, capped at JOURNAL_MAX
+  const filePath = file ? path.resolve(file) : null;
+
+  const blank = (tagId) => ({
+    tagId,
+    kind: tagId.startsWith('WARNING_') ? 'warning' : 'alarm',
+    state: 'normal',
+    active: false,
+    raisedAt: null,
+    clearedAt: null,
+    ackedAt: null,
+    ackedBy: null,
+    shelvedUntil: null,
+    shelvedBy: null
+  });
+
+  /** Public view: record + meta-derived fields (meta can change on hot reload). */
+  function view(rec) {
+    const meta = resolveMeta(rec.tagId) || {};
+    return {
+      ...rec,
+      severity: severityFor(rec.tagId, meta),
+      label: meta.label ?? rec.tagId,
+      description: meta.description ?? null,
+      shelved: rec.shelvedUntil != null
+    };
+  }
+
+  function append(entry) {
+    journal.push(entry);
+    if (journal.length > JOURNAL_MAX) journal = journal.slice(-JOURNAL_MAX);
+    if (filePath) {
+      fs.appendFile(filePath, JSON.stringify(entry) + '\n', (err) => {
+        if (err) console.warn(`[hmi-live] alarm journal append failed: ${err.message}`);
+      });
+    }
+  }
+
+  function transition(rec, event, ts, by = null, extra = {}) {
+    const alarm = view(rec);
+    append({ ts, event, tagId: rec.tagId, state: rec.state, severity: alarm.severity, by, ...extra });
+    try { onEvent({ event, ts, alarm }); } catch (_) {}
+    return alarm;
+  }
+
+  /** Replay the journal (last JOURNAL_MAX entries) and rewrite it compacted. */
+  function load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`[hmi-live] alarm journal unreadable: ${e.message}`);
+      return;
+    }
+    for (const l of raw.split('\n')) {
+      if (!l.trim()) continue;
+      try {
+        const e = JSON.parse(l);
+        if (typeof e.tagId === 'string' && Number.isFinite(e.ts)) journal.push(e);
+      } catch { /* torn last line after a crash */ }
+    }
+    journal = journal.slice(-JOURNAL_MAX);
+
+    for (const e of journal) {
+      if (e.event === 'remove') { alarms.delete(e.tagId); continue; }
+      const rec = alarms.get(e.tagId) || blank(e.tagId);
+      rec.state = e.state;
+      rec.active = e.state === 'active-unacked' || e.state === 'active-acked';
+      if (e.event === 'raise') { rec.raisedAt = e.ts; rec.clearedAt = null; rec.ackedAt = null; rec.ackedBy = null; }
+      if (e.event === 'clear') rec.clearedAt = e.ts;
+      if (e.event === 'ack') { rec.ackedAt = e.ts; rec.ackedBy = e.by ?? null; }
+      if (e.event === 'shelve') { rec.shelvedUntil = e.until ?? null; rec.shelvedBy = e.by ?? null; }
+      if (e.event === 'unshelve') { rec.shelvedUntil = null; rec.shelvedBy = null; }
+      alarms.set(e.tagId, rec);
+    }
+    try {
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, journal.map(e => JSON.stringify(e) + '\n').join(''));
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      console.warn(`[hmi-live] alarm journal compaction failed: ${e.message}`);
+    }
+  }
+
+  if (filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    load();
+  }
+
+  /** Feed one published value; returns the transition view or null. */
+  function update(tagId, value, ts = Date.now()) {
+    if (!ALARM_TAG_REGEX.test(tagId)) return null;
+    const rec = alarms.get(tagId) || blank(tagId);
+    alarms.set(tagId, rec);
+
+    const active = isActiveValue(value);
+    if (active === rec.active) return null;
+    rec.active = active;
+
+    if (active) {
+      rec.state = 'active-unacked';
+      rec.raisedAt = ts;
+      rec.clearedAt = null;
+      rec.ackedAt = null;
+      rec.ackedBy = null;
+      return transition(rec, 'raise', ts);
+    }
+    rec.clearedAt = ts;
+    rec.state = rec.state === 'active-acked' ? 'normal' : 'cleared-unacked';
+    return transition(rec, 'clear', ts);
+  }
+
+  /**
+   * Track exactly the alarm tags of `tagIds` (the registry, on start and on every reload).
+   * A removed alarm that was still listed goes out as a `remove` transition so clients drop it.
+   * @returns {string[]} removed tagIds
+   */
+  function configure(tagIds) {
+    const keep = new Set(tagIds.filter(t => ALARM_TAG_REGEX.test(t)));
+    const removed = [];
+    for (const rec of [...alarms.values()]) {
+      if (keep.has(rec.tagId)) continue;
+      alarms.delete(rec.tagId);
+      removed.push(rec.tagId);
+      if (rec.state === 'normal' && rec.shelvedUntil == null) continue;
+      rec.state = 'normal';
+      rec.active = false;
+      rec.shelvedUntil = null;
+      rec.shelvedBy = null;
+      transition(rec, 'remove', Date.now());
+    }
+    for (const t of keep) if (!alarms.has(t)) alarms.set(t, blank(t));
+    return removed;
+  }
+
+  /** Expire shelving; call periodically (polling loop). */
+  function tick(now = Date.now()) {
+    for (const rec of alarms.values()) {
+      if (rec.shelvedUntil != null && rec.shelvedUntil <= now) {
+        rec.shelvedUntil = null;
+        rec.shelvedBy = null;
+        transition(rec, 'unshelve', now, 'expired');
+      }
+    }
+  }
+
+  /**
+   * Acknowledge an alarm.
+   * @returns {{ alarm?: Object, error?: 'unknown'|'not-acknowledgeable' }}
+   */
+  function ack(tagId, by = null) {
+    const rec = alarms.get(tagId);
+    if (!rec) return { error: 'unknown' };
+    if (rec.state !== 'active-unacked' && rec.state !== 'cleared-unacked') return { error: 'not-acknowledgeable' };
+
+    const ts = Date.now();
+    rec.state = rec.state === 'active-unacked' ? 'active-acked' : 'normal';
+    rec.ackedAt = ts;
+    rec.ackedBy = by;
+    return { alarm: transition(rec, 'ack', ts, by) };
+  }
+
+  /**
+   * Shelve an alarm for durationMs (default 1 h, max 24 h).
+   * @returns {{ alarm?: Object, error?: 'unknown'|'invalid-duration' }}
+   */
+  function shelve(tagId, { durationMs = SHELVE_DEFAULT_MS, by = null } = {}) {
+    const rec = alarms.get(tagId);
+    if (!rec) return { error: 'unknown' };
+    const ms = Number(durationMs);
+    if (!Number.isFinite(ms) || ms <= 0 || ms > SHELVE_MAX_MS) return { error: 'invalid-duration' };
+
+    const ts = Date.now();
+    rec.shelvedUntil = ts + ms;
+    rec.shelvedBy = by;
+    return { alarm: transition(rec, 'shelve', ts, by, { until: rec.shelvedUntil }) };
+  }
+
+  /** @returns {{ alarm?: Object, error?: 'unknown'|'not-shelved' }} */
+  function unshelve(tagId, by = null) {
+    const rec = alarms.get(tagId);
+    if (!rec) return { error: 'unknown' };
+    if (rec.shelvedUntil == null) return { error: 'not-shelved' };
+    rec.shelvedUntil = null;
+    rec.shelvedBy = null;
+    return { alarm: transition(rec, 'unshelve', Date.now(), by) };
+  }
+
+  /** Current alarms (non-normal or shelved unless all=true), most severe and newest first. */
+  function list({ all = false } = {}) {
+    const rank = (s) => SEVERITIES.indexOf(s);
+    return [...alarms.values()]
+      .filter(r => all || r.state !== 'normal' || r.shelvedUntil != null)
+      .map(view)
+      .sort((a, b) => rank(a.severity) - rank(b.severity) || (b.raisedAt ?? 0) - (a.raisedAt ?? 0));
+  }
+
+  function counts() {
+    const out = { 'active-unacked': 0, 'active-acked': 0, 'cleared-unacked': 0, shelved: 0 };
+    for (const r of alarms.values()) {
+      if (r.state in out) out[r.state]++;
+      if (r.shelvedUntil != null) out.shelved++;
+    }
+    return out;
+  }
+
+  /** Journal entries in [from, to] (optionally one tag), newest first. */
+  function history({ from = 0, to = Date.now(), tagId = null, limit = 500 } = {}) {
+    const out = [];
+    for (let i = journal.length - 1; i >= 0 && out.length < limit; i--) {
+      const e = journal[i];
+      if (e.ts < from || e.ts > to) continue;
+      if (tagId && e.tagId !== tagId) continue;
+      out.push(e);
+    }
+    return out;
+  }
+
+  return { configure, update, tick, ack, shelve, unshelve, list, counts, history, isAlarmTag: (t) => ALARM_TAG_REGEX.test(t) };
+}
+
+module.exports = { createAlarmEngine, SEVERITIES };
@@ -0,0 +1,510 @@
+/*****************************************************************************
+ * Computed tags for hmi-live
+ * - A meta.ndjson template (or layout override) with `expr` is a computed tag: evaluated
+ *   from other tags on every poll and published like any tag (read-only)
+ *     {"tagId":"TOHMI_VFD#_Power","expr":"TOHMI_VFD#_Volt / 10 * TOHMI_VFD#_Amp / 100", ...}
+ *   The n-th `#` of a name in the expression is the concrete tag's n-th capture
+ * - The expression language is parsed here, never eval'd: numbers, 'strings', true/false/null,
+ *   tag names, + - * / %, < <= > >= == !=, && || !, ?:, parentheses and FUNCTIONS;
+ *   tags('ALARM_VFD*_Fault') is the list of values of the source and computed tags matching the glob
+ *   (other than the tag itself)
+ * - Computed tags may use other computed tags: they run in dependency order, and only when
+ *   an input changed (or they use rate()). Tags on a cycle read null with quality bad
+ * - Quality is the worst of the inputs' (bad when the expression fails); booleans are 1/0
+ ****************************************************************************/
+const { captureNumbers, resolveTagMeta } = require('./registry');
+
+const MAX_LENGTH = 1000;
+const MAX_DEPTH = 32;
+const QUALITY_RANK = { good: 0, uncertain: 1, stale: 2, bad: 3 };
+
+// ---------- Parser ----------
+const TOKEN_REGEX = /(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_#]*)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(&&|\|\||==|!=|<=|>=|[-+*/%<>!?:(),]))/y;
+
+/** Replace the n-th `#` of a name with the n-th capture (throws when there is none). */
+function applyHashes(name, caps) {
+  let i = 0;
+  return name.replace(/#/g, () => {
+    if (i >= caps.length) throw new Error(`no template capture for "#" in ${name}`);
+    return caps[i++];
+  });
+}
+
+/** Split an expression into tokens: { t: 'num'|'name'|'str'|'op', v, pos }. */
+function tokenize(src, caps) {
+  const tokens = [];
+  let pos = 0;
+  for (;;) {
+    while (/\s/.test(src[pos] || '')) pos++;
+    if (pos >= src.length) break;
+    TOKEN_REGEX.lastIndex = pos;
+    const m = TOKEN_REGEX.exec(src);
+    if (!m) throw new Error(`unexpected "${src[pos]}" at ${pos}`);
+    const at = pos;
+    if (m[1] !== undefined) tokens.push({ t: 'num', v: Number(m[1]), pos: at });
+    else if (m[2] !== undefined) tokens.push({ t: 'name', v: applyHashes(m[2], caps), pos: at });
+    else if (m[3] !== undefined || m[4] !== undefined) {
+      tokens.push({ t: 'str', v: applyHashes((m[3] ?? m[4]).replace(/\\(.)/g, '$1'), caps), pos: at });
+    } else tokens.push({ t: 'op', v: m[5], pos: at });
+    pos = TOKEN_REGEX.lastIndex;
+  }
+  return tokens;
+}
+
+const BINARY_LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+/**
+ * Parse an expression into an AST (throws Error with the position on syntax errors).
+ * @param {string} src
+ * @param {string[]} [caps] template captures for `#`
+ */
+function parseExpression(src, caps = []) {
+  if (typeof src !== 'string' || !src.trim()) throw new Error('empty expression');
+  if (src.length > MAX_LENGTH) throw new Error(`expression longer than ${MAX_LENGTH} characters`);
+  const tokens = tokenize(src, caps);
+  let i = 0;
+  let depth = 0;
+
+  const peek = () => tokens[i];
+  const isOp = (v) => tokens[i] && tokens[i].t === 'op' && tokens[i].v === v;
+  const fail = (msg) => {
+    throw new Error(`${msg} at ${tokens[i] ? tokens[i].pos : src.length}`);
+  };
+  const expect = (v) => {
+    if (!isOp(v)) fail(`expected "${v}"`);
+    i++;
+  };
+  const nested = (fn) => {
+    if (++depth > MAX_DEPTH) fail(`nested deeper than ${MAX_DEPTH}`);
+    const node = fn();
+    depth--;
+    return node;
+  };
+
+  function binary(level) {
+    if (level === BINARY_LEVELS.length) return unary();
+    let left = binary(level + 1);
+    while (peek() && peek().t === 'op' && BINARY_LEVELS[level].includes(peek().v)) {
+      const op = tokens[i++].v;
+      left = { type: 'binary', op, left, right: binary(level + 1) };
+    }
+    return left;
+  }
+
+  function conditional() {
+    return nested(() => {
+      const test = binary(0);
+      if (!isOp('?')) return test;
+      i++;
+      const then = conditional();
+      expect(':');
+      return { type: 'cond', test, then, else: conditional() };
+    });
+  }
+
+  function unary() {
+    if (isOp('!') || isOp('-')) {
+      const op = tokens[i++].v;
+      return nested(() => ({ type: 'unary', op, arg: unary() }));
+    }
+    return primary();
+  }
+
+  function primary() {
+    const tok = peek();
+    if (!tok) fail('unexpected end');
+    i++;
+    if (tok.t === 'num' || tok.t === 'str') return { type: 'lit', value: tok.v };
+    if (tok.t === 'op' && tok.v === '(') {
+      const node = conditional();
+      expect(')');
+      return node;
+    }
+    if (tok.t !== 'name') {
+      i--;
+      fail(`unexpected "${tok.v}"`);
+    }
+    if (tok.v === 'true' || tok.v === 'false') return { type: 'lit', value: tok.v === 'true' };
+    if (tok.v === 'null') return { type: 'lit', value: null };
+    if (!isOp('(')) return { type: 'tag', tagId: tok.v };
+
+    // Function call
+    if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, tok.v)) {
+      i--;
+      fail(`unknown function "${tok.v}"`);
+    }
+    i++;
+    const args = [];
+    while (!isOp(')')) {
+      if (args.length) expect(',');
+      args.push(conditional());
+    }
+    expect(')');
+    const fn = FUNCTIONS[tok.v];
+    if (args.length < fn.min || args.length > (fn.max ?? Infinity)) {
+      i--;
+      fail(`${tok.v}() takes ${fn.max === fn.min ? fn.min : `${fn.min}..${fn.max ?? 'n'}`} argument(s)`);
+    }
+    if (tok.v === 'tags' && args[0].type !== 'lit') fail('tags() needs a literal glob');
+    return { type: 'call', name: tok.v, args };
+  }
+
+  const ast = conditional();
+  if (i < tokens.length) fail(`unexpected "${tokens[i].v}"`);
+  return ast;
+}
+
+// ---------- Evaluation ----------
+/** Number from a tag value (booleans 1/0, numeric strings); null when there is none. */
+function toNum(v) {
+  if (v == null || v === '') return null;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (Array.isArray(v)) throw new Error('a tags() list needs an aggregate (sum, any, ...)');
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+const truthy = (v) => (v == null ? null : typeof v === 'string' ? v !== '' && v !== '0' : toNum(v) !== 0);
+const flat = (args) => args.flat().filter(v => v != null);
+const nums = (args) => flat(args).map(toNum).filter(n => n != null);
+
+/** rate() state: the samples of one call site over its window. */
+function rate(state, value, perMs = 1000, windowMs = 60000, now) {
+  const v = toNum(value);
+  if (v == null) return null;
+  const samples = state.samples || (state.samples = []);
+  const last = samples[samples.length - 1];
+  if (last && v < last.v) samples.length = 0;              // counter reset
+  if (!samples.length || v !== samples[samples.length - 1].v) samples.push({ ts: now, v });
+  // Keep one sample at or before the window start as the baseline
+  while (samples.length > 1 && samples[1].ts <= now - windowMs) samples.shift();
+  const from = Math.max(samples[0].ts, now - windowMs);
+  const elapsed = now - from;
+  return elapsed < 1000 ? null : ((v - samples[0].v) / elapsed) * perMs;
+}
+
+// name -> { min, max?, fn(args) } (argument counts are checked when parsing)
+const FUNCTIONS = {
+  abs: { min: 1, max: 1, fn: ([x]) => (toNum(x) == null ? null : Math.abs(toNum(x))) },
+  floor: { min: 1, max: 1, fn: ([x]) => (toNum(x) == null ? null : Math.floor(toNum(x))) },
+  ceil: { min: 1, max: 1, fn: ([x]) => (toNum(x) == null ? null : Math.ceil(toNum(x))) },
+  round: {
+    min: 1,
+    max: 2,
+    fn: ([x, digits = 0]) => {
+      const n = toNum(x);
+      const f = 10 ** (toNum(digits) || 0);
+      return n == null ? null : Math.round(n * f) / f;
+    }
+  },
+  clamp: {
+    min: 3,
+    max: 3,
+    fn: ([x, lo, hi]) => (toNum(x) == null ? null : Math.min(toNum(hi) ?? Infinity, Math.max(toNum(lo) ?? -Infinity, toNum(x))))
+  },
+  min: { min: 1, fn: (args) => (nums(args).length ? Math.min(...nums(args)) : null) },
+  max: { min: 1, fn: (args) => (nums(args).length ? Math.max(...nums(args)) : null) },
+  sum: { min: 1, fn: (args) => nums(args).reduce((a, b) => a + b, 0) },
+  avg: { min: 1, fn: (args) => (nums(args).length ? nums(args).reduce((a, b) => a + b, 0) / nums(args).length : null) },
+  count: { min: 1, fn: (args) => flat(args).filter(truthy).length },
+  any: { min: 1, fn: (args) => flat(args).some(truthy) },
+  all: { min: 1, fn: (args) => flat(args).length > 0 && flat(args).every(truthy) },
+  bit: { min: 2, max: 2, fn: ([x, n]) => (toNum(x) == null || toNum(n) == null ? null : (Math.trunc(toNum(x)) >>> toNum(n)) & 1) },
+  tags: { min: 1, max: 1, fn: () => [] },           // resolved in evaluate()
+  rate: { min: 1, max: 3, fn: () => null }          // stateful, resolved in evaluate()
+};
+
+/** Tag references and tags() globs of an AST; `timed` when it uses rate(). */
+function collectRefs(node, out = { tags: new Set(), globs: new Set(), timed: false }) {
+  if (node.type === 'tag') out.tags.add(node.tagId);
+  else if (node.type === 'call') {
+    if (node.name === 'tags') out.globs.add(String(node.args[0].value));
+    if (node.name === 'rate') out.timed = true;
+    for (const a of node.args) collectRefs(a, out);
+  } else if (node.type === 'unary') collectRefs(node.arg, out);
+  else if (node.type === 'binary') {
+    collectRefs(node.left, out);
+    collectRefs(node.right, out);
+  } else if (node.type === 'cond') {
+    collectRefs(node.test, out);
+    collectRefs(node.then, out);
+    collectRefs(node.else, out);
+  }
+  return out;
+}
+
+/**
+ * Evaluate an AST. ctx: { read(tagId) -> value, glob(pattern) -> values[], state: WeakMap, now }
+ */
+function evaluate(node, ctx) {
+  switch (node.type) {
+    case 'lit':
+      return node.value;
+    case 'tag':
+      return ctx.read(node.tagId);
+    case 'unary': {
+      const v = evaluate(node.arg, ctx);
+      if (node.op === '!') return v == null ? null : !truthy(v);
+      return toNum(v) == null ? null : -toNum(v);
+    }
+    case 'cond': {
+      const test = truthy(evaluate(node.test, ctx));
+      return test == null ? null : evaluate(test ? node.then : node.else, ctx);
+    }
+    case 'call': {
+      if (node.name === 'tags') return ctx.glob(String(node.args[0].value));
+      const args = node.args.map(a => evaluate(a, ctx));
+      if (node.name === 'rate') {
+        if (!ctx.state.has(node)) ctx.state.set(node, {});
+        return rate(ctx.state.get(node), args[0], args[1] == null ? undefined : toNum(args[1]), args[2] == null ? undefined : toNum(args[2]), ctx.now);
+      }
+      return FUNCTIONS[node.name].fn(args);
+    }
+    case 'binary':
+      return binaryOp(node, ctx);
+    default:
+      throw new Error(`unknown node ${node.type}`);
+  }
+}
+
+function binaryOp(node, ctx) {
+  const { op } = node;
+  if (op === '&&' || op === '||') {
+    const l = truthy(evaluate(node.left, ctx));
+    if (op === '&&' && l === false) return false;
+    if (op === '||' && l === true) return true;
+    const r = truthy(evaluate(node.right, ctx));
+    if (l == null || r == null) return null;
+    return r;
+  }
+  const a = evaluate(node.left, ctx);
+  const b = evaluate(node.right, ctx);
+  if (op === '==' || op === '!=') {
+    const same = a == null || b == null ? a == b
+      : toNum(a) != null && toNum(b) != null ? toNum(a) === toNum(b) : String(a) === String(b);
+    return op === '==' ? same : !same;
+  }
+  // + joins text (anything that isn't a number)
+  const isText = (v) => typeof v === 'string' && toNum(v) == null;
+  if (op === '+' && (isText(a) || isText(b))) return b == null || a == null ? null : `${a}${b}`;
+  const x = toNum(a);
+  const y = toNum(b);
+  if (x == null || y == null) return null;
+  switch (op) {
+    case '+': return x + y;
+    case '-': return x - y;
+    case '*': return x * y;
+    case '/': return y === 0 ? null : x / y;
+    case '%': return y === 0 ? null : x % y;
+    case '<': return x < y;
+    case '<=': return x <= y;
+    case '>': return x > y;
+    case '>=': return x >= y;
+    default: throw new Error(`unknown operator ${op}`);
+  }
+}
+
+/** Published form of a result: booleans 1/0, non-finite numbers null; lists are an error. */
+function toTagValue(v) {
+  if (Array.isArray(v)) throw new Error('expression returns a tags() list');
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  return v ?? null;
+}
+
+/** RegExp for a tags() glob (`*` = any run of characters). */
+function globRegex(glob) {
+  const escaped = String(glob).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + escaped.replace(/\*/g, '.*') + '$');
+}
+
+// ---------- Engine ----------
+/**
+ * Create the computed-tag engine.
+ * @returns {{ configure, evaluate, has, read, getStats }}
+ */
+function createComputedTags() {
+  let tags = new Map();         // tagId -> { tagId, expr, ast, refs, error, cycle, published, state, inputs, out }
+  let order = [];               // evaluation order (dependencies first)
+  const globCache = new Map();  // glob -> { regex, size, matches }
+
+  /** Template captures of a concrete tag (its first matching meta.ndjson template). */
+  function capturesOf(tagId, widgetsMap) {
+    for (const tplId of widgetsMap.keys()) {
+      const caps = captureNumbers(tagId, tplId);
+      if (caps) return caps;
+    }
+    return [];
+  }
+
+  function compile(tagId, meta, widgetsMap) {
+    const entry = { tagId, expr: meta.expr, ast: null, refs: null, error: null, cycle: null, published: false, state: new WeakMap(), inputs: null, out: null };
+    try {
+      entry.ast = parseExpression(String(meta.expr), capturesOf(tagId, widgetsMap));
+      entry.refs = collectRefs(entry.ast);
+    } catch (e) {
+      entry.error = e.message;
+    }
+    return entry;
+  }
+
+  /**
+   * (Re)build from a structure: registry tags with `expr` and the computed tags they use.
+   * Entries whose expression did not change keep their state (rate() windows, last value).
+   * @param {{ tags: string[], metaByTag: Map }} registry
+   * @param {Map} widgetsMap
+   */
+  function configure(registry, widgetsMap) {
+    const prev = tags;
+    const next = new Map();
+    const metaOf = (t) => resolveTagMeta(t, registry, widgetsMap);
+    const queue = registry.tags.filter(t => metaOf(t) && metaOf(t).expr != null);
+    const published = new Set(queue);
+    while (queue.length) {
+      const t = queue.shift();
+      if (next.has(t)) continue;
+      const meta = metaOf(t);
+      const old = prev.get(t);
+      const entry = old && old.expr === meta.expr ? old : compile(t, meta, widgetsMap);
+      entry.published = published.has(t);
+      next.set(t, entry);
+      if (!entry.refs) continue;
+      for (const dep of entry.refs.tags) {
+        const m = next.has(dep) ? null : metaOf(dep);
+        if (m && m.expr != null) queue.push(dep);
+      }
+    }
+    tags = next;
+    globCache.clear();
+    order = sortByDependencies();
+    for (const e of tags.values()) {
+      const problem = e.error || e.cycle;
+      if (problem && problem !== e.warned) console.warn(`[computed] ${e.tagId}: ${problem}`);
+      e.warned = problem;
+    }
+  }
+
+  /** Computed dependencies of an entry (direct names and globs over computed ids). */
+  function depsOf(entry) {
+    if (!entry.refs) return [];
+    const deps = [...entry.refs.tags].filter(t => tags.has(t));
+    for (const g of entry.refs.globs) {
+      const rx = globRegex(g);
+      for (const t of tags.keys()) if (rx.test(t) && t !== entry.tagId) deps.push(t);
+    }
+    return deps;
+  }
+
+  /** Depth-first topological order; entries on a cycle get `cycle` (recomputed on every configure). */
+  function sortByDependencies() {
+    for (const e of tags.values()) e.cycle = null;
+    const out = [];
+    const mark = new Map();     // tagId -> 'visiting' | 'done'
+    const visit = (t, path) => {
+      if (mark.get(t) === 'done') return;
+      if (mark.get(t) === 'visiting') {
+        const cycle = path.slice(path.indexOf(t)).concat(t);
+        for (const c of cycle) tags.get(c).cycle = `cycle: ${cycle.join(' -> ')}`;
+        return;
+      }
+      mark.set(t, 'visiting');
+      for (const d of depsOf(tags.get(t))) visit(d, path.concat(t));
+      mark.set(t, 'done');
+      out.push(t);
+    };
+    for (const t of tags.keys()) visit(t, []);
+    return out;
+  }
+
+  /** Source tag ids matching a glob (re-matched when the number of source tags changes). */
+  function matchGlob(glob, listSource) {
+    let c = globCache.get(glob);
+    const ids = listSource();
+    if (!c || c.size !== ids.length) {
+      const regex = c ? c.regex : globRegex(glob);
+      c = { regex, size: ids.length, matches: [...new Set([...ids, ...tags.keys()])].filter(t => regex.test(t)) };
+      globCache.set(glob, c);
+    }
+    return c.matches;
+  }
+
+  /** Current { value, ts, quality } of an input. */
+  const current = (tagId, readSource) => (tags.has(tagId) ? (tags.get(tagId).out || { value: null, ts: null, quality: 'bad' }) : readSource(tagId));
+
+  /** Did any input read by the last evaluation change? (tags() users and rate() users always re-run) */
+  function isDirty(entry, readSource) {
+    if (!entry.inputs || entry.refs.timed || entry.refs.globs.size) return true;
+    return entry.inputs.some((x) => {
+      const cur = current(x.tagId, readSource);
+      return cur.value !== x.value || cur.quality !== x.quality;
+    });
+  }
+
+  /**
+   * Evaluate every computed tag whose inputs changed (and every rate() user).
+   * @param {(tagId: string) => {value, ts, quality}} readSource source tags, as published
+   * @param {() => string[]} listSource source tag ids, for tags() globs
+   * @param {number} [now]
+   * @returns {string[]} published computed tags whose value or quality changed
+   */
+  function evaluateAll(readSource, listSource, now = Date.now()) {
+    const changed = [];
+    let ids = null;
+    const sourceIds = () => ids || (ids = listSource());
+    for (const t of order) {
+      const entry = tags.get(t);
+      const before = entry.out;
+      if (entry.error || entry.cycle) {
+        entry.inputs = null;
+        if (!before || before.value !== null || before.quality !== 'bad') entry.out = { value: null, ts: now, quality: 'bad' };
+      } else {
+        // The same inputs give the same result
+        if (!isDirty(entry, readSource)) continue;
+        const inputs = [];
+        const read = (tagId) => {
+          const cur = current(tagId, readSource);
+          inputs.push({ tagId, value: cur.value, ts: cur.ts, quality: cur.quality });
+          return cur.value;
+        };
+        const glob = (g) => matchGlob(g, sourceIds).filter(id => id !== t).map(read);
+        const ctx = { read, glob, state: entry.state, now };
+        let value = null;
+        let quality;
+        try {
+          value = toTagValue(evaluate(entry.ast, ctx));
+          quality = inputs.reduce((q, x) => (QUALITY_RANK[x.quality] > QUALITY_RANK[q] ? x.quality : q), 'good');
+          entry.lastError = null;
+        } catch (e) {
+          quality = 'bad';
+          entry.lastError = e.message;
+        }
+        const tsList = inputs.map(x => x.ts).filter(Number.isFinite);
+        entry.inputs = inputs;
+        entry.out = { value, ts: entry.refs.timed || !tsList.length ? now : Math.max(...tsList), quality };
+      }
+      if (entry.published && (!before || before.value !== entry.out.value || before.quality !== entry.out.quality)) changed.push(t);
+    }
+    return changed;
+  }
+
+  return {
+    configure,
+    evaluate: evaluateAll,
+    /** Is `tagId` a computed tag? */
+    has: (tagId) => tags.has(tagId),
+    /** Last evaluated { value, ts, quality } of a computed tag (null/bad before the first poll). */
+    read: (tagId) => {
+      const e = tags.get(tagId);
+      return e && e.out ? { ...e.out } : { value: null, ts: null, quality: 'bad' };
+    },
+    /** Counts and the tags whose expression fails. */
+    getStats: () => ({
+      tags: tags.size,
+      errors: [...tags.values()]
+        .filter(e => e.error || e.cycle || e.lastError)
+        .map(e => ({ tagId: e.tagId, expr: e.expr, error: e.error || e.cycle || e.lastError }))
+    })
+  };
+}
+
+module.exports = { createComputedTags, parseExpression, FUNCTIONS };
@@ -0,0 +1,233 @@
+/*****************************************************************************
+ * Tag history for hmi-live trends
+ * - Per-tag ring buffer of timestamped changes (what the polling loop publishes)
+ * - Retention by age (HISTORY_RETENTION_MS) and by size (HISTORY_MAX_POINTS per tag)
+ * - Optional NDJSON persistence (HISTORY_FILE): appended in batches, replayed and
+ *   compacted on start, compacted again every HISTORY_COMPACT_MS
+ * - query() returns raw points or min/max/avg buckets when over maxPoints
+ ****************************************************************************/
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION_MS = Number(process.env.HISTORY_RETENTION_MS || 6 * 60 * 60 * 1000);
+const DEFAULT_MAX_POINTS = Number(process.env.HISTORY_MAX_POINTS || 20000);
+const DEFAULT_COMPACT_MS = Number(process.env.HISTORY_COMPACT_MS || 15 * 60 * 1000);
+const FLUSH_MS = 1000;
+
+/** Fixed-capacity ring of { ts, value } in insertion (= time) order. */
+function createRing(capacity) {
+  const buf = new Array(capacity);
+  let start = 0;
+  let size = 0;
+
+  return {
+    push(point) {
+      buf[(start + size) % capacity] = point;
+      if (size < capacity) size++;
+      else start = (start + 1) % capacity; // overwrite oldest
+    },
+    /** Drop points older than cutoff (they are at the front). */
+    trimBefore(cutoff) {
+      while (size && buf[start].ts < cutoff) {
+        buf[start] = undefined;
+        start = (start + 1) % capacity;
+        size--;
+      }
+    },
+    at(i) { return buf[(start + i) % capacity]; },
+    get size() { return size; }
+  };
+}
+
+/** Index of the first point with ts >= t (binary search; ring is time ordered). */
+function lowerBound(ring, t) {
+  let lo = 0;
+  let hi = ring.size;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (ring.at(mid).ts < t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Reduce points to at most `maxPoints` time buckets over [from, to].
+ * Numeric buckets carry min/max/avg; non-numeric ones keep the last value.
+ */
+function downsample(points, from, to, maxPoints) {
+  const width = Math.max(1, (to - from + 1) / maxPoints);
+  const buckets = [];
+  let cur = null;
+
+  for (const p of points) {
+    const idx = Math.min(maxPoints - 1, Math.floor((p.ts - from) / width));
+    if (!cur || cur.idx !== idx) {
+      if (cur) buckets.push(cur);
+      cur = { idx, ts: Math.round(from + idx * width), count: 0, sum: 0, min: null, max: null, last: null };
+    }
+    cur.count++;
+    cur.last = p.value;
+    const n = typeof p.value === 'number' ? p.value : Number.NaN;
+    if (Number.isFinite(n)) {
+      cur.sum += n;
+      cur.min = cur.min === null ? n : Math.min(cur.min, n);
+      cur.max = cur.max === null ? n : Math.max(cur.max, n);
+    }
+  }
+  if (cur) buckets.push(cur);
+
+  return buckets.map(b => (b.min === null
+    ? { ts: b.ts, value: b.last, count: b.count }
+    : { ts: b.ts, min: b.min, max: b.max, avg: b.sum / b.count, count: b.count }));
+}
+
+/**
+ * Create the history store.
+ * @param {{ retentionMs?: number, maxPointsPerTag?: number, file?: string|null, compactMs?: number }} [opts]
+ * @returns {{ record: Function, query: Function, getStats: Function, close: Function }}
+ */
+function createHistory({
+  retentionMs = DEFAULT_RETENTION_MS,
+  maxPointsPerTag = DEFAULT_MAX_POINTS,
+  file = process.env.HISTORY_FILE || null,
+  compactMs = DEFAULT_COMPACT_MS
+} = {}) {
+  const rings = new Map();      // tagId -> ring
+  let pending = [];             // NDJSON lines not yet flushed
+  let flushTimer = null;
+  let compactTimer = null;
+  const filePath = file ? path.resolve(file) : null;
+
+  const ringFor = (tagId) => {
+    let r = rings.get(tagId);
+    if (!r) {
+      r = createRing(maxPointsPerTag);
+      rings.set(tagId, r);
+    }
+    return r;
+  };
+
+  function push(tagId, value, ts) {
+    const r = ringFor(tagId);
+    // Out-of-order source timestamps would break the binary search; clamp forward
+    const last = r.size ? r.at(r.size - 1).ts : -Infinity;
+    r.push({ ts: Math.max(ts, last), value });
+  }
+
+  function flush() {
+    if (!filePath || !pending.length) return;
+    const chunk = pending.join('');
+    pending = [];
+    fs.appendFile(filePath, chunk, (err) => {
+      if (err) console.warn(`[hmi-live] history append failed: ${err.message}`);
+    });
+  }
+
+  /** Rewrite the file with what is still retained (sync: runs at start and on a slow timer). */
+  function compact() {
+    if (!filePath) return;
+    flush();
+    const cutoff = Date.now() - retentionMs;
+    const lines = [];
+    for (const [tagId, r] of rings) {
+      r.trimBefore(cutoff);
+      for (let i = 0; i < r.size; i++) {
+        const p = r.at(i);
+        lines.push(JSON.stringify({ tagId, ts: p.ts, value: p.value }) + '\n');
+      }
+    }
+    try {
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, lines.join(''));
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      console.warn(`[hmi-live] history compaction failed: ${e.message}`);
+    }
+  }
+
+  function load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`[hmi-live] history file unreadable: ${e.message}`);
+      return;
+    }
+    const cutoff = Date.now() - retentionMs;
+    for (const l of raw.split('\n')) {
+      if (!l.trim()) continue;
+      try {
+        const { tagId, ts, value } = JSON.parse(l);
+        if (typeof tagId === 'string' && Number.isFinite(ts) && ts >= cutoff) push(tagId, value, ts);
+      } catch { /* torn last line after a crash */ }
+    }
+  }
+
+  if (filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    load();
+    compact();
+    flushTimer = setInterval(flush, FLUSH_MS);
+    compactTimer = setInterval(compact, compactMs);
+    flushTimer.unref?.();
+    compactTimer.unref?.();
+  }
+
+  /** Record one published change. */
+  function record(tagId, value, ts = Date.now()) {
+    push(tagId, value, ts);
+    if (filePath) pending.push(JSON.stringify({ tagId, ts, value }) + '\n');
+  }
+
+  /**
+   * Series for each tag inside [from, to].
+   * `prev` is the last change before `from` (the value in effect at the start of the range).
+   * @param {string[]} tagIds
+   * @param {{ from: number, to: number, maxPoints: number }} range
+   * @returns {Object<string, { prev: {ts:number, value:any}|null, downsampled: boolean, points: Object[] }>}
+   */
+  function query(tagIds, { from, to, maxPoints }) {
+    const cutoff = Date.now() - retentionMs;
+    const out = {};
+    for (const tagId of tagIds) {
+      const r = rings.get(tagId);
+      if (!r) {
+        out[tagId] = { prev: null, downsampled: false, points: [] };
+        continue;
+      }
+      r.trimBefore(cutoff);
+      const i0 = lowerBound(r, from);
+      const i1 = lowerBound(r, to + 1);
+      const points = [];
+      for (let i = i0; i < i1; i++) points.push(r.at(i));
+
+      const downsampled = points.length > maxPoints;
+      out[tagId] = {
+        prev: i0 > 0 ? r.at(i0 - 1) : null,
+        downsampled,
+        points: downsampled ? downsample(points, from, to, maxPoints) : points
+      };
+    }
+    return out;
+  }
+
+  function getStats() {
+    let points = 0;
+    for (const r of rings.values()) points += r.size;
+    return { tags: rings.size, points, retentionMs, maxPointsPerTag, file: filePath };
+  }
+
+  function close() {
+    clearInterval(flushTimer);
+    clearInterval(compactTimer);
+    if (filePath && pending.length) {
+      try { fs.appendFileSync(filePath, pending.join('')); } catch (_) {}
+      pending = [];
+    }
+  }
+
+  return { record, query, getStats, close };
+}
+
+module.exports = { createHistory, downsample };
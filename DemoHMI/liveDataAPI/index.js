@@ -6,179 +6,159 @@
 
 const fs = require('fs');
 const path = require('path');
+const express = require('express');
 const {verifyInternal} = require('./utils/jwt');
-const { loadTranslations, translateLayout, translateMeta } = require('./languages/languageController');
+const { watchFiles } = require('./utils/watchFiles');
+const { createHistory } = require('./history');
+const { createAlarmEngine } = require('./alarms');
+const { createPublishFilters } = require('./publishFilter');
+const { createPlcSupervisor } = require('./plcComms');
+const { createComputedTags } = require('./computed');
+const { rolesOf, allows, createAccessViews } = require('./access');
+const { FORMATS: PATCH_FORMATS, QUALITIES, encodePatch } = require('iir-shared/compactPatch');
+const { loadTranslations, translateKey, translateLayout, translateMeta } = require('./languages/languageController');
+const {
+  META_FILE,
+  LAYOUT_FILE,
+  loadWidgetsNDJSON,
+  loadLayoutJSON,
+  readStructureStrict,
+  collectConcreteTags,
+  buildRegistry,
+  resolveTagMeta
+} = require('./registry');
 
 // ---------- Config paths ----------
 const ROOT_DIR = __dirname;
-const META_FILE = path.join(ROOT_DIR, 'meta.ndjson');
-const LAYOUT_FILE  = path.join(ROOT_DIR, 'layout.json');
 
 // ---------- In-memory state for SSE ----------
-const sseClients = new Set();
-let lastSent = new Map();       // tagId -> { value, ts }
+// Stream clients, SSE and WebSocket alike: key (res | socket) ->
+//   { transport, send(type, data, id), all, requested: Set, page, tags: Set|null (null = all),
+//     roles: string[]|null, hides?(tagId), encoding, format, since }
+const sseClients = new Map();
+let lastSent = new Map();       // tagId -> { value, ts, quality }
 let pollTimer = null;
 const POLL_MS = Number(process.env.SSE_POLL_MS || 250);
+// Push mode (source passes onData; SSE_PUSH=0 forces polling): changes are coalesced for
+// SSE_BATCH_MS into one patch, and the full diff only runs every SSE_RESYNC_MS as a safety net
+const PUSH_ENABLED = process.env.SSE_PUSH !== '0';
+const BATCH_MS = Number(process.env.SSE_BATCH_MS || 50);
+const RESYNC_MS = Number(process.env.SSE_RESYNC_MS || 10000);
+let pushMode = false;
+let pendingAll = false;         // a change without tag ids -> diff everything in the next batch
+let pendingTags = new Set();    // tagIds changed since the last batch
+let batchTimer = null;
+// Hot-reload layout.json/meta.ndjson on change (set HMI_WATCH=0 to disable)
+const WATCH_ENABLED = process.env.HMI_WATCH !== '0';
+// Broadcast events carry `id:`; ids start at boot time (ms) so they keep increasing across restarts
+let lastEventId = Date.now();
+const replayBuffer = [];        // { id, type, data } oldest first, for Last-Event-ID resume
+const REPLAY_MAX = Number(process.env.SSE_REPLAY_MAX || 500);
+// socket.io endpoint path (same events as /hmi-data)
+const WS_PATH = process.env.HMI_WS_PATH || '/hmi-ws';
 
-// --- PLC comms state (heartbeat/handshake) ---
-let lastBeatTs = null;          // last time we detected a valid beat
-let lastBeatVal = undefined;    // last raw value read from heartbeat/handshake tag
-let lastCommsOk = null;         // last emitted comms state (null=unknown, true=ok, false=loss)
+// ---------- Trend history ----------
+let history = null;             // created in attach(); fed by the polling loop
+const HISTORY_MAX_TAGS = 50;
+const HISTORY_DEFAULT_POINTS = 500;
+const HISTORY_MAX_POINTS = 5000;
 
-// Timeout to declare comm-loss if no change happens in time
-// Defaults to ~6 polls; override with env HEARTBEAT_TIMEOUT_MS if you want a fixed value.
-const HEARTBEAT_TIMEOUT_MS = Number(process.env.HEARTBEAT_TIMEOUT_MS || (POLL_MS * 6));
+// ---------- Publish filters (meta `publish`: deadband / rate limit) ----------
+let publishFilters = null;      // created in attach(); consulted by publishChanges
 
+// ---------- Alarms ----------
+let alarms = null;              // created in attach(); fed by the polling loop
+const ALARM_HISTORY_MAX = 2000;
 
-// ---------- Loaders ----------
-function loadWidgetsNDJSON(file = META_FILE) {
-  // Return Map<templateTagId, templateMeta>
-  const map = new Map();
-  try {
-    const raw = fs.readFileSync(file, 'utf8');
-    for (const line of raw.split(/\r?\n/)) {
-      const l = line.trim();
-      if (!l) continue;
-      try {
-        const obj = JSON.parse(l);
-        if (obj && obj.tagId) map.set(String(obj.tagId), obj);
-      } catch { /* ignore malformed line */ }
-    }
-  } catch { /* file missing -> empty */ }
-  return map;
-}
-
-function loadLayoutJSON(file = LAYOUT_FILE) {
-  try {
-    const raw = fs.readFileSync(file, 'utf8');
-    const json = JSON.parse(raw);
-    return json && typeof json === 'object' ? json : { pages: [] };
-  } catch {
-    return { pages: [] };
-  }
-}
+// ---------- PLC comms (componentsRegistry `plcs` / HEARTBEAT) ----------
+let plcComms = null;            // created in attach(); sampled by the polling loop
+let computed = null;            // created in attach(); meta `expr` tags, evaluated by the polling loop
+const PLC_COMMS_HISTORY_MAX = 1000;
 
-// ---------- Template resolver ----------
-function escReg(s) { return s.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&'); }
+// Default timeout to declare comm-loss if no beat happens in time (a PLC's `timeoutMs` overrides it)
+// Defaults to ~6 polls, at least 5 s so a counter's pause at rollover (the simulator's is 3 s) is not a loss;
+// override with env HEARTBEAT_TIMEOUT_MS if you want a fixed value.
+const HEARTBEAT_TIMEOUT_MS = Number(process.env.HEARTBEAT_TIMEOUT_MS || Math.max(POLL_MS * 6, 5000));
 
-/** Try to match a concrete tag against a single-# template. Return captured number or null. */
-function captureNumbers(concrete, templateWithHashes) {
-  // Escape regex metachars but keep '#' unescaped so we can transform them
-  const pattern = '^' + escReg(templateWithHashes).replace(/#/g, '([0-9]+)') + '$';
-  const rx = new RegExp(pattern);
-  const m = concrete.match(rx);
-  return m ? m.slice(1) : null; // all captured numbers as strings
-}
 
-/** Replace each '#' in a string with the next capture value. */
-function applyCaptures(str, caps) {
-  if (!str || !Array.isArray(caps) || caps.length === 0) return str;
-  let i = 0;
-  return String(str).replace(/#/g, () => (caps[i++] ?? ''));
-}
+// ---------- Write validation ----------
+/**
+ * Validate/coerce a value for a writable tag using its meta:
+ *  - valueType "boolean" -> 0/1 (accepts true/false, 0/1, "0"/"1")
+ *  - valueType "number"  -> finite number within optional min/max
+ *  - otherwise string    -> within optional maxLength
+ * Returns { value } or { error }.
+ */
+function coerceWriteValue(meta, raw) {
+  const type = meta.valueType || 'string';
 
-/** Build meta for a concrete tag from a template (apply all '#' placeholders). */
-function materializeTemplate(tpl, concreteTag) {
-  const caps = captureNumbers(concreteTag, tpl.tagId); // array or null
-  const meta = { ...tpl, tagId: concreteTag };
+  if (type === 'boolean') {
+    if (raw === true || raw === 1 || raw === '1' || raw === 'true') return { value: 1 };
+    if (raw === false || raw === 0 || raw === '0' || raw === 'false') return { value: 0 };
+    return { error: 'expected boolean (0/1)' };
+  }
 
-  if (typeof meta.label === 'string') {
-    meta.label = applyCaptures(meta.label, caps || []);
+  if (type === 'number') {
+    const n = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof n !== 'number' || !Number.isFinite(n)) return { error: 'expected number' };
+    if (meta.min != null && n < Number(meta.min)) return { error: `value below min (${meta.min})` };
+    if (meta.max != null && n > Number(meta.max)) return { error: `value above max (${meta.max})` };
+    return { value: n };
   }
-  if (typeof meta.description === 'string') {
-    meta.description = applyCaptures(meta.description, caps || []);
+
+  if (typeof raw !== 'string') return { error: 'expected string' };
+  if (meta.maxLength != null && raw.length > Number(meta.maxLength)) {
+    return { error: `value longer than maxLength (${meta.maxLength})` };
   }
-  
-  return meta;
+  return { value: raw };
 }
 
-// ---------- Layout utilities ----------
-/** Collect concrete tag references from layout; support items[] or widgets[]; string or {tagId} object. */
-const TAG_REGEX = /^(TOHMI_|FRMHMI_|ALARM_|WARNING_|Feedpoint\d+_|Recipe_Feedpoint\d+_)/;
-
-function collectConcreteTags(layout) {
-  const found = [];
-  const seen = new Set();
-
-  const add = (tagId, override = null) => {
-    if (!tagId || typeof tagId !== 'string') return;
-    const id = tagId.trim();
-    if (!id || !TAG_REGEX.test(id) || seen.has(id)) return;
-    seen.add(id);
-    found.push({ tagId: id, override });
-  };
-
-  const scan = (val) => {
-    if (!val) return;
-
-    // string
-    if (typeof val === 'string') {
-      if (!val.startsWith('key_')) add(val, null);
-      return;
-    }
-
-    // array
-    if (Array.isArray(val)) {
-      for (const v of val) scan(v);
-      return;
-    }
+/** Parse a history bound: epoch ms or ISO date; undefined/empty -> fallback, invalid -> NaN. */
+function parseTimeParam(raw, fallback) {
+  if (raw == null || raw === '') return fallback;
+  const s = String(raw).trim();
+  return /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+}
 
-    // object
-    if (typeof val === 'object') {
-      // Legacy { tagId, override }
-      if (typeof val.tagId === 'string') {
-        add(val.tagId, val.override || null);
-      }
-      for (const [k, v] of Object.entries(val)) {
-        if (k === 'override' || k === 'component' || k === 'key' || k === 'title' || k === 'id') continue;
-        scan(v);
-      }
-    }
-  };
+// ---------- Data quality ----------
+// Every value carries an OPC-UA-like quality: good | uncertain | bad | stale.
+// Sources may set it on { value, ts, quality } entries (a name or an OPC UA StatusCode);
+// hmi-live marks values stale while the OPC UA link is down or the PLC serving the tag is lost
+let isLinkUp = () => true;      // set in attach() from getOpcuaState
 
-  const pages = Array.isArray(layout.pages) ? layout.pages : [];
-  for (const p of pages) {
-    const sections = Array.isArray(p.sections) ? p.sections : [];
-    for (const s of sections) {
-      const items = Array.isArray(s.items) ? s.items : (Array.isArray(s.widgets) ? s.widgets : []);
-      for (const it of items) scan(it);
-    }
+/** Normalize a source quality: names by prefix ("Bad_NoCommunication" -> bad), StatusCodes by severity. */
+function sourceQuality(q) {
+  if (q == null || q === '') return 'good';
+  if (typeof q === 'number') {
+    const severity = q >>> 30;
+    return severity === 0 ? 'good' : severity === 1 ? 'uncertain' : 'bad';
   }
-  return found;
+  const s = String(q).toLowerCase();
+  return QUALITIES.find(name => s.startsWith(name)) || 'uncertain';
 }
 
-/** Build registry: { tags: string[], metaByTag: Map, overrides applied } */
-function buildRegistry(layout, widgetsMap) {
-  const entries = collectConcreteTags(layout);
- 
-  const tags = [];
-  const metaByTag = new Map();
-
-  for (const { tagId, override } of entries) {
-    // Find matching template: normalize by replacing first number block with '#'
-    let chosen = null;
-    for (const [tplId, tpl] of widgetsMap) {
-      if (captureNumbers(tagId, tplId)) { chosen = tpl; break; }
-    }
-    const base = chosen || { tagId, label: tagId, widget: 'raw', valueType: 'string' };
-    const concreteMeta = materializeTemplate(base, tagId);
-    const merged = override ? ({ ...concreteMeta, ...override }) : concreteMeta;
-    if (!metaByTag.has(tagId)) {
-      metaByTag.set(tagId, merged);
-      tags.push(tagId);
-    }
-  }
-  return { tags, metaByTag };
+/** Quality as published: bad stays bad, anything else is stale while its data can't be trusted to be current. */
+function effectiveQuality(tagId, quality) {
+  if (quality === 'bad') return quality;
+  if (!isLinkUp() || (plcComms && plcComms.lostFor(tagId))) return 'stale';
+  return quality;
 }
 
 // ---------- Data access (reads from your myDataAll) ----------
+/** Read a single tag: computed tags from their last evaluation, anything else from myDataAll. */
+function readOne(myDataAll, tagId) {
+  if (computed && computed.has(tagId)) return computed.read(tagId);
+  return readSource(myDataAll, tagId);
+}
+
 /**
  * Read a single tag value from myDataAll. Supports:
- *  - Array of { tagId|name|id|tag, value, ts? }
- *  - Object map { [tagId]: value } or { [tagId]: { value, ts } }
+ *  - Array of { tagId|name|id|tag, value, ts?, quality? }
+ *  - Object map { [tagId]: value } or { [tagId]: { value, ts, quality? } }
+ * A tag missing from the source reads as null with quality bad.
  */
-function readOne(myDataAll, tagId) {
-  if (!myDataAll) return { value: null, ts: null };
+function readSource(myDataAll, tagId) {
+  if (!myDataAll) return { value: null, ts: null, quality: 'bad' };
 
   if (Array.isArray(myDataAll)) {
     // Find first matching entry by common key names
@@ -188,26 +168,70 @@ function readOne(myDataAll, tagId) {
       if (key === tagId) {
         const v = row.value ?? row.val ?? row.v ?? null;
         const ts = row.ts ?? row.timestamp ?? null;
-        return { value: v, ts };
+        return { value: v, ts, quality: sourceQuality(row.quality) };
       }
     }
-    return { value: null, ts: null };
+    return { value: null, ts: null, quality: 'bad' };
   }
 
   // Object map cases
   if (Object.prototype.hasOwnProperty.call(myDataAll, tagId)) {
     const v = myDataAll[tagId];
     if (v && typeof v === 'object' && ('value' in v || 'ts' in v)) {
-      return { value: v.value ?? null, ts: v.ts ?? null };
+      return { value: v.value ?? null, ts: v.ts ?? null, quality: sourceQuality(v.quality) };
     }
-    return { value: v, ts: null };
+    return { value: v, ts: null, quality: 'good' };
   }
-  return { value: null, ts: null };
+  return { value: null, ts: null, quality: 'bad' };
+}
+
+/** Tag ids myDataAll has (for computed tags' tags() globs). */
+function sourceTagIds(myDataAll) {
+  if (!myDataAll) return [];
+  if (!Array.isArray(myDataAll)) return Object.keys(myDataAll);
+  return myDataAll.map(row => row && (row.tagId ?? row.name ?? row.tag ?? row.id)).filter(k => typeof k === 'string');
+}
+
+/** readOne() with the published quality (stale on link or PLC comm loss). */
+function readTag(myDataAll, tagId) {
+  const cur = readOne(myDataAll, tagId);
+  return { ...cur, quality: effectiveQuality(tagId, cur.quality) };
 }
 
 /** Build a snapshot for a list of tagIds from myDataAll */
 function buildSnapshot(myDataAll, tagIds) {
-  return tagIds.map(t => ({ tagId: t, ...readOne(myDataAll, t) }));
+  return tagIds.map(t => ({ tagId: t, ...readTag(myDataAll, t) }));
+}
+
+/**
+ * Dashboard KPIs from the registry tags: module run state (TOHMI_Module#_Start/Pause/autoMode/activeAlarm)
+ * and daily picks (sum of TOHMI_R#_dailyPicks). Tags the layout does not use are not counted.
+ */
+function computeKpis(myDataAll, tagIds) {
+  const modules = new Map();
+  const picks = [];
+  for (const t of tagIds) {
+    let m = /^TOHMI_Module(\d+)_(Start|Pause|autoMode|activeAlarm)$/.exec(t);
+    if (m) {
+      const mod = modules.get(m[1]) || { module: Number(m[1]) };
+      mod[m[2]] = readOne(myDataAll, t).value;
+      modules.set(m[1], mod);
+      continue;
+    }
+    m = /^TOHMI_R(\d+)_dailyPicks$/.exec(t);
+    if (m) picks.push({ robot: Number(m[1]), value: Number(readOne(myDataAll, t).value) || 0 });
+  }
+  const on = (v) => v === true || Number(v) === 1;
+  return {
+    modules: [...modules.values()].sort((a, b) => a.module - b.module).map(m => ({
+      module: m.module,
+      running: on(m.Start) && !on(m.Pause),
+      paused: on(m.Pause),
+      auto: on(m.autoMode),
+      alarm: on(m.activeAlarm)
+    })),
+    dailyPicks: { total: picks.reduce((n, p) => n + p.value, 0), robots: picks }
+  };
 }
 
 // ---------- SSE core ----------
@@ -221,105 +245,163 @@ function sseHeaders(res) {
   res.flushHeaders?.();
 }
 
-function sseWrite(res, type, data) {
+function sseWrite(res, type, data, id = null) {
+  if (id != null) res.write(`id: ${id}\n`);
   res.write(`event: ${type}\n`);
-  res.write(`data: ${JSON.stringify(data)}\n\n`);
+  // Strings are already encoded (compact msgpack patches are base64)
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
 }
 
-/**
- * Compute current PLC comms state based on settings. Optionally advances global beat state.
- * - Uses settings.HEARTBEAT tag name: "TOHMI_CRC_Handshake" OR "Heartbeat" (or fallback "Heartbeat")
- * - Heartbeat: toggling value implies beat.
- * - Handshake/CRC: numeric >= 0 and changing over time implies beat.
- */
-function computePlcCommsState(getAllData, getAllSettings, { advanceState = false } = {}) {
-  const data = getAllData();
-  const settings = (typeof getAllSettings === 'function' ? (getAllSettings() || {}) : {}) || {};
-  const hbTag = settings.HEARTBEAT || 'TOHMI_CRC_Handshake';
-   
-  const { value: hbVal } = readOne(data, hbTag);
-  const now = Date.now();
-  const tagNameLc = String(hbTag).toLowerCase();
-  const isHeartbeat = tagNameLc.includes('heartbeat');
-  const isHandshakeLike = tagNameLc.includes('handshake');
-  
-  let beatDetected = false;
-
-  if (isHeartbeat) {
-    // Heartbeat toggles: change vs last value = beat
-    if (lastBeatVal !== undefined && hbVal !== lastBeatVal) beatDetected = true;
-  } else if (isHandshakeLike) {
-    // Handshake/CRC increments 0..N; exists >=0 and changes = beat
-    const num = Number(hbVal);
-    if (Number.isFinite(num) && num >= 0) {
-      if (lastBeatVal === undefined || num !== Number(lastBeatVal)) beatDetected = true;
-    }
-  } else {
-    // Fallback: any change means beat
-    if (lastBeatVal !== undefined && hbVal !== lastBeatVal) beatDetected = true;
-  }
+/** Narrow an event to a client's subscription (`patch` by tags, `alarm` by role visibility); null = nothing to send. */
+function filterForClient(sub, type, data) {
+  if (type === 'alarm' && sub && sub.hides && data.alarm && sub.hides(data.alarm.tagId)) return null;
+  if (type !== 'patch' || !sub || !sub.tags) return data;
+  const updates = data.updates.filter(u => sub.tags.has(u.tagId));
+  return updates.length ? { ...data, updates } : null;
+}
 
-  if (advanceState && beatDetected) {
-    lastBeatTs = now;
-  }
-  if (advanceState) {
-    lastBeatVal = hbVal;
+/** Send an event to every client with a new id and keep it for replay. */
+function broadcast(type, data) {
+  const id = ++lastEventId;
+  replayBuffer.push({ id, type, data });
+  if (replayBuffer.length > REPLAY_MAX) replayBuffer.shift();
+  for (const sub of sseClients.values()) {
+    const out = filterForClient(sub, type, data);
+    if (!out) continue;
+    try { sub.send(type, out, id); } catch {}
   }
+}
 
-  const commsOk = lastBeatTs != null && (now - lastBeatTs) <= HEARTBEAT_TIMEOUT_MS;
+/** Events after `id` if the replay buffer still covers it; null = unknown or too old (send a snapshot). */
+function eventsSince(id) {
+  if (!Number.isFinite(id) || id > lastEventId) return null;
+  const oldest = replayBuffer.length ? replayBuffer[0].id : lastEventId + 1;
+  if (id < oldest - 1) return null;
+  return replayBuffer.filter(e => e.id > id);
+}
 
-  return {
-    ok: commsOk,
-    ts: now,
-    tag: hbTag,
-    value: hbVal ?? null,
-    timeoutMs: HEARTBEAT_TIMEOUT_MS,
-  };
+/** Diff `tags` (value and quality) against lastSent and publish the changes as one patch (+ history and alarms). */
+function publishChanges(data, tags) {
+  const updates = [];
+  for (const t of tags) {
+    const cur = readTag(data, t);
+    const prev = lastSent.get(t);
+
+    const valueChanged = !prev || prev.value !== cur.value;
+    const qualityChanged = !!prev && prev.quality !== cur.quality;
+
+    if (valueChanged || qualityChanged) {
+      const now = Date.now();
+      // Deadband / min interval: keep the last published value until the change is worth sending
+      // (a quality change always goes out)
+      if (qualityChanged) {
+        if (publishFilters) publishFilters.release(t);
+      } else if (prev && publishFilters && publishFilters.holdBack(t, prev, cur.value, now)) {
+        continue;
+      }
+      const ts = cur.ts ?? now;
+      lastSent.set(t, { value: cur.value, ts, quality: cur.quality, sentAt: now });
+      updates.push({ tagId: t, value: cur.value, ts, quality: cur.quality });
+      if (history && valueChanged) history.record(t, cur.value, ts);
+    } else {
+      if (publishFilters) publishFilters.release(t);
+      if (prev && cur.ts != null && cur.ts > prev.ts) lastSent.set(t, { ...prev, ts: cur.ts });
+    }
+  }
+  if (updates.length) broadcast('patch', { updates });
+  // Alarm transitions go out as `alarm` events right after the patch that caused them
+  if (alarms) for (const u of updates) alarms.update(u.tagId, u.value, u.ts);
 }
 
-function startPolling(getAllData, getAllSettings, tags) {
+function startPolling(getAllData, getTags) {
   if (pollTimer) return;
+  let lastFullDiff = 0;
+  let lastStale = null;
   pollTimer = setInterval(() => {
     try {
+      // -------- PLC comms supervision (events on every PLC's state change) --------
+      // Sampled first: a PLC lost on this tick turns its tags stale in this tick's patch
+      const now = Date.now();
       const data = getAllData();
+      plcComms.sample((tagId) => readOne(data, tagId).value, now);
 
-      // -------- Existing tags diff/patch --------
-      const updates = [];
-      for (const t of tags) {
-        const cur = readOne(data, t);
-        const prev = lastSent.get(t);
+      // -------- Computed tags (meta `expr`), ahead of the diff that publishes them --------
+      const changedComputed = computed.evaluate((tagId) => readTag(data, tagId), () => sourceTagIds(data), now);
 
-        const valueChanged = !prev || prev.value !== cur.value;
-
-        if (valueChanged) {
-          const ts = cur.ts ?? Date.now();
-          lastSent.set(t, { value: cur.value, ts });
-          updates.push({ tagId: t, value: cur.value, ts });
-        } else if (prev && cur.ts != null && cur.ts > prev.ts) {
-          lastSent.set(t, { value: prev.value, ts: cur.ts });
-        }
-      }
-      if (updates.length && sseClients.size) {
-        for (const c of sseClients) sseWrite(c, 'patch', { updates });
-      }
-
-      // -------- PLC comms detection & event --------
-      const plc = computePlcCommsState(getAllData, getAllSettings, { advanceState: true });
-      if (lastCommsOk === null || plc.ok !== lastCommsOk) {
-        lastCommsOk = plc.ok;
-        if (sseClients.size) {
-          for (const c of sseClients) sseWrite(c, 'plc-comms', plc);
-        }
+      // -------- Existing tags diff/patch (push mode: periodic resync only) --------
+      // Link or PLC loss/restore changes qualities without a value change: diff everything
+      const stale = JSON.stringify([isLinkUp(), plcComms.lostIds()]);
+      const staleChanged = stale !== lastStale;
+      lastStale = stale;
+      if (!pushMode || staleChanged || now - lastFullDiff >= RESYNC_MS) {
+        lastFullDiff = now;
+        publishChanges(data, getTags()); // re-read every tick: the registry can be hot-reloaded
+      } else {
+        // Computed tags follow their inputs on every tick; held-back changes must still go
+        // out when they reach their max age
+        const due = new Set(changedComputed);
+        if (publishFilters) for (const t of publishFilters.held.keys()) due.add(t);
+        if (due.size) publishChanges(data, [...due]);
       }
+      // Time-driven checks run on every tick in both modes
+      if (alarms) alarms.tick();
     } catch {
       // swallow polling errors; next tick will retry
     }
   }, POLL_MS);
 }
 
+/**
+ * Subscribe to a source's change feed: `onData(listener)`, where the source calls
+ * `listener(tagIds?)` (one tagId or an iterable; nothing = "something changed").
+ * Changes within BATCH_MS are diffed and published together.
+ */
+function startPush(onData, getAllData, getTags) {
+  if (pushMode) return;
+  pushMode = true;
+  let tagSet = null;
+  let tagSetFor = null;
+
+  const flush = () => {
+    batchTimer = null;
+    const all = pendingAll;
+    const changed = pendingTags;
+    pendingAll = false;
+    pendingTags = new Set();
+    try {
+      const tags = getTags();
+      if (tags !== tagSetFor) {
+        tagSetFor = tags;
+        tagSet = new Set(tags);
+      }
+      publishChanges(getAllData(), all ? tags : [...changed].filter(t => tagSet.has(t)));
+    } catch {
+      // next change (or the resync tick) will retry
+    }
+  };
+
+  onData((changed) => {
+    if (changed == null) pendingAll = true;
+    else for (const t of typeof changed === 'string' ? [changed] : changed) pendingTags.add(t);
+    if (!batchTimer) batchTimer = setTimeout(flush, BATCH_MS);
+  });
+}
+
 
 // ---------- Main attach ----------
-function attach(app, { getOpcuaState, getAllData, getAllSettings }) {
+/**
+ * Attach hmi-live endpoints to an express app.
+ * Data source contract:
+ *  - getOpcuaState(): string
+ *  - getAllData(): tag buffer (object map or array of rows)
+ *  - getAllSettings(): componentsRegistry
+ *  - writeData(tagId, value): optional; sync or async, throws on failure (enables POST /hmi-write)
+ *  - onData(listener): optional change feed; the source calls listener(tagIds?) when values change
+ *    (an EventEmitter fits as `onData: (cb) => emitter.on('change', cb)`). Without it hmi-live polls.
+ * Options:
+ *  - server: optional http.Server the app is mounted on; enables the socket.io transport at WS_PATH
+ */
+function attach(app, { getOpcuaState, getAllData, getAllSettings, writeData, onData, server }) {
   // Protect EVERYTHING with JWT; no public endpoints to avoid external probing.
   app.use((req, res, next) => {
     try {
@@ -339,11 +421,274 @@ function attach(app, { getOpcuaState, getAllData, getAllSettings }) {
       return res.status(401).json({ error: 'invalid token', detail: err.message });
     }
   });
-  // 1) Load config (once)
-  const widgetsMap = loadWidgetsNDJSON();
-  const layout = loadLayoutJSON();
- 
-  const registry = buildRegistry(layout, widgetsMap);
+  // 1) Load config; `structure` is swapped as a whole on hot reload so handlers
+  //    always see a consistent { layout, widgetsMap, registry } triple
+  //    The hash lets a reload that changes nothing keep rev 1
+  let initial;
+  try {
+    initial = readStructureStrict();
+  } catch (_) {
+    // Serve what parses (with warnings); the first valid reload bumps rev
+    initial = { widgetsMap: loadWidgetsNDJSON(), layout: loadLayoutJSON(), hash: null };
+  }
+  let structure = {
+    rev: 1,
+    loadedAt: Date.now(),
+    ...initial,
+    registry: buildRegistry(initial.layout, initial.widgetsMap)
+  };
+  let structureError = null;    // last rejected reload { message, ts }
+
+  function reloadStructure() {
+    let next;
+    try {
+      next = readStructureStrict();
+    } catch (e) {
+      structureError = { message: e.message, ts: Date.now() };
+      console.warn(`[hmi-live] Reload rejected, keeping rev ${structure.rev}: ${e.message}`);
+      return;
+    }
+    structureError = null;
+    if (next.hash === structure.hash) return; // touched but unchanged
+
+    const registry = buildRegistry(next.layout, next.widgetsMap);
+    structure = { rev: structure.rev + 1, loadedAt: Date.now(), ...next, registry };
+    computed.configure(registry, next.widgetsMap);
+    alarms.configure(registry.tags);
+
+    // Forget tags that left the layout; new ones go out on the next poll
+    const keep = new Set(registry.tags);
+    for (const t of [...lastSent.keys()]) if (!keep.has(t)) lastSent.delete(t);
+    for (const t of [...publishFilters.held.keys()]) if (!keep.has(t)) publishFilters.release(t);
+    publishFilters.reset();
+    // Page subscriptions follow the new layout
+    for (const sub of sseClients.values()) resolveSubscription(sub);
+
+    console.log(`[hmi-live] Reloaded structure rev ${structure.rev}: widgets ${next.widgetsMap.size}, pages ${next.layout.pages.length}, tags ${registry.tags.length}`);
+    broadcast('structure-changed', { rev: structure.rev, ts: structure.loadedAt, tags: registry.tags.length });
+    // Push mode has no per-tick diff to pick up the new tags (computed ones follow their first evaluation)
+    if (pushMode) publishChanges(getAllData(), registry.tags.filter(t => !lastSent.has(t) && !computed.has(t)));
+  }
+
+  /** (Re)compute a client's tag set from its requested tags and page (null = every tag), within what its roles may see. */
+  function resolveSubscription(sub) {
+    const view = accessView(structure, sub.roles);
+    if (sub.all) {
+      sub.tags = view.visible ? new Set(view.visible) : null;
+      return;
+    }
+    const tags = new Set(sub.requested);
+    const page = sub.page && (view.layout.pages || []).find(p => p.id === sub.page);
+    if (page) for (const { tagId } of collectConcreteTags({ pages: [page] })) tags.add(tagId);
+    if (view.visible) for (const t of tags) if (!view.visible.has(t)) tags.delete(t);
+    sub.tags = tags;
+  }
+
+  // Pages a role cannot see are reported as unknown
+  const accessView = createAccessViews();
+  const hasPage = (pageId, roles = null) => (accessView(structure, roles).layout.pages || []).some(p => p.id === pageId);
+  const splitTags = (raw) => (Array.isArray(raw) ? raw : String(raw || '').split(','))
+    .map(t => String(t).trim())
+    .filter(Boolean);
+
+  /** New subscription; no tags and no page = every tag. */
+  function createSubscription(transport, send, { tags, page, encoding, roles = null } = {}) {
+    const requested = new Set(splitTags(tags));
+    const sub = { transport, send, all: !requested.size && !page, requested, page: page || null, tags: null, roles, since: Date.now() };
+    if (roles) sub.hides = (tagId) => isHidden(tagId, roles);
+    sub.encoding = encoding ? encoding.name : 'json';
+    sub.format = encoding ? encoding.format : 'json';
+    if (encoding) {
+      // Compact patches index tags by the /hmi-structure `tags` this client got (same roles; refetched on structure-changed)
+      const opts = { format: encoding.format, binary: transport === 'ws' };
+      sub.send = (type, data, id) => send(type, type === 'patch' ? encodePatch(data, accessView(structure, roles).index(), opts) : data, id);
+    }
+    resolveSubscription(sub);
+    return sub;
+  }
+
+  /**
+   * Parse ?encoding=json|compact and ?format=json|msgpack.
+   * @returns {{ encoding: {name, format}|null }|{ error: string, detail: string }} encoding null = plain JSON
+   */
+  function parseEncoding(rawEncoding, rawFormat) {
+    const name = String(rawEncoding || 'json').trim().toLowerCase();
+    const format = String(rawFormat || 'json').trim().toLowerCase();
+    if (name !== 'json' && name !== 'compact') return { error: 'invalid encoding', detail: 'expected json or compact' };
+    if (!PATCH_FORMATS.includes(format)) return { error: 'invalid format', detail: `expected ${PATCH_FORMATS.join(' or ')}` };
+    if (name === 'json' && format !== 'json') return { error: 'invalid format', detail: 'format applies to encoding=compact only' };
+    return { encoding: name === 'compact' ? { name, format } : null };
+  }
+
+  /** Current values of `tagIds` (registry tags only) as a patch payload. */
+  function snapshotPatch(tagIds) {
+    const myDataAll = typeof getAllData === 'function' ? (getAllData() || null) : null;
+    const tags = tagIds ? structure.registry.tags.filter(t => tagIds.has(t)) : structure.registry.tags;
+    const updates = buildSnapshot(myDataAll, tags).map(row => ({
+      tagId: row.tagId,
+      value: row.value,
+      ts: row.ts ?? Date.now(),
+      quality: row.quality
+    }));
+    return updates.length ? { updates } : null;
+  }
+
+  /**
+   * Start streaming to a client: hello, then either the events it missed
+   * (Last-Event-ID still in the replay buffer) or a fresh snapshot, then live events.
+   */
+  function openStream(key, sub, rawLastId) {
+    const missed = rawLastId != null && rawLastId !== '' ? eventsSince(Number(rawLastId)) : null;
+    const state = typeof getOpcuaState === 'function' ? (getOpcuaState() || 'unknown') : 'unknown';
+    sub.send('hello', {
+      ts: Date.now(),
+      opcuaState: state,
+      pollMs: POLL_MS,
+      rev: structure.rev,
+      encoding: sub.encoding,
+      format: sub.format,
+      resumed: !!missed,
+      subscription: { page: sub.page, tags: sub.tags ? sub.tags.size : null }
+    });
+
+    if (missed) {
+      // Resume: only what this client missed (and would have received)
+      for (const e of missed) {
+        const out = filterForClient(sub, e.type, e.data);
+        if (out) sub.send(e.type, out, e.id);
+      }
+    } else {
+      // Send initial snapshot (clients may already have it from /hmi-structure)
+      try {
+        const initial = snapshotPatch(sub.tags);
+        if (initial) sub.send('patch', initial, lastEventId);
+        try {
+          sub.send('plc-comms', plcComms.summary());
+        } catch (_) {}
+      } catch (_) {}
+    }
+
+    // Track client with its subscription
+    sseClients.set(key, sub);
+  }
+
+  /**
+   * Apply a subscribe (add=true) / unsubscribe message { tags?, page?, all? }.
+   * The first subscribe narrows an "all tags" client to what it asks for;
+   * tags newly covered get their current values right away.
+   */
+  function updateSubscription(sub, msg, add) {
+    const { tags, page, all } = msg || {};
+    const pageId = page != null && page !== '' ? String(page).trim() : null;
+    if (add && pageId && !hasPage(pageId, sub.roles)) return { ok: false, error: 'unknown page', page: pageId };
+
+    const before = sub.tags;
+    if (add) {
+      if (all === true) {
+        sub.all = true;
+        sub.requested.clear();
+        sub.page = null;
+      } else {
+        sub.all = false;
+        for (const t of splitTags(tags)) sub.requested.add(t);
+        if (pageId) sub.page = pageId;
+      }
+    } else if (all === true) {
+      sub.all = false;
+      sub.requested.clear();
+      sub.page = null;
+    } else if (!sub.all) {
+      for (const t of splitTags(tags)) sub.requested.delete(t);
+      if (pageId && sub.page === pageId) sub.page = null;
+    }
+    resolveSubscription(sub);
+
+    if (add && before) {
+      const added = new Set(sub.tags ? [...sub.tags].filter(t => !before.has(t)) : structure.registry.tags.filter(t => !before.has(t)));
+      const patch = added.size ? snapshotPatch(added) : null;
+      if (patch) sub.send('patch', patch, lastEventId);
+    }
+    return {
+      ok: true,
+      subscription: { all: sub.all, tags: [...sub.requested], page: sub.page, count: sub.tags ? sub.tags.size : null }
+    };
+  }
+
+  /** Layout tag outside every page/section `roles` may see (tags not in the layout are never hidden). */
+  function isHidden(tagId, roles) {
+    const { visible } = accessView(structure, roles);
+    return !!visible && structure.registry.metaByTag.has(tagId) && !visible.has(tagId);
+  }
+
+  /**
+   * Validate and write a command tag (only meta entries with writable: true), then publish
+   * what the source reports for it. Shared by POST /hmi-write and the socket `write` message.
+   * `roles` (from the caller's token): hidden tags are unknown, meta `writeRoles` limits who may write.
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  async function performWrite(tagId, value, roles = null) {
+    if (typeof tagId !== 'string' || !tagId.trim()) {
+      return { status: 400, body: { error: 'missing tagId' } };
+    }
+    if (typeof writeData !== 'function') {
+      return { status: 501, body: { error: 'data source is read-only' } };
+    }
+
+    const meta = resolveTagMeta(tagId.trim(), structure.registry, structure.widgetsMap);
+    if (!meta || isHidden(meta.tagId, roles)) return { status: 404, body: { error: 'unknown tag', tagId } };
+    if (meta.expr != null) return { status: 403, body: { error: 'tag is not writable', detail: 'computed tag', tagId } };
+    if (meta.writable !== true) return { status: 403, body: { error: 'tag is not writable', tagId } };
+    if (!allows(meta.writeRoles, roles)) return { status: 403, body: { error: 'forbidden', detail: 'role may not write this tag', tagId } };
+
+    const checked = coerceWriteValue(meta, value);
+    if ('error' in checked) return { status: 400, body: { error: 'invalid value', detail: checked.error, tagId } };
+
+    try {
+      await writeData(meta.tagId, checked.value);
+    } catch (e) {
+      return { status: 502, body: { error: 'write failed', detail: e?.message || String(e), tagId } };
+    }
+
+    // Read back through the source and publish like any change (history, alarms, publish filters).
+    // A source that applies the write later (OPC UA subscription) is picked up by the next poll or push.
+    const data = getAllData();
+    publishChanges(data, [meta.tagId]);
+    const { value: current, ts, quality } = readTag(data, meta.tagId);
+    return {
+      status: 200,
+      body: { ok: true, tagId: meta.tagId, requested: checked.value, value: current, ts: ts ?? Date.now(), quality, confirmed: current === checked.value }
+    };
+  }
+
+  if (WATCH_ENABLED) {
+    try {
+      watchFiles(ROOT_DIR, [path.basename(META_FILE), path.basename(LAYOUT_FILE)], reloadStructure);
+    } catch (e) {
+      console.warn(`[hmi-live] File watch unavailable: ${e.message}`);
+    }
+  }
+
+  // Trend history and alarm states follow every published change, so poll even before the first SSE client
+  history = createHistory();
+  publishFilters = createPublishFilters({
+    resolveMeta: (tagId) => resolveTagMeta(tagId, structure.registry, structure.widgetsMap)
+  });
+  alarms = createAlarmEngine({
+    resolveMeta: (tagId) => resolveTagMeta(tagId, structure.registry, structure.widgetsMap),
+    onEvent: (evt) => broadcast('alarm', evt)
+  });
+  alarms.configure(structure.registry.tags);
+  computed = createComputedTags();
+  computed.configure(structure.registry, structure.widgetsMap);
+  isLinkUp = () => typeof getOpcuaState !== 'function' || getOpcuaState() === 'connected';
+  plcComms = createPlcSupervisor({
+    getSettings: getAllSettings,
+    defaultTimeoutMs: HEARTBEAT_TIMEOUT_MS,
+    // Whole picture on every change; `changed` names the PLC, `event` is its loss/restore log entry
+    onChange: (plc, entry) => broadcast('plc-comms', { ...plcComms.summary(), changed: plc.id, event: entry })
+  });
+  if (PUSH_ENABLED && typeof onData === 'function') startPush(onData, getAllData, () => structure.registry.tags);
+  startPolling(getAllData, () => structure.registry.tags);
 
   // 2) Root (works even if OPC UA is down)
   app.get('/', (_req, res) => {
@@ -354,13 +699,36 @@ function attach(app, { getOpcuaState, getAllData, getAllSettings }) {
   app.get('/status', (_req, res) => {
     const state = typeof getOpcuaState === 'function' ? (getOpcuaState() || 'unknown') : 'unknown';
     const settings = typeof getAllSettings === 'function' ? (getAllSettings() || 'unknown') : 'unknown';
-    
+    const plc = plcComms.summary();
+
     res.json({
       settingsRegistry: settings,
       opcuaState: state,
-      tags: registry.tags.length,
+      tags: structure.registry.tags.length,
       clients: sseClients.size,
-      pollMs: POLL_MS
+      pollMs: POLL_MS,
+      updates: {
+        ...(pushMode
+          ? { mode: 'push', batchMs: BATCH_MS, resyncMs: RESYNC_MS, pending: pendingAll ? 'all' : pendingTags.size }
+          : { mode: 'poll' }),
+        suppressed: publishFilters.getStats()
+      },
+      stream: {
+        lastEventId,
+        replayBuffered: replayBuffer.length,
+        replayMax: REPLAY_MAX,
+        ws: io ? WS_PATH : null,
+        subscriptions: [...sseClients.values()].map(s => ({ transport: s.transport, encoding: s.encoding, page: s.page, tags: s.tags ? s.tags.size : null, since: s.since }))
+      },
+      structure: { rev: structure.rev, loadedAt: structure.loadedAt, lastError: structureError },
+      history: history.getStats(),
+      alarms: alarms.counts(),
+      computed: computed.getStats(),
+      plcComms: plc,
+      kpis: {
+        ...computeKpis(typeof getAllData === 'function' ? getAllData() : null, structure.registry.tags),
+        plcComms: { ok: plc.ok, ts: plc.ts, plcs: plc.plcs.length, lost: plc.plcs.filter(p => p.state === 'lost').length }
+      }
     });
   });
 
@@ -368,11 +736,15 @@ function attach(app, { getOpcuaState, getAllData, getAllSettings }) {
   app.get('/hmi-structure', (_req, res) => {
    
     const lang = (_req.query.lang || 'en').toString().trim().toLowerCase();
+    const { registry } = structure;
+    // Pages/sections and tags this caller's roles may see
+    const roles = rolesOf(_req.jwt);
+    const { layout, tags, visible } = accessView(structure, roles);
     const myDataAll = typeof getAllData === 'function' ? (getAllData() || null) : null;
-    const snapshot = buildSnapshot(myDataAll, registry.tags);
+    const snapshot = buildSnapshot(myDataAll, tags);
     // Build meta object { tagId: meta }
     const metaObj = {};
-    for (const [k, v] of registry.metaByTag.entries()) metaObj[k] = v;
+    for (const [k, v] of registry.metaByTag.entries()) if (!visible || visible.has(k)) metaObj[k] = v;
 
     const dict = loadTranslations(lang);
     
@@ -390,18 +762,23 @@ function attach(app, { getOpcuaState, getAllData, getAllSettings }) {
       version: localizedLayout.version || null,
       branding: brandingOut,
       pages: localizedLayout.pages || [],
-      tags: registry.tags,
+      tags,
       meta: localizedMeta,
       data: snapshot,
       status: {
         opcuaState: (typeof getOpcuaState === 'function' ? (getOpcuaState() || 'unknown') : 'unknown'),
         clients: sseClients.size
       },
-      i18n: { lang }
+      i18n: { lang },
+      access: { roles },
+      rev: structure.rev
     });
   });
 
   // 5) SSE for live data
+  //    ?tags=a,b and/or ?page=<pageId> narrow `patch` events to those tags;
+  //    Last-Event-ID (header, or ?lastEventId=) replays missed events instead of a full snapshot;
+  //    ?encoding=compact[&format=msgpack] sends `patch` data as { t, u: [[tagIndex, value, dt?]] }
   app.get('/hmi-data', (req, res) => {
     // Only GET allowed (common REST practice)
     if (req.method !== 'GET') {
@@ -409,33 +786,25 @@ function attach(app, { getOpcuaState, getAllData, getAllSettings }) {
       return res.status(405).send('Method Not Allowed');
     }
 
-    sseHeaders(res);
-
-    // Send initial snapshot (clients may already have it from /hmi-structure)
-    const state = typeof getOpcuaState === 'function' ? (getOpcuaState() || 'unknown') : 'unknown';
-    sseWrite(res, 'hello', { ts: Date.now(), opcuaState: state, pollMs: POLL_MS });
-
-    try {
-      const myDataAll = typeof getAllData === 'function' ? (getAllData() || null) : null;
-      const initial = buildSnapshot(myDataAll, registry.tags).map(row => ({
-        tagId: row.tagId,
-        value: row.value,
-        ts: row.ts ?? Date.now()
-      }));
-      if (initial.length) {
-        sseWrite(res, 'patch', { updates: initial });
-      }
-      try {
-        const plc = computePlcCommsState(getAllData, getAllSettings, { advanceState: true });
-        sseWrite(res, 'plc-comms', plc);
-      } catch (_) {}
-    } catch (_) {}
+    const roles = rolesOf(req.jwt);
+    const page = req.query.page ? String(req.query.page).trim() : null;
+    if (page && !hasPage(page, roles)) {
+      return res.status(404).json({ error: 'unknown page', page });
+    }
+    const enc = parseEncoding(req.query.encoding, req.query.format);
+    if (enc.error) return res.status(400).json(enc);
+    const sub = createSubscription('sse', (type, data, id) => sseWrite(res, type, data, id), {
+      tags: req.query.tags,
+      page,
+      encoding: enc.encoding,
+      roles
+    });
 
-    // Track client
-    sseClients.add(res);
+    sseHeaders(res);
+    openStream(res, sub, req.headers['last-event-id'] ?? req.query.lastEventId);
 
     // Start polling loop if not already running
-    startPolling(getAllData, getAllSettings, registry.tags);
+    startPolling(getAllData, () => structure.registry.tags);
 
     // Clean up on close
     req.on('close', () => {
@@ -443,9 +812,129 @@ function attach(app, { getOpcuaState, getAllData, getAllSettings }) {
     });
   });
 
-  // 6) Branding: stream logo image from disk
+  // 6) Write-back for command tags (only meta entries with writable: true)
+  app.post('/hmi-write', express.json({ limit: '16kb' }), async (req, res) => {
+    const { tagId, value } = req.body || {};
+    const { status, body } = await performWrite(tagId, value, rolesOf(req.jwt));
+    return res.status(status).json(body);
+  });
+
+  // 7) Trend history: GET /hmi-history?tags=a,b&from=&to=&maxPoints=
+  //    from/to: epoch ms or ISO date (default: last hour); series are downsampled
+  //    to min/max/avg buckets when a tag has more than maxPoints changes in range
+  app.get('/hmi-history', (req, res) => {
+    const tags = [...new Set(String(req.query.tags || '').split(',').map(t => t.trim()).filter(Boolean))];
+    if (!tags.length) return res.status(400).json({ error: 'missing tags' });
+    if (tags.length > HISTORY_MAX_TAGS) {
+      return res.status(400).json({ error: 'too many tags', detail: `max ${HISTORY_MAX_TAGS}` });
+    }
+    const roles = rolesOf(req.jwt);
+    const hidden = tags.filter(t => isHidden(t, roles));
+    if (hidden.length) return res.status(403).json({ error: 'forbidden', detail: 'tags not visible to this role', tags: hidden });
+
+    const to = parseTimeParam(req.query.to, Date.now());
+    const from = parseTimeParam(req.query.from, to - 60 * 60 * 1000);
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+      return res.status(400).json({ error: 'invalid range', detail: 'from/to must be epoch ms or ISO dates with from <= to' });
+    }
+
+    const maxPoints = req.query.maxPoints == null ? HISTORY_DEFAULT_POINTS : Number(req.query.maxPoints);
+    if (!Number.isInteger(maxPoints) || maxPoints < 1 || maxPoints > HISTORY_MAX_POINTS) {
+      return res.status(400).json({ error: 'invalid maxPoints', detail: `integer 1..${HISTORY_MAX_POINTS}` });
+    }
+
+    res.json({ from, to, maxPoints, series: history.query(tags, { from, to, maxPoints }) });
+  });
+
+  // 8) Alarms: lifecycle states, journal, acknowledge and shelving
+  const localizeAlarm = (a, dict) => ({ ...a, label: translateKey(a.label, dict), description: translateKey(a.description, dict) });
+  // Operator name: body `by`, else the token's name/subject (the mobile device ServerConnect acts for)
+  const byOf = (req) => {
+    const by = typeof req.body?.by === 'string' && req.body.by.trim() ? req.body.by : req.jwt?.name ?? req.jwt?.sub;
+    return typeof by === 'string' && by.trim() ? by.trim().slice(0, 64) : null;
+  };
+  // Ack/shelve need the alarm's meta `ackRoles` (if any); hidden alarms are unknown
+  const alarmForbidden = (req, res) => {
+    const tagId = req.params.tagId;
+    const roles = rolesOf(req.jwt);
+    const meta = resolveTagMeta(tagId, structure.registry, structure.widgetsMap);
+    if (isHidden(tagId, roles)) return res.status(404).json({ error: 'unknown alarm', tagId });
+    if (!allows(meta && meta.ackRoles, roles)) return res.status(403).json({ error: 'forbidden', detail: 'role may not acknowledge or shelve this alarm', tagId });
+    return null;
+  };
+  const alarmError = (res, tagId, error) => {
+    if (error === 'unknown') return res.status(404).json({ error: 'unknown alarm', tagId });
+    if (error === 'invalid-duration') return res.status(400).json({ error: 'invalid durationMs', detail: 'positive, at most 24 h', tagId });
+    return res.status(409).json({ error: `alarm ${error.replace('-', ' ')}`, tagId });
+  };
+
+  app.get('/alarms', (req, res) => {
+    const dict = loadTranslations((req.query.lang || 'en').toString().trim().toLowerCase());
+    const all = req.query.all === '1' || req.query.all === 'true';
+    const roles = rolesOf(req.jwt);
+    res.json({
+      ts: Date.now(),
+      counts: alarms.counts(),
+      alarms: alarms.list({ all }).filter(a => !isHidden(a.tagId, roles)).map(a => localizeAlarm(a, dict))
+    });
+  });
+
+  app.get('/alarms/history', (req, res) => {
+    const to = parseTimeParam(req.query.to, Date.now());
+    const from = parseTimeParam(req.query.from, 0);
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+      return res.status(400).json({ error: 'invalid range', detail: 'from/to must be epoch ms or ISO dates with from <= to' });
+    }
+    const limit = req.query.limit == null ? 500 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > ALARM_HISTORY_MAX) {
+      return res.status(400).json({ error: 'invalid limit', detail: `integer 1..${ALARM_HISTORY_MAX}` });
+    }
+    const tagId = req.query.tagId ? String(req.query.tagId).trim() : null;
+    const roles = rolesOf(req.jwt);
+    const events = alarms.history({ from, to, tagId, limit }).filter(e => !isHidden(e.tagId, roles));
+    res.json({ from, to, events });
+  });
+
+  // PLC comm-loss / restore log, newest first: ?from=&to= (epoch ms or ISO), ?plcId=, ?limit=
+  app.get('/plc-comms/history', (req, res) => {
+    const to = parseTimeParam(req.query.to, Date.now());
+    const from = parseTimeParam(req.query.from, 0);
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+      return res.status(400).json({ error: 'invalid range', detail: 'from/to must be epoch ms or ISO dates with from <= to' });
+    }
+    const limit = req.query.limit == null ? 500 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > PLC_COMMS_HISTORY_MAX) {
+      return res.status(400).json({ error: 'invalid limit', detail: `integer 1..${PLC_COMMS_HISTORY_MAX}` });
+    }
+    const plcId = req.query.plcId ? String(req.query.plcId).trim() : null;
+    res.json({ from, to, plcs: plcComms.summary().plcs, events: plcComms.history({ from, to, plcId, limit }) });
+  });
+
+  app.post('/alarms/:tagId/ack', express.json({ limit: '4kb' }), (req, res) => {
+    if (alarmForbidden(req, res)) return;
+    const { alarm, error } = alarms.ack(req.params.tagId, byOf(req));
+    if (error) return alarmError(res, req.params.tagId, error);
+    res.json({ ok: true, alarm });
+  });
+
+  app.post('/alarms/:tagId/shelve', express.json({ limit: '4kb' }), (req, res) => {
+    if (alarmForbidden(req, res)) return;
+    const { alarm, error } = alarms.shelve(req.params.tagId, { durationMs: req.body?.durationMs ?? undefined, by: byOf(req) });
+    if (error) return alarmError(res, req.params.tagId, error);
+    res.json({ ok: true, alarm });
+  });
+
+  app.post('/alarms/:tagId/unshelve', express.json({ limit: '4kb' }), (req, res) => {
+    if (alarmForbidden(req, res)) return;
+    const { alarm, error } = alarms.unshelve(req.params.tagId, byOf(req));
+    if (error) return alarmError(res, req.params.tagId, error);
+    res.json({ ok: true, alarm });
+  });
+
+  // 9) Branding: stream logo image from disk
   app.get('/branding/logo', (req, res) => {
     try {
+      const { layout } = structure;
       // Resolve logo file path from layout.branding.logo.path, default if missing
       const rel = (layout?.branding?.logo?.path).replace(/^[/\\]+/, '');
       const p = path.resolve(ROOT_DIR, '..')
@@ -486,16 +975,75 @@ function attach(app, { getOpcuaState, getAllData, getAllSettings }) {
   });
 
 
+  // 10) WebSocket transport (socket.io at WS_PATH): same hello/patch/plc-comms/heartbeat/alarm
+  //     events as /hmi-data (handler args: data, eventId).
+  //     Handshake `auth`: { token, tags?, page?, lastEventId?, encoding?, format? } (msgpack patches arrive as binary).
+  //     Client messages (with ack callback): subscribe / unsubscribe { tags?, page?, all? }, write { tagId, value }
+  function attachSocketTransport(httpServer) {
+    const { Server } = require('socket.io');
+    const ioServer = new Server(httpServer, { path: WS_PATH, serveClient: false });
+    const reply = (ack, payload) => { if (typeof ack === 'function') ack(payload); };
+
+    // Same JWT check as the HTTP routes (socket.io requests never reach the express middleware)
+    ioServer.use((socket, next) => {
+      const { auth = {}, headers = {}, query = {} } = socket.handshake;
+      const m = String(headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+      const token = auth.token || (m && m[1]);
+      if (!token) return next(new Error('missing bearer token'));
+      try {
+        socket.data.jwt = verifyInternal(token);
+      } catch (err) {
+        return next(new Error(`invalid token: ${err.message}`));
+      }
+      const page = auth.page ?? query.page;
+      if (page && !hasPage(String(page), rolesOf(socket.data.jwt))) return next(new Error(`unknown page: ${page}`));
+      const enc = parseEncoding(auth.encoding ?? query.encoding, auth.format ?? query.format);
+      if (enc.error) return next(new Error(`${enc.error}: ${enc.detail}`));
+      socket.data.encoding = enc.encoding;
+      next();
+    });
+
+    ioServer.on('connection', (socket) => {
+      const { auth = {}, query = {} } = socket.handshake;
+      const sub = createSubscription('ws', (type, data, id) => socket.emit(type, data, id), {
+        tags: auth.tags ?? query.tags,
+        page: auth.page ?? query.page,
+        encoding: socket.data.encoding,
+        roles: rolesOf(socket.data.jwt)
+      });
+      openStream(socket, sub, auth.lastEventId ?? query.lastEventId);
+
+      socket.on('subscribe', (msg, ack) => reply(ack, updateSubscription(sub, msg, true)));
+      socket.on('unsubscribe', (msg, ack) => reply(ack, updateSubscription(sub, msg, false)));
+      socket.on('write', async (msg, ack) => {
+        const { status, body } = await performWrite(msg?.tagId, msg?.value, sub.roles);
+        reply(ack, { status, ...body });
+      });
+      socket.on('disconnect', () => sseClients.delete(socket));
+    });
+    return ioServer;
+  }
+
+  let io = null;
+  if (server) {
+    try {
+      io = attachSocketTransport(server);
+    } catch (e) {
+      console.warn(`[hmi-live] WebSocket transport unavailable: ${e.message}`);
+    }
+  }
+
   // Optional: small keepalive to prevent idle timeouts (comment out if not needed)
   setInterval(() => {
     if (!sseClients.size) return;
-    for (const c of sseClients) {
-      try { sseWrite(c, 'heartbeat', { ts: Date.now() }); } catch {}
+    // Carries the latest id so filtered clients resume from "now" even if none of their tags changed
+    for (const sub of sseClients.values()) {
+      try { sub.send('heartbeat', { ts: Date.now() }, lastEventId); } catch {}
     }
   }, 3000);
 
   // Log basic info
-  console.log(`[hmi-live] Loaded widgets: ${widgetsMap.size}, pages: ${Array.isArray(layout.pages) ? layout.pages.length : 0}, tags: ${registry.tags.length}`);
+  console.log(`[hmi-live] Loaded widgets: ${initial.widgetsMap.size}, pages: ${Array.isArray(initial.layout.pages) ? initial.layout.pages.length : 0}, tags: ${structure.registry.tags.length}`);
 }
 
 module.exports = { attach };
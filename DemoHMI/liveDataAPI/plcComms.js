@@ -0,0 +1,235 @@
+/*****************************************************************************
+ * PLC comms supervision for hmi-live
+ * - Supervised PLCs come from componentsRegistry `plcs`:
+ *     [{ id, name?, tag, strategy, timeoutMs?, tags?, ...strategy options }]
+ *   without `plcs` there is one PLC, "plc1", on the HEARTBEAT tag (HEARTBEAT_STRATEGY, default change)
+ * - `tags` (globs, e.g. "TOHMI_Safety*") are the tags a PLC supervises; without `tags`,
+ *   the PLC supervises every tag
+ * - A strategy decides whether a new value of the tag is a beat:
+ *     change (toggle)    the value changed: any counter, wrap included, or a toggling bit
+ *     counter-increment  the number went up
+ *     counter-rollover   went up, or wrapped after reaching `max`; at `max` the PLC may
+ *                        pause `pauseMs` longer (the simulator's 1..300 + 3 s handshake)
+ *     timestamp          the PLC clock in the tag moved forward (epoch s/ms or ISO);
+ *                        with `maxAgeMs` it must also be that close to our clock
+ * - No beat for timeoutMs (default HEARTBEAT_TIMEOUT_MS) = comm loss. Loss and restore
+ *   transitions go to onChange and to an in-memory log (PLC_COMMS_LOG_MAX entries)
+ * - lostFor(tagId) tells hmi-live which tags to flag stale while a PLC is lost
+ ****************************************************************************/
+const STRATEGIES = ['change', 'toggle', 'counter-increment', 'counter-rollover', 'timestamp'];
+const LOG_MAX = Number(process.env.PLC_COMMS_LOG_MAX || 1000);
+
+/** RegExp for a tag glob (`*` = any run of characters). */
+function globRegex(glob) {
+  const escaped = String(glob).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + escaped.replace(/\*/g, '.*') + '$');
+}
+
+const num = (v) => (v === true ? 1 : v === false ? 0 : v == null || v === '' ? NaN : Number(v));
+
+/** Epoch ms from a PLC clock value (seconds below 1e12), or NaN. */
+function clockMs(v) {
+  if (typeof v === 'string' && !/^\d+(\.\d+)?$/.test(v.trim())) return Date.parse(v);
+  const n = num(v);
+  return n < 1e12 ? n * 1000 : n;
+}
+
+/** Is `value` (after `prev`) a beat under the PLC's strategy? */
+function isBeat(plc, value, prev) {
+  if (prev === undefined) return false;
+  switch (plc.strategy) {
+    case 'change':
+    case 'toggle':
+      return value !== prev;
+    case 'counter-increment':
+      return num(value) > num(prev);
+    case 'counter-rollover': {
+      const n = num(value);
+      const p = num(prev);
+      return n > p || (p >= plc.max && n < p);
+    }
+    case 'timestamp':
+      return clockMs(value) > clockMs(prev);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validated PLC list from the registry (invalid entries are skipped with a warning).
+ * @param {Object} settings componentsRegistry
+ * @param {number} defaultTimeoutMs
+ */
+function plcsFromSettings(settings, defaultTimeoutMs) {
+  const list = Array.isArray(settings.plcs)
+    ? settings.plcs
+    : [{ id: 'plc1', tag: settings.HEARTBEAT || 'TOHMI_CRC_Handshake', strategy: settings.HEARTBEAT_STRATEGY || 'change' }];
+  const out = [];
+  for (const p of list) {
+    if (!p || typeof p.id !== 'string' || typeof p.tag !== 'string' || !STRATEGIES.includes(p.strategy) || out.some(o => o.id === p.id)) {
+      console.warn(`[plc-comms] skipped PLC ${JSON.stringify(p && p.id)}: needs a unique id, a tag and a strategy (${STRATEGIES.join(', ')})`);
+      continue;
+    }
+    out.push({
+      id: p.id,
+      name: p.name || p.id,
+      tag: p.tag,
+      strategy: p.strategy,
+      timeoutMs: Number(p.timeoutMs) > 0 ? Number(p.timeoutMs) : defaultTimeoutMs,
+      min: Number.isFinite(Number(p.min)) ? Number(p.min) : 0,
+      max: Number.isFinite(Number(p.max)) ? Number(p.max) : Infinity,
+      pauseMs: Number(p.pauseMs) > 0 ? Number(p.pauseMs) : 0,
+      maxAgeMs: Number(p.maxAgeMs) > 0 ? Number(p.maxAgeMs) : null,
+      tags: Array.isArray(p.tags) ? p.tags.filter(t => typeof t === 'string') : null
+    });
+  }
+  return out;
+}
+
+/**
+ * Create the supervisor.
+ * @param {{ getSettings: () => Object, defaultTimeoutMs: number, onChange?: (plc: Object, entry: Object|null) => void }} opts
+ *   onChange: called on every state change with the PLC's view and the log entry (loss/restore) or null
+ */
+function createPlcSupervisor({ getSettings, defaultTimeoutMs, onChange = () => {} }) {
+  let plcs = [];               // config + runtime state
+  let configKey = null;
+  const log = [];              // newest last, capped at LOG_MAX
+
+  /** (Re)build the PLC list when the registry changes; PLCs with the same config keep their state. */
+  function configure(now) {
+    const settings = (typeof getSettings === 'function' ? getSettings() : null) || {};
+    const key = JSON.stringify([settings.plcs, settings.HEARTBEAT, settings.HEARTBEAT_STRATEGY]);
+    if (key === configKey) return;
+    configKey = key;
+    const next = plcsFromSettings(settings, defaultTimeoutMs);
+    plcs = next.map((cfg) => {
+      const known = plcs.find(p => p.id === cfg.id && JSON.stringify(p.cfg) === JSON.stringify(cfg));
+      return known || {
+        cfg,
+        ...cfg,
+        tagRegexes: cfg.tags ? cfg.tags.map(globRegex) : null,
+        state: 'unknown',
+        since: now,
+        startedAt: now,
+        lastValue: undefined,
+        lastBeatTs: null,
+        lostAt: null,
+        losses: 0,
+        lastLossAt: null,
+        lastRestoreAt: null
+      };
+    });
+  }
+
+  /** Silence allowed after the last beat (plus the pause at the top of a rollover counter). */
+  const allowedMs = (plc) => plc.timeoutMs + (plc.strategy === 'counter-rollover' && num(plc.lastValue) >= plc.max ? plc.pauseMs : 0);
+
+  function stateOf(plc, now) {
+    if (plc.lastBeatTs == null) return now - plc.startedAt <= allowedMs(plc) ? 'unknown' : 'lost';
+    if (now - plc.lastBeatTs > allowedMs(plc)) return 'lost';
+    if (plc.strategy === 'timestamp' && plc.maxAgeMs != null && Math.abs(now - clockMs(plc.lastValue)) > plc.maxAgeMs) return 'lost';
+    return 'ok';
+  }
+
+  const view = (plc) => ({
+    id: plc.id,
+    name: plc.name,
+    tag: plc.tag,
+    strategy: plc.strategy,
+    state: plc.state,
+    ok: plc.state === 'ok',
+    since: plc.since,
+    value: plc.lastValue ?? null,
+    lastBeatTs: plc.lastBeatTs,
+    timeoutMs: plc.timeoutMs,
+    losses: plc.losses,
+    lastLossAt: plc.lastLossAt,
+    lastRestoreAt: plc.lastRestoreAt
+  });
+
+  function transition(plc, state, now) {
+    const prev = plc.state;
+    plc.state = state;
+    plc.since = now;
+    let entry = null;
+    if (state === 'lost') {
+      plc.lostAt = now;
+      plc.losses++;
+      plc.lastLossAt = now;
+      entry = { ts: now, plcId: plc.id, name: plc.name, type: 'loss', value: plc.lastValue ?? null, lastBeatTs: plc.lastBeatTs };
+    } else if (prev === 'lost') {
+      plc.lastRestoreAt = now;
+      entry = { ts: now, plcId: plc.id, name: plc.name, type: 'restore', value: plc.lastValue ?? null, downMs: now - plc.lostAt };
+      plc.lostAt = null;
+    }
+    if (entry) {
+      log.push(entry);
+      if (log.length > LOG_MAX) log.splice(0, log.length - LOG_MAX);
+    }
+    onChange(view(plc), entry);
+  }
+
+  /**
+   * Feed the current tag values (call once per poll).
+   * @param {(tagId: string) => any} readValue
+   */
+  function sample(readValue, now = Date.now()) {
+    configure(now);
+    for (const plc of plcs) {
+      const value = readValue(plc.tag);
+      if (isBeat(plc, value, plc.lastValue)) plc.lastBeatTs = now;
+      plc.lastValue = value;
+      const state = stateOf(plc, now);
+      if (state !== plc.state) transition(plc, state, now);
+    }
+  }
+
+  /**
+   * All PLCs: `ok` only when every PLC is; tag/value/timeoutMs are the first PLC's
+   * (the single-heartbeat `plc-comms` payload clients already read).
+   */
+  function summary(now = Date.now()) {
+    if (!configKey) configure(now);
+    const list = plcs.map(view);
+    const first = list[0] || {};
+    return {
+      ok: list.length > 0 && list.every(p => p.ok),
+      ts: now,
+      tag: first.tag ?? null,
+      value: first.value ?? null,
+      timeoutMs: first.timeoutMs ?? defaultTimeoutMs,
+      plcs: list
+    };
+  }
+
+  /** Log entries in [from, to] (optionally one PLC), newest first. */
+  function history({ from = 0, to = Date.now(), plcId = null, limit = 500 } = {}) {
+    const out = [];
+    for (let i = log.length - 1; i >= 0 && out.length < limit; i--) {
+      const e = log[i];
+      if (e.ts < from || e.ts > to || (plcId && e.plcId !== plcId)) continue;
+      out.push(e);
+    }
+    return out;
+  }
+
+  /**
+   * Id of a lost PLC serving `tagId`, or null (PLCs without `tags` serve every tag).
+   * @param {string} tagId
+   * @returns {string|null}
+   */
+  function lostFor(tagId) {
+    for (const plc of plcs) {
+      if (plc.state === 'lost' && (!plc.tagRegexes || plc.tagRegexes.some(r => r.test(tagId)))) return plc.id;
+    }
+    return null;
+  }
+
+  /** Ids of the lost PLCs. */
+  const lostIds = () => plcs.filter(p => p.state === 'lost').map(p => p.id);
+
+  return { sample, summary, history, lostFor, lostIds };
+}
+
+module.exports = { createPlcSupervisor, STRATEGIES };
@@ -0,0 +1,92 @@
+/*****************************************************************************
+ * Publish filters for hmi-live patches (meta.ndjson `publish`)
+ * - deadband: absolute change (raw units, before format.divideBy) a number must exceed
+ * - deadbandPct: percent of the tag's min..max span (or of the last published value)
+ * - minIntervalMs: minimum time between two publishes of the tag
+ * - maxAgeMs: a held-back change is published once the last published value is
+ *   this old (default SSE_MAX_AGE_MS), so clients never lag more than that
+ ****************************************************************************/
+const DEFAULT_MAX_AGE_MS = Number(process.env.SSE_MAX_AGE_MS || 10000);
+
+/** Compile a tag's meta into a filter; null when it has no publish settings. */
+function compileFilter(meta, defaultMaxAgeMs) {
+  const p = meta && meta.publish;
+  if (!p || typeof p !== 'object') return null;
+
+  const positive = (v) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : 0);
+  const abs = positive(p.deadband);
+  const pct = positive(p.deadbandPct) / 100;
+  const minIntervalMs = positive(p.minIntervalMs);
+  if (!abs && !pct && !minIntervalMs) return null;
+
+  const span = Number.isFinite(meta.min) && Number.isFinite(meta.max) && meta.max > meta.min ? meta.max - meta.min : null;
+  return {
+    minIntervalMs,
+    maxAgeMs: positive(p.maxAgeMs) || defaultMaxAgeMs,
+    threshold: (prevValue) => Math.max(abs, pct * (span ?? Math.abs(prevValue)))
+  };
+}
+
+/**
+ * Create the per-tag publish filters.
+ * @param {{ resolveMeta: (tagId: string) => Object|null, defaultMaxAgeMs?: number }} opts
+ * @returns {{ holdBack: Function, release: Function, held: Map<string, any>, reset: Function, getStats: Function }}
+ */
+function createPublishFilters({ resolveMeta, defaultMaxAgeMs = DEFAULT_MAX_AGE_MS }) {
+  const cache = new Map();      // tagId -> compiled filter | null
+  const held = new Map();       // tagId -> latest value not published yet
+  const stats = { deadband: 0, rate: 0, refreshed: 0 };
+
+  const filterFor = (tagId) => {
+    if (!cache.has(tagId)) cache.set(tagId, compileFilter(resolveMeta(tagId), defaultMaxAgeMs));
+    return cache.get(tagId);
+  };
+
+  /**
+   * Should this change wait? `prev` is the last published { value, sentAt }.
+   * @returns {boolean} true = suppressed (the tag stays held until a later check lets it through)
+   */
+  function holdBack(tagId, prev, value, now = Date.now()) {
+    const f = filterFor(tagId);
+    if (!f) return false;
+
+    const age = now - (prev.sentAt ?? 0);
+    let reason = null;
+    if (f.minIntervalMs && age < f.minIntervalMs) {
+      reason = 'rate';
+    } else if (typeof value === 'number' && typeof prev.value === 'number') {
+      const threshold = f.threshold(prev.value);
+      if (threshold > 0 && Math.abs(value - prev.value) <= threshold) reason = 'deadband';
+    }
+
+    if (reason && age < f.maxAgeMs) {
+      // Count each distinct suppressed value once (polling sees the same one every tick)
+      if (!held.has(tagId) || held.get(tagId) !== value) stats[reason]++;
+      held.set(tagId, value);
+      return true;
+    }
+    if (reason) stats.refreshed++;
+    held.delete(tagId);
+    return false;
+  }
+
+  /** The tag is back at its published value (nothing left to send). */
+  function release(tagId) {
+    held.delete(tagId);
+  }
+
+  /** Forget compiled filters (meta changed on hot reload). */
+  function reset() {
+    cache.clear();
+  }
+
+  function getStats() {
+    let filtered = 0;
+    for (const f of cache.values()) if (f) filtered++;
+    return { ...stats, total: stats.deadband + stats.rate, held: held.size, filteredTags: filtered, defaultMaxAgeMs };
+  }
+
+  return { holdBack, release, held, reset, getStats };
+}
+
+module.exports = { createPublishFilters, compileFilter };
@@ -0,0 +1,222 @@
+/*****************************************************************************
+ * Structure loaders and tag registry for hmi-live
+ * - meta.ndjson: widget/meta templates ("#" = numeric placeholder)
+ * - layout.json: pages/sections/widgets referencing concrete tags
+ * - buildRegistry: concrete tags from layout + materialized meta
+ ****************************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ---------- Config paths ----------
+const ROOT_DIR = __dirname;
+const META_FILE = path.join(ROOT_DIR, 'meta.ndjson');
+const LAYOUT_FILE  = path.join(ROOT_DIR, 'layout.json');
+
+// ---------- Loaders ----------
+/** Parse meta.ndjson text into Map<templateTagId, templateMeta>.
+ * strict=false skips malformed lines (pushing "line N: reason" into `skipped`);
+ * strict=true throws on the first one (with line number). */
+function parseWidgetsNDJSON(raw, { strict = false, skipped = null } = {}) {
+  const map = new Map();
+  const lines = raw.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const l = lines[i].trim();
+    if (!l) continue;
+    try {
+      const obj = JSON.parse(l);
+      if (obj && obj.tagId) map.set(String(obj.tagId), obj);
+      else if (strict) throw new Error('missing "tagId"');
+    } catch (e) {
+      if (strict) throw new Error(`meta.ndjson line ${i + 1}: ${e.message}`);
+      if (skipped) skipped.push(`line ${i + 1}: ${e.message}`);
+    }
+  }
+  return map;
+}
+
+function loadWidgetsNDJSON(file = META_FILE) {
+  // Return Map<templateTagId, templateMeta>
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch { /* file missing -> empty */
+    return new Map();
+  }
+  const skipped = [];
+  const map = parseWidgetsNDJSON(raw, { skipped });
+  if (skipped.length) {
+    console.warn(`[hmi-live] ${path.basename(file)}: skipped ${skipped.length} malformed line(s) (${skipped.join('; ')}); run "npm run lint-layout"`);
+  }
+  return map;
+}
+
+function loadLayoutJSON(file = LAYOUT_FILE) {
+  try {
+    const raw = fs.readFileSync(file, 'utf8');
+    const json = JSON.parse(raw);
+    return json && typeof json === 'object' ? json : { pages: [] };
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[hmi-live] ${path.basename(file)}: ${e.message}; serving no pages (run "npm run lint-layout")`);
+    return { pages: [] };
+  }
+}
+
+/** Read layout.json + meta.ndjson for a hot reload; throws on any parse error so
+ * the caller can keep the last good structure. Also returns a content hash. */
+function readStructureStrict() {
+  const metaRaw = fs.readFileSync(META_FILE, 'utf8');
+  const layoutRaw = fs.readFileSync(LAYOUT_FILE, 'utf8');
+
+  const widgetsMap = parseWidgetsNDJSON(metaRaw, { strict: true });
+  let layout;
+  try {
+    layout = JSON.parse(layoutRaw);
+  } catch (e) {
+    throw new Error(`layout.json: ${e.message}`);
+  }
+  if (!layout || typeof layout !== 'object' || !Array.isArray(layout.pages)) {
+    throw new Error('layout.json: "pages" must be an array');
+  }
+
+  const hash = crypto.createHash('sha1').update(metaRaw).update('\0').update(layoutRaw).digest('hex');
+  return { widgetsMap, layout, hash };
+}
+
+// ---------- Template resolver ----------
+function escReg(s) { return s.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&'); }
+
+/** Try to match a concrete tag against a single-# template. Return captured number or null. */
+function captureNumbers(concrete, templateWithHashes) {
+  // Escape regex metachars but keep '#' unescaped so we can transform them
+  const pattern = '^' + escReg(templateWithHashes).replace(/#/g, '([0-9]+)') + '$';
+  const rx = new RegExp(pattern);
+  const m = concrete.match(rx);
+  return m ? m.slice(1) : null; // all captured numbers as strings
+}
+
+/** Replace each '#' in a string with the next capture value. */
+function applyCaptures(str, caps) {
+  if (!str || !Array.isArray(caps) || caps.length === 0) return str;
+  let i = 0;
+  return String(str).replace(/#/g, () => (caps[i++] ?? ''));
+}
+
+/** Build meta for a concrete tag from a template (apply all '#' placeholders). */
+function materializeTemplate(tpl, concreteTag) {
+  const caps = captureNumbers(concreteTag, tpl.tagId); // array or null
+  const meta = { ...tpl, tagId: concreteTag };
+
+  if (typeof meta.label === 'string') {
+    meta.label = applyCaptures(meta.label, caps || []);
+  }
+  if (typeof meta.description === 'string') {
+    meta.description = applyCaptures(meta.description, caps || []);
+  }
+  
+  return meta;
+}
+
+// ---------- Layout utilities ----------
+/** Collect concrete tag references from layout; support items[] or widgets[]; string or {tagId} object. */
+const TAG_REGEX = /^(TOHMI_|FRMHMI_|ALARM_|WARNING_|Feedpoint\d+_|Recipe_Feedpoint\d+_)/;
+
+function collectConcreteTags(layout) {
+  const found = [];
+  const seen = new Set();
+
+  const add = (tagId, override = null) => {
+    if (!tagId || typeof tagId !== 'string') return;
+    const id = tagId.trim();
+    if (!id || !TAG_REGEX.test(id) || seen.has(id)) return;
+    seen.add(id);
+    found.push({ tagId: id, override });
+  };
+
+  const scan = (val) => {
+    if (!val) return;
+
+    // string
+    if (typeof val === 'string') {
+      if (!val.startsWith('key_')) add(val, null);
+      return;
+    }
+
+    // array
+    if (Array.isArray(val)) {
+      for (const v of val) scan(v);
+      return;
+    }
+
+    // object
+    if (typeof val === 'object') {
+      // Legacy { tagId, override }
+      if (typeof val.tagId === 'string') {
+        add(val.tagId, val.override || null);
+      }
+      for (const [k, v] of Object.entries(val)) {
+        if (k === 'override' || k === 'component' || k === 'key' || k === 'title' || k === 'id') continue;
+        scan(v);
+      }
+    }
+  };
+
+  const pages = Array.isArray(layout.pages) ? layout.pages : [];
+  for (const p of pages) {
+    const sections = Array.isArray(p.sections) ? p.sections : [];
+    for (const s of sections) {
+      const items = Array.isArray(s.items) ? s.items : (Array.isArray(s.widgets) ? s.widgets : []);
+      for (const it of items) scan(it);
+    }
+  }
+  return found;
+}
+
+/** Build registry: { tags: string[], metaByTag: Map, overrides applied } */
+function buildRegistry(layout, widgetsMap) {
+  const entries = collectConcreteTags(layout);
+ 
+  const tags = [];
+  const metaByTag = new Map();
+
+  for (const { tagId, override } of entries) {
+    // Find matching template: normalize by replacing first number block with '#'
+    let chosen = null;
+    for (const [tplId, tpl] of widgetsMap) {
+      if (captureNumbers(tagId, tplId)) { chosen = tpl; break; }
+    }
+    const base = chosen || { tagId, label: tagId, widget: 'raw', valueType: 'string' };
+    const concreteMeta = materializeTemplate(base, tagId);
+    const merged = override ? ({ ...concreteMeta, ...override }) : concreteMeta;
+    if (!metaByTag.has(tagId)) {
+      metaByTag.set(tagId, merged);
+      tags.push(tagId);
+    }
+  }
+  return { tags, metaByTag };
+}
+
+/** Resolve meta for any concrete tag: registry first, then meta.ndjson templates. */
+function resolveTagMeta(tagId, registry, widgetsMap) {
+  if (registry.metaByTag.has(tagId)) return registry.metaByTag.get(tagId);
+  for (const [tplId, tpl] of widgetsMap) {
+    if (captureNumbers(tagId, tplId)) return materializeTemplate(tpl, tagId);
+  }
+  return null;
+}
+
+module.exports = {
+  META_FILE,
+  LAYOUT_FILE,
+  TAG_REGEX,
+  parseWidgetsNDJSON,
+  loadWidgetsNDJSON,
+  loadLayoutJSON,
+  readStructureStrict,
+  captureNumbers,
+  materializeTemplate,
+  collectConcreteTags,
+  buildRegistry,
+  resolveTagMeta
+};
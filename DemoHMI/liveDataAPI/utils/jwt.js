@@ -8,28 +8,38 @@
  * Minimal HS256 JWT helpers for internal calls (ServerConnect <-> DataHandler)
  ****************************************************************************/
 const jwt = require('jsonwebtoken');
-const { getServerId, deriveSharedSecret } = require('./identity');
+const { getServerId, getVerificationKeys } = require('iir-shared/identity');
 
 const ISSUER = 'serverconnect'; // kept simple; both sides must align
 const AUDIENCE_PREFIX = 'hmilive:'; // audience ties token to this machine
 
 /** Verify internal HS256 JWT (issuer/audience bound to this server; throws on invalid).
+ * The `kid` header picks the key; during a rotation the previous key is still accepted.
  * @param {string} token
  * @returns {Object} Decoded claims
  */
 function verifyInternal(token) {
-  const key = deriveSharedSecret();
   const aud = `${AUDIENCE_PREFIX}${getServerId()}`;
-  console.log("aud: ",aud);
-  
+  const header = (jwt.decode(token, { complete: true }) || {}).header || {};
+  const keys = getVerificationKeys(header.kid);
+  if (!keys.length) throw new Error(`unknown key id ${header.kid}`);
+
   // Throws on invalid token; caller should catch and 401
-  const decoded = jwt.verify(token, key, {
-    algorithms: ['HS256'],
-    issuer: ISSUER,
-    audience: aud,
-    clockTolerance: 5, // seconds skew allowed
-  });
-  return decoded;
+  let lastErr;
+  for (const key of keys) {
+    try {
+      return jwt.verify(token, key, {
+        algorithms: ['HS256'],
+        issuer: ISSUER,
+        audience: aud,
+        clockTolerance: 5, // seconds skew allowed
+      });
+    } catch (err) {
+      lastErr = err;
+      if (err.name !== 'JsonWebTokenError' || err.message !== 'invalid signature') break;
+    }
+  }
+  throw lastErr;
 }
 
 module.exports = {verifyInternal};
@@ -0,0 +1,30 @@
+/*****************************************************************************
+ * Debounced directory watcher for config files (layout.json / meta.ndjson)
+ ****************************************************************************/
+const fs = require('fs');
+
+/** Watch `names` inside `dir`; call onChange once per burst of events.
+ * Watches the directory (not the files) so editors that save via rename keep working.
+ * @param {string} dir
+ * @param {string[]} names
+ * @param {() => void} onChange
+ * @param {{debounceMs?: number}} [opts]
+ * @returns {() => void} stop function
+ */
+function watchFiles(dir, names, onChange, { debounceMs = 300 } = {}) {
+  let timer = null;
+  const watcher = fs.watch(dir, (_event, filename) => {
+    // Some platforms omit the filename; reload in that case too
+    if (filename && !names.includes(String(filename))) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  });
+  watcher.on('error', (err) => console.warn(`[hmi-live] watcher error on ${dir}: ${err.message}`));
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
+
+module.exports = { watchFiles };
@@ -0,0 +1,47 @@
+/*****************************************************************************
+ * Change feed for the simulator's tag buffer
+ * - Wraps the buffer in a Proxy: every assignment that changes a tag's value or
+ *   quality notifies listeners with that tagId (animators, scenarios, writes and the
+ *   OPC UA source all write through it)
+ * - `onData` matches hmi-live's attach() contract; hmi-live batches the calls
+ ****************************************************************************/
+const { EventEmitter } = require('events');
+
+/** Plain value or the `value` of a { value, ts, quality } entry (OPC UA mode). */
+const valueOf = (v) => (v && typeof v === 'object' && 'value' in v ? v.value : v);
+/** `quality` of a { value, ts, quality } entry; plain values have none. */
+const qualityOf = (v) => (v && typeof v === 'object' ? v.quality : undefined);
+
+/**
+ * @param {Object} [target] initial buffer contents
+ * @returns {{ buffer: Object, onData: (listener: (tagId: string) => void) => () => void }}
+ */
+function createChangeFeed(target = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  const buffer = new Proxy(target, {
+    set(obj, tagId, next) {
+      const prev = obj[tagId];
+      const changed = !(tagId in obj) || valueOf(prev) !== valueOf(next) || qualityOf(prev) !== qualityOf(next);
+      obj[tagId] = next;
+      if (changed && typeof tagId === 'string') emitter.emit('change', tagId);
+      return true;
+    },
+    deleteProperty(obj, tagId) {
+      const had = tagId in obj;
+      delete obj[tagId];
+      if (had && typeof tagId === 'string') emitter.emit('change', tagId);
+      return true;
+    }
+  });
+
+  function onData(listener) {
+    emitter.on('change', listener);
+    return () => emitter.off('change', listener);
+  }
+
+  return { buffer, onData };
+}
+
+module.exports = { createChangeFeed };
@@ -0,0 +1,191 @@
+/*****************************************************************************
+ * OPC UA data source for the HMI simulator
+ * - Connects to a configurable endpoint (security mode/policy, optional user)
+ * - Maps each HMI tag to a NodeId (explicit map or "ns=1;s={tag}" template)
+ * - Subscribes and writes { value, ts, quality } (source timestamp, StatusCode severity) into the shared buffer
+ * - Tracks connection state: connecting | connected | reconnecting | disconnected
+ * - Writes command values back using the node's own DataType
+ ****************************************************************************/
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../config/opcua.json');
+
+const DEFAULTS = {
+  endpoint: 'opc.tcp://127.0.0.1:4840',
+  securityMode: 'None',          // None | Sign | SignAndEncrypt
+  securityPolicy: 'None',        // None | Basic128Rsa15 | Basic256 | Basic256Sha256 | ...
+  user: null,                    // { userName, password } or null for anonymous
+  nodeIdTemplate: 'ns=1;s={tag}',
+  nodeIds: {},                   // { [tagId]: nodeId } explicit overrides
+  samplingIntervalMs: 250,
+  publishingIntervalMs: 250,
+  maxRetryDelayMs: 10000
+};
+
+/** Load OPC UA settings from JSON file (if present) and env overrides.
+ * @param {string} [file]
+ * @returns {Object}
+ */
+function loadOpcuaConfig(file = process.env.OPCUA_CONFIG || DEFAULT_CONFIG_FILE) {
+  let fromFile = {};
+  try {
+    fromFile = JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[opcua] Failed to read ${file}: ${e.message}`);
+  }
+
+  const cfg = { ...DEFAULTS, ...fromFile };
+  if (process.env.OPCUA_ENDPOINT) cfg.endpoint = process.env.OPCUA_ENDPOINT;
+  if (process.env.OPCUA_SECURITY_MODE) cfg.securityMode = process.env.OPCUA_SECURITY_MODE;
+  if (process.env.OPCUA_SECURITY_POLICY) cfg.securityPolicy = process.env.OPCUA_SECURITY_POLICY;
+  if (process.env.OPCUA_USER) {
+    cfg.user = { userName: process.env.OPCUA_USER, password: process.env.OPCUA_PASSWORD || '' };
+  }
+  return cfg;
+}
+
+/** Resolve the NodeId for a tag (explicit map wins over template). */
+function nodeIdForTag(cfg, tagId) {
+  if (cfg.nodeIds && cfg.nodeIds[tagId]) return cfg.nodeIds[tagId];
+  return String(cfg.nodeIdTemplate || DEFAULTS.nodeIdTemplate).replace(/\{tag\}/g, tagId);
+}
+
+/** Normalize OPC UA variant values to what the HMI expects (booleans as 0/1). */
+function toHmiValue(v) {
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (v instanceof Date) return v.getTime();
+  return v ?? null;
+}
+
+/** good | uncertain | bad from a StatusCode's severity bits (missing = good). */
+function toHmiQuality(statusCode) {
+  const severity = statusCode ? statusCode.value >>> 30 : 0;
+  return severity === 0 ? 'good' : severity === 1 ? 'uncertain' : 'bad';
+}
+
+/**
+ * Create an OPC UA source that feeds `buffer` for the given tags.
+ * @param {{ buffer: Object, tags: string[], config?: Object, onState?: (state: string) => void }} opts
+ * @returns {{ start: () => Promise<void>, stop: () => Promise<void>, write: (tagId: string, value: any) => Promise<void>, getState: () => string }}
+ */
+function createOpcuaSource({ buffer, tags, config = loadOpcuaConfig(), onState = () => {} }) {
+  // Required lazily so MOCK mode works without the OPC UA stack loaded
+  const {
+    OPCUAClient,
+    MessageSecurityMode,
+    SecurityPolicy,
+    AttributeIds,
+    DataType,
+    StatusCodes,
+    TimestampsToReturn,
+    UserTokenType,
+    ClientSubscription,
+    ClientMonitoredItemGroup
+  } = require('node-opcua-client');
+
+  const securityMode = MessageSecurityMode[config.securityMode];
+  const securityPolicy = SecurityPolicy[config.securityPolicy];
+  if (securityMode === undefined) throw new Error(`unknown OPC UA securityMode "${config.securityMode}"`);
+  if (securityPolicy === undefined) throw new Error(`unknown OPC UA securityPolicy "${config.securityPolicy}"`);
+
+  let state = 'disconnected';
+  let client = null;
+  let session = null;
+  let subscription = null;
+  let stopping = false;
+
+  const setState = (next) => {
+    if (state === next) return;
+    state = next;
+    console.log(`[opcua] ${next} (${config.endpoint})`);
+    onState(next);
+  };
+
+  const onChanged = (tagId, dataValue) => {
+    const ts = dataValue.sourceTimestamp || dataValue.serverTimestamp;
+    buffer[tagId] = {
+      value: toHmiValue(dataValue.value ? dataValue.value.value : null),
+      ts: ts ? ts.getTime() : Date.now(),
+      quality: toHmiQuality(dataValue.statusCode)
+    };
+  };
+
+  async function subscribe() {
+    subscription = ClientSubscription.create(session, {
+      requestedPublishingInterval: config.publishingIntervalMs,
+      requestedLifetimeCount: 100,
+      requestedMaxKeepAliveCount: 10,
+      maxNotificationsPerPublish: 0,
+      publishingEnabled: true,
+      priority: 10
+    });
+
+    const items = tags.map(tagId => ({ nodeId: nodeIdForTag(config, tagId), attributeId: AttributeIds.Value }));
+    const group = ClientMonitoredItemGroup.create(
+      subscription,
+      items,
+      { samplingInterval: config.samplingIntervalMs, discardOldest: true, queueSize: 1 },
+      TimestampsToReturn.Both
+    );
+    group.on('changed', (_item, dataValue, index) => onChanged(tags[index], dataValue));
+  }
+
+  async function start() {
+    stopping = false;
+    setState('connecting');
+
+    client = OPCUAClient.create({
+      applicationName: 'DemoHMI',
+      securityMode,
+      securityPolicy,
+      endpointMustExist: false,
+      keepSessionAlive: true,
+      connectionStrategy: { initialDelay: 1000, maxDelay: config.maxRetryDelayMs, maxRetry: Infinity }
+    });
+    client.on('backoff', () => { if (state !== 'reconnecting') setState('connecting'); });
+    client.on('connection_lost', () => setState('reconnecting'));
+    client.on('connection_reestablished', () => setState('connected'));
+    client.on('close', () => { if (!stopping) setState('disconnected'); });
+
+    await client.connect(config.endpoint);
+
+    const identity = config.user
+      ? { type: UserTokenType.UserName, userName: config.user.userName, password: config.user.password }
+      : { type: UserTokenType.Anonymous };
+    session = await client.createSession(identity);
+    await subscribe();
+    setState('connected');
+  }
+
+  /** Write a value to the tag's node (throws when not connected or rejected). */
+  async function write(tagId, value) {
+    if (!session || state !== 'connected') throw new Error(`OPC UA not connected (${state})`);
+    const nodeId = nodeIdForTag(config, tagId);
+
+    // Variant must carry the node's DataType; read it once per write (commands are rare)
+    const typeRead = await session.read({ nodeId, attributeId: AttributeIds.DataType });
+    const dataType = typeRead.value && typeRead.value.value ? typeRead.value.value.value : null;
+    if (typeof dataType !== 'number' || !DataType[dataType]) throw new Error(`cannot resolve DataType of ${nodeId}`);
+
+    const status = await session.write({
+      nodeId,
+      attributeId: AttributeIds.Value,
+      value: { value: { dataType, value: dataType === DataType.Boolean ? !!value : value } }
+    });
+    if (status !== StatusCodes.Good) throw new Error(`write rejected: ${status.toString()}`);
+  }
+
+  async function stop() {
+    stopping = true;
+    try { if (subscription) await subscription.terminate(); } catch (_) {}
+    try { if (session) await session.close(); } catch (_) {}
+    try { if (client) await client.disconnect(); } catch (_) {}
+    subscription = session = client = null;
+    setState('disconnected');
+  }
+
+  return { start, stop, write, getState: () => state };
+}
+
+module.exports = { createOpcuaSource, loadOpcuaConfig, nodeIdForTag };
@@ -0,0 +1,315 @@
+/*****************************************************************************
+ * Scenario engine for the HMI simulator
+ * - Declarative JSON/YAML scenario: initial values, timed steps, ramps,
+ *   per-tag generators (sine, randomWalk, counter, toggle) and loops
+ * - Runs on scenario time (advanced per tick), so pause/resume and replays
+ *   with the same seed are repeatable
+ *
+ * Scenario shape:
+ * {
+ *   "name": "estop-demo", "seed": 42, "tickMs": 250,
+ *   "duration": 90, "loop": true | <count>,
+ *   "set": { "TOHMI_Module1_Start": 1 },
+ *   "generators": { "TOHMI_VFD1_Volt": { "type": "sine", "center": 2300, "amplitude": 40, "periodS": 20 } },
+ *   "steps": [
+ *     { "at": 20, "set": { "ALARM_ESTOP1": 1 } },
+ *     { "at": 45, "ramp": { "TOHMI_VFD2_Freq": { "to": 0, "durationS": 5 } }, "stop": ["TOHMI_VFD2_Amp"] },
+ *     { "at": 5, "every": 30, "times": 3, "generators": { ... } }
+ *   ]
+ * }
+ ****************************************************************************/
+const fs = require('fs');
+const path = require('path');
+
+const SCENARIOS_DIR = path.join(__dirname, '../scenarios');
+const GENERATOR_TYPES = ['sine', 'randomWalk', 'counter', 'toggle', 'ramp'];
+
+/** Deterministic PRNG (mulberry32); returns floats in [0, 1). */
+function createRng(seed) {
+  let a = (Number(seed) >>> 0) || 0x9e3779b9;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
+const num = (v, fallback) => (v != null && Number.isFinite(Number(v)) ? Number(v) : fallback);
+
+/** Validate one generator spec; throws with a path-precise message. */
+function checkGenerator(where, spec) {
+  if (!isObj(spec)) throw new Error(`${where}: generator must be an object`);
+  if (!GENERATOR_TYPES.includes(spec.type)) {
+    throw new Error(`${where}: unknown generator type "${spec.type}" (expected ${GENERATOR_TYPES.join(', ')})`);
+  }
+  if (spec.type === 'toggle' && spec.duty != null && !(spec.duty >= 0 && spec.duty <= 1)) {
+    throw new Error(`${where}: duty must be between 0 and 1`);
+  }
+  if ((spec.type === 'sine' || spec.type === 'toggle') && !(num(spec.periodS, 0) > 0)) {
+    throw new Error(`${where}: periodS must be > 0`);
+  }
+}
+
+/**
+ * Validate and normalize a scenario definition (throws Error on invalid input).
+ * @param {Object} def
+ * @returns {Object} normalized scenario
+ */
+function parseScenario(def) {
+  if (!isObj(def)) throw new Error('scenario must be an object');
+
+  const scenario = {
+    name: String(def.name || 'unnamed'),
+    seed: num(def.seed, 1),
+    tickMs: Math.max(50, num(def.tickMs, 250)),
+    duration: def.duration == null ? null : num(def.duration, null),
+    runs: def.loop === true ? Infinity : Math.max(1, num(def.loop, 1)),   // loop: true | total runs
+    set: isObj(def.set) ? { ...def.set } : {},
+    generators: {},
+    steps: []
+  };
+  if (scenario.runs > 1 && !(scenario.duration > 0)) throw new Error('loop requires a positive duration');
+
+  for (const [tag, spec] of Object.entries(isObj(def.generators) ? def.generators : {})) {
+    checkGenerator(`generators.${tag}`, spec);
+    scenario.generators[tag] = { ...spec };
+  }
+
+  const steps = def.steps == null ? [] : def.steps;
+  if (!Array.isArray(steps)) throw new Error('steps must be an array');
+  steps.forEach((step, i) => {
+    const where = `steps[${i}]`;
+    if (!isObj(step)) throw new Error(`${where}: step must be an object`);
+    if (!(num(step.at, -1) >= 0)) throw new Error(`${where}: "at" (seconds) is required`);
+    if (step.every != null && !(num(step.every, 0) > 0)) throw new Error(`${where}: every must be > 0`);
+    for (const [tag, spec] of Object.entries(isObj(step.generators) ? step.generators : {})) {
+      checkGenerator(`${where}.generators.${tag}`, spec);
+    }
+    for (const [tag, spec] of Object.entries(isObj(step.ramp) ? step.ramp : {})) {
+      if (!isObj(spec) || !Number.isFinite(Number(spec.to))) throw new Error(`${where}.ramp.${tag}: "to" is required`);
+    }
+    scenario.steps.push({
+      at: Number(step.at),
+      every: step.every == null ? null : Number(step.every),
+      times: step.times == null ? Infinity : Math.max(1, num(step.times, 1)),
+      set: isObj(step.set) ? step.set : null,
+      ramp: isObj(step.ramp) ? step.ramp : null,
+      generators: isObj(step.generators) ? step.generators : null,
+      stop: Array.isArray(step.stop) ? step.stop.map(String) : null,
+      label: step.label ? String(step.label) : null
+    });
+  });
+
+  return scenario;
+}
+
+/**
+ * Read a raw scenario definition from a file (.json, .yaml/.yml).
+ * Bare names ("estop-demo") resolve inside scenarios/; with allowPaths=false
+ * (remote loads) only scenarios/ is searched.
+ * @param {string} file
+ * @param {{ allowPaths?: boolean }} [opts]
+ * @returns {Object}
+ */
+function readScenarioFile(file, { allowPaths = true } = {}) {
+  let p = allowPaths ? path.resolve(file) : '';
+  if (!p || !fs.existsSync(p)) {
+    const base = path.basename(file);
+    p = [base, `${base}.json`, `${base}.yaml`, `${base}.yml`]
+      .map(n => path.join(SCENARIOS_DIR, n))
+      .find(c => fs.existsSync(c)) || path.join(SCENARIOS_DIR, base);
+  }
+  const raw = fs.readFileSync(p, 'utf8');
+  return /\.ya?ml$/i.test(p) ? require('js-yaml').load(raw) : JSON.parse(raw);
+}
+
+/**
+ * Create a scenario engine that drives `buffer` (the simulator's tag map).
+ * @param {{ buffer: Object }} opts
+ * @returns {{ load: Function, start: Function, pause: Function, reset: Function, getStatus: Function }}
+ */
+function createScenarioEngine({ buffer }) {
+  let scenario = null;
+  let state = 'idle';          // idle | loaded | running | paused | finished
+  let timer = null;
+  let t = 0;                   // scenario time (s)
+  let iteration = 0;
+  let rng = createRng(1);
+  let baseline = null;         // buffer snapshot taken before the first start (for reset)
+  let active = new Map();      // tag -> generator runtime { spec, startT, value, nextT }
+  let stepRuns = [];           // per-step fire count
+
+  const round = (spec, v) => {
+    const d = spec.decimals == null ? 0 : Number(spec.decimals);
+    const f = 10 ** d;
+    const clamped = Math.min(num(spec.max, Infinity), Math.max(num(spec.min, -Infinity), v));
+    return Math.round(clamped * f) / f;
+  };
+
+  const startGenerator = (tag, spec) => {
+    const cur = Number(buffer[tag]);
+    const from = spec.from != null ? Number(spec.from) : (Number.isFinite(cur) ? cur : 0);
+    active.set(tag, { spec, startT: t, from, value: spec.start != null ? Number(spec.start) : from, nextT: t });
+  };
+
+  /** Compute a generator value at scenario time t. */
+  const evaluate = (tag, g) => {
+    const { spec } = g;
+    const dt = t - g.startT;
+    switch (spec.type) {
+      case 'sine': {
+        const center = num(spec.center, g.from);
+        return round(spec, center + num(spec.amplitude, 1) * Math.sin((2 * Math.PI * dt) / Number(spec.periodS) + num(spec.phase, 0)));
+      }
+      case 'toggle': {
+        const period = Number(spec.periodS);
+        const phase = ((dt + num(spec.offsetS, 0)) % period) / period;
+        return phase < num(spec.duty, 0.5) ? num(spec.on, 1) : num(spec.off, 0);
+      }
+      case 'counter': {
+        const every = num(spec.everyS, 1);
+        const steps = Math.floor(dt / every);
+        let v = num(spec.start, g.from) + steps * num(spec.step, 1);
+        if (spec.max != null && spec.wrap) {
+          const lo = num(spec.min, 0);
+          v = lo + ((v - lo) % (Number(spec.max) - lo + 1));
+        }
+        return round(spec, v);
+      }
+      case 'randomWalk': {
+        // One random step per `everyS`; catch up if several ticks were missed
+        const every = num(spec.everyS, 1);
+        while (g.nextT <= t) {
+          g.value = round(spec, g.value + (rng() * 2 - 1) * num(spec.step, 1));
+          g.nextT += every;
+        }
+        return g.value;
+      }
+      case 'ramp': {
+        const dur = num(spec.durationS, 0);
+        const k = dur > 0 ? Math.min(1, dt / dur) : 1;
+        if (k >= 1 && !spec.hold) active.delete(tag);
+        return round(spec, g.from + (Number(spec.to) - g.from) * k);
+      }
+      default:
+        return buffer[tag];
+    }
+  };
+
+  const runStep = (step) => {
+    if (step.set) Object.assign(buffer, step.set);
+    if (step.stop) step.stop.forEach(tag => active.delete(tag));
+    if (step.generators) {
+      for (const [tag, spec] of Object.entries(step.generators)) startGenerator(tag, spec);
+    }
+    if (step.ramp) {
+      for (const [tag, spec] of Object.entries(step.ramp)) startGenerator(tag, { ...spec, type: 'ramp' });
+    }
+    if (step.label) console.log(`[scenario] t=${t.toFixed(2)}s ${step.label}`);
+  };
+
+  /** Apply initial values/generators for a (re)started iteration. */
+  const begin = () => {
+    t = 0;
+    active = new Map();
+    stepRuns = scenario.steps.map(() => 0);
+    Object.assign(buffer, scenario.set);
+    for (const [tag, spec] of Object.entries(scenario.generators)) startGenerator(tag, spec);
+  };
+
+  const tick = () => {
+    t = Math.round((t + scenario.tickMs / 1000) * 1000) / 1000;
+
+    scenario.steps.forEach((step, i) => {
+      const due = step.at + (step.every ? stepRuns[i] * step.every : 0);
+      const maxRuns = step.every ? step.times : 1;
+      if (stepRuns[i] < maxRuns && t >= due) {
+        stepRuns[i]++;
+        runStep(step);
+      }
+    });
+
+    for (const [tag, g] of [...active]) buffer[tag] = evaluate(tag, g);
+
+    if (scenario.duration != null && t >= scenario.duration) {
+      if (iteration + 1 < scenario.runs) {
+        iteration++;
+        begin();
+      } else {
+        stopTimer();
+        state = 'finished';
+        console.log(`[scenario] "${scenario.name}" finished`);
+      }
+    }
+  };
+
+  const stopTimer = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  /** Validate and load (replace) a scenario; stops the current one first. */
+  function load(def) {
+    const next = parseScenario(def); // throws before touching the running scenario
+    if (scenario) reset();
+    scenario = next;
+    state = 'loaded';
+    return getStatus();
+  }
+
+  function start() {
+    if (!scenario) throw new Error('no scenario loaded');
+    if (state === 'running') return getStatus();
+    if (state !== 'paused') {
+      if (!baseline) baseline = { ...buffer };
+      rng = createRng(scenario.seed);
+      iteration = 0;
+      begin();
+    }
+    timer = setInterval(tick, scenario.tickMs);
+    state = 'running';
+    return getStatus();
+  }
+
+  function pause() {
+    if (state !== 'running') return getStatus();
+    stopTimer();
+    state = 'paused';
+    return getStatus();
+  }
+
+  /** Stop and restore the buffer to its pre-scenario values. */
+  function reset() {
+    stopTimer();
+    if (baseline) {
+      for (const k of Object.keys(buffer)) if (!(k in baseline)) delete buffer[k];
+      Object.assign(buffer, baseline);
+    }
+    baseline = null;
+    active = new Map();
+    t = 0;
+    iteration = 0;
+    state = scenario ? 'loaded' : 'idle';
+    return getStatus();
+  }
+
+  function getStatus() {
+    return {
+      name: scenario ? scenario.name : null,
+      state,
+      t,
+      duration: scenario ? scenario.duration : null,
+      loop: scenario ? (scenario.runs === Infinity ? true : scenario.runs) : null,
+      iteration,
+      seed: scenario ? scenario.seed : null,
+      generators: [...active.keys()]
+    };
+  }
+
+  return { load, start, pause, reset, getStatus, isActive: () => state === 'running' || state === 'paused' };
+}
+
+module.exports = { createScenarioEngine, parseScenario, readScenarioFile, createRng, SCENARIOS_DIR };
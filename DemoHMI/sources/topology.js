@@ -0,0 +1,115 @@
+/*****************************************************************************
+ * Simulator topology derived from componentsRegistry
+ * - robot_perFeedpoint: robots per feedpoint (numbered 1..N across the cell)
+ * - stations_perFeedpoint: station numbers per feedpoint
+ * - total* counters: VFDs, servo drives, light curtains, scanners, E-stops...
+ * - Registry can be overridden from a JSON file (--registry / HMI_REGISTRY)
+ ****************************************************************************/
+const fs = require('fs');
+const path = require('path');
+
+/** 1..n as an array (n coerced to a non-negative integer) */
+const range1 = (n) => Array.from({ length: Math.max(0, Math.floor(Number(n) || 0)) }, (_, i) => i + 1);
+
+/**
+ * Merge a registry JSON file over the built-in defaults.
+ * Missing file -> defaults; invalid JSON -> throws (a typo must not silently shrink the cell).
+ * @param {Object} defaults
+ * @param {string} [file]
+ * @returns {Object}
+ */
+function loadComponentsRegistry(defaults, file) {
+  if (!file) return { ...defaults };
+  const p = path.resolve(file);
+  const raw = fs.readFileSync(p, 'utf8');
+  const fromFile = JSON.parse(raw);
+  if (!fromFile || typeof fromFile !== 'object' || Array.isArray(fromFile)) {
+    throw new Error(`${p}: registry must be a JSON object`);
+  }
+  return { ...defaults, ...fromFile };
+}
+
+/**
+ * Expand the registry into concrete component numbers.
+ * @param {Object} registry
+ * @returns {{ feedpoints: Array<{id:number, stations:number[], robots:number[]}>, robots:number[], stations:number[],
+ *   vfds:number[], servoDrives:number[], lightCurtains:number[], scanners:number[], estops:number[],
+ *   airUnits:number[], solenoids:number[], safetyGates:number[], photoeyes:number[] }}
+ */
+function buildTopology(registry) {
+  const stationsPerFp = Array.isArray(registry.stations_perFeedpoint) ? registry.stations_perFeedpoint : [[1]];
+  const robotsPerFp = Array.isArray(registry.robot_perFeedpoint) ? registry.robot_perFeedpoint : [1];
+  const feedpointCount = Math.max(stationsPerFp.length, robotsPerFp.length);
+
+  let nextRobot = 1;
+  const feedpoints = [];
+  for (let i = 0; i < feedpointCount; i++) {
+    const stations = (Array.isArray(stationsPerFp[i]) ? stationsPerFp[i] : [])
+      .map(Number)
+      .filter(Number.isInteger);
+    const robots = range1(robotsPerFp[i]).map(() => nextRobot++);
+    feedpoints.push({ id: i + 1, stations, robots });
+  }
+
+  return {
+    feedpoints,
+    robots: feedpoints.flatMap(f => f.robots),
+    stations: [...new Set(feedpoints.flatMap(f => f.stations))],
+    vfds: range1(registry.totalVFDs),
+    servoDrives: range1(registry.totalServoDrs),
+    lightCurtains: range1(registry.totalLCurtains),
+    scanners: range1(registry.totalLScanners),
+    estops: range1(registry.totalESTOPs),
+    airUnits: range1(registry.totalAirUnits),
+    solenoids: range1(registry.totalSolenoids),
+    safetyGates: range1(registry.totalSGates),
+    photoeyes: range1(registry.totalPEs ?? 9)
+  };
+}
+
+/**
+ * Every tag the simulator should hold for a topology (values are seeded by the caller).
+ * @param {ReturnType<typeof buildTopology>} topo
+ * @returns {string[]}
+ */
+function listTopologyTags(topo) {
+  const tags = [];
+  const add = (...t) => tags.push(...t);
+
+  for (const f of topo.feedpoints) {
+    const n = f.id;
+    add(`TOHMI_Feedpoint${n}_totalStations`, `TOHMI_Feedpoint${n}_currentJob`, `ALARM_Feedpoint${n}_queueFault`);
+    add(...['projectName', 'currentLayer', 'totalLayers', 'totalDropsAmount', 'layerSeparator', 'pickProductsAmount', 'dropProductsAmount']
+      .map(k => `Recipe_Feedpoint${n}_${k}`));
+  }
+  if (topo.feedpoints.length > 1) add('ALARM_Feedpoints_queueFault');
+
+  for (const r of topo.robots) {
+    add(...['servoOn', 'remoteMode', 'Position', 'currentSpeed', 'liveCycle', 'Timer', 'dailyPicks'].map(k => `TOHMI_R${r}_${k}`));
+    add(...['Error', 'commLoss', 'remoteDisabled', 'productDropped', 'safeDrop', 'failedPick', 'stepEnabled'].map(k => `ALARM_R${r}_${k}`));
+    add(`WARNING_R${r}_safespeed`, `ALARM_CSR${r}_Error`, `ALARM_CSR${r}_commLoss`);
+  }
+
+  for (const s of topo.stations) {
+    add(`TOHMI_Station${s}_totalStats`, `TOHMI_Station${s}_jobsDone`, `TOHMI_Station${s}_totalProducts`);
+    add(`WARNING_Station${s}_containerAbsent`, `WARNING_Station${s}_removeContainer`);
+    add(`ALARM_Station${s}_removeContainer`, `ALARM_Station${s}_containerAbsent`);
+  }
+
+  for (const v of topo.vfds) {
+    add(...['Start', 'Fwd', 'Volt', 'Amp', 'Freq', 'Timer'].map(k => `TOHMI_VFD${v}_${k}`));
+    add(`ALARM_VFD${v}_Fault`, `ALARM_VFD${v}_commLoss`);
+  }
+  for (const d of topo.servoDrives) add(`TOHMI_DR${d}_Status`, `TOHMI_DR${d}_Avail`, `ALARM_DR${d}_Fault`, `ALARM_DR${d}_commLoss`);
+  for (const lc of topo.lightCurtains) add(`ALARM_LC${lc}_Blocked`, `ALARM_LC${lc}_Error`, `WARNING_LC${lc}_Mute`);
+  for (const sc of topo.scanners) add(`ALARM_LScanner${sc}`);
+  for (const e of topo.estops) add(`ALARM_ESTOP${e}`);
+  for (const a of topo.airUnits) add(`ALARM_airPressure${a}`);
+  for (const s of topo.solenoids) add(`ALARM_Sol${s}_Fault`);
+  for (const g of topo.safetyGates) add(`ALARM_SFGate${g}_Open`);
+  for (const pe of topo.photoeyes) add(`TOHMI_PE${pe}`);
+
+  return tags;
+}
+
+module.exports = { loadComponentsRegistry, buildTopology, listTopologyTags };
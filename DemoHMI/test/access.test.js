@@ -0,0 +1,66 @@
+// Role-based access: the `roles` claim, page/section filtering and the per-role views of the structure
+const test = require('node:test');
+const assert = require('node:assert');
+const { rolesOf, allows, filterLayout, createAccessViews } = require('../liveDataAPI/access');
+const { buildRegistry } = require('../liveDataAPI/registry');
+
+const LAYOUT = {
+  pages: [
+    { id: 'overview', sections: [{ id: 'pe', widgets: ['TOHMI_PE1'] }, { id: 'tuning', roles: ['engineer'], widgets: ['TOHMI_VFD1_Freq'] }] },
+    { id: 'drives', roles: ['engineer', 'admin'], sections: [{ id: 'vfd', widgets: ['TOHMI_VFD1_Amp', 'TOHMI_PE1'] }] },
+    { id: 'admin', roles: ['admin'], sections: [{ id: 'timers', widgets: ['TOHMI_R1_Timer'] }] }
+  ]
+};
+
+function structure(layout = LAYOUT) {
+  return { layout, registry: buildRegistry(layout, new Map()) };
+}
+
+test('only a missing roles claim is unrestricted', () => {
+  assert.strictEqual(rolesOf(undefined), null);
+  assert.strictEqual(rolesOf({ sub: 'serverconnect' }), null);
+  assert.deepStrictEqual(rolesOf({ roles: 'admin' }), []);      // malformed: no role, not unrestricted
+  assert.deepStrictEqual(rolesOf({ roles: null }), []);
+  assert.deepStrictEqual(rolesOf({ roles: [] }), []);           // no roles at all: least access
+  assert.deepStrictEqual(rolesOf({ roles: ['operator', 7, null] }), ['operator']);
+
+  assert.strictEqual(allows(['admin'], null), true);
+  assert.strictEqual(allows(undefined, []), true);              // no allow-list
+  assert.strictEqual(allows(['admin'], []), false);
+  assert.strictEqual(allows(['engineer', 'admin'], ['operator', 'engineer']), true);
+});
+
+test('filterLayout drops the pages and sections a role may not see', () => {
+  assert.strictEqual(filterLayout(LAYOUT, null), LAYOUT);
+  const ids = (layout) => layout.pages.map(p => [p.id, ...(p.sections || []).map(s => s.id)]);
+  assert.deepStrictEqual(ids(filterLayout(LAYOUT, ['operator'])), [['overview', 'pe']]);
+  assert.deepStrictEqual(ids(filterLayout(LAYOUT, [])), [['overview', 'pe']]);
+  assert.deepStrictEqual(ids(filterLayout(LAYOUT, ['engineer'])), [['overview', 'pe', 'tuning'], ['drives', 'vfd']]);
+  assert.deepStrictEqual(ids(filterLayout(LAYOUT, ['admin'])), [['overview', 'pe'], ['drives', 'vfd'], ['admin', 'timers']]);
+  assert.strictEqual(LAYOUT.pages[0].sections.length, 2); // not mutated
+});
+
+test('a role sees the tags of its visible pages, in registry order', () => {
+  const views = createAccessViews();
+  const s = structure();
+  assert.deepStrictEqual(s.registry.tags, ['TOHMI_PE1', 'TOHMI_VFD1_Freq', 'TOHMI_VFD1_Amp', 'TOHMI_R1_Timer']);
+
+  const system = views(s, null);
+  assert.deepStrictEqual([system.visible, system.tags, system.layout], [null, s.registry.tags, LAYOUT]);
+
+  assert.deepStrictEqual(views(s, ['operator']).tags, ['TOHMI_PE1']);
+  assert.deepStrictEqual([...views(s, ['engineer']).visible], ['TOHMI_PE1', 'TOHMI_VFD1_Freq', 'TOHMI_VFD1_Amp']); // PE1 via overview and drives
+  assert.deepStrictEqual(views(s, ['admin']).tags, ['TOHMI_PE1', 'TOHMI_VFD1_Amp', 'TOHMI_R1_Timer']);
+  assert.deepStrictEqual([...views(s, ['operator']).index()], [['TOHMI_PE1', 0]]);
+});
+
+test('views are cached per role set until the structure is swapped', () => {
+  const views = createAccessViews();
+  const s = structure();
+  assert.strictEqual(views(s, ['admin', 'engineer']), views(s, ['engineer', 'admin', 'engineer']));
+  assert.notStrictEqual(views(s, ['admin']), views(s, ['engineer']));
+
+  const reloaded = structure({ pages: [{ id: 'admin', roles: ['admin'], sections: [{ id: 'timers', widgets: ['TOHMI_R2_Timer'] }] }] });
+  assert.deepStrictEqual(views(reloaded, ['admin']).tags, ['TOHMI_R2_Timer']);
+  assert.deepStrictEqual(views(reloaded, ['operator']).tags, []);
+});
@@ -0,0 +1,121 @@
+// Alarm engine: the raise -> ack -> clear lifecycle, shelving expiry and the journal across restarts
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAlarmEngine } = require('../liveDataAPI/alarms');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alarms-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const META = { ALARM_Module1_Jam: { label: 'Jam', severity: 'critical' } };
+
+/** Engine without a journal unless `file` is given; `events` collects onEvent calls. */
+function engine(file = null) {
+  const events = [];
+  const alarms = createAlarmEngine({ resolveMeta: (t) => META[t] || null, onEvent: (e) => events.push(e), file });
+  return { alarms, events };
+}
+
+const journalLines = (file) => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+
+async function waitForLines(file, n) {
+  const until = Date.now() + 5000;
+  while (!fs.existsSync(file) || journalLines(file).length < n) {
+    if (Date.now() > until) throw new Error(`timed out waiting for ${n} journal lines`);
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+test('raise, ack and clear walk the states; ack after clear returns to normal', () => {
+  const { alarms, events } = engine();
+  assert.strictEqual(alarms.update('TOHMI_Speed', 1), null); // not an alarm tag
+  assert.deepStrictEqual(alarms.ack('ALARM_Module1_Jam'), { error: 'unknown' });
+
+  const raised = alarms.update('ALARM_Module1_Jam', 1, 1000);
+  assert.strictEqual(raised.state, 'active-unacked');
+  assert.deepStrictEqual([raised.severity, raised.label, raised.raisedAt], ['critical', 'Jam', 1000]);
+  assert.strictEqual(alarms.update('ALARM_Module1_Jam', 2, 1100), null); // still active
+
+  const { alarm: acked } = alarms.ack('ALARM_Module1_Jam', 'op1');
+  assert.deepStrictEqual([acked.state, acked.ackedBy], ['active-acked', 'op1']);
+  assert.deepStrictEqual(alarms.ack('ALARM_Module1_Jam'), { error: 'not-acknowledgeable' });
+  assert.strictEqual(alarms.update('ALARM_Module1_Jam', 0, 2000).state, 'normal');
+  assert.deepStrictEqual(alarms.list(), []);
+
+  // Cleared before anyone acked: stays listed until acknowledged
+  alarms.update('WARNING_Module1_Temp', true, 3000);
+  assert.strictEqual(alarms.update('WARNING_Module1_Temp', false, 3500).state, 'cleared-unacked');
+  assert.deepStrictEqual(alarms.counts(), { 'active-unacked': 0, 'active-acked': 0, 'cleared-unacked': 1, shelved: 0 });
+  assert.strictEqual(alarms.list()[0].severity, 'low');
+  assert.strictEqual(alarms.ack('WARNING_Module1_Temp').alarm.state, 'normal');
+
+  assert.deepStrictEqual(events.map(e => [e.event, e.alarm.tagId]), [
+    ['raise', 'ALARM_Module1_Jam'], ['ack', 'ALARM_Module1_Jam'], ['clear', 'ALARM_Module1_Jam'],
+    ['raise', 'WARNING_Module1_Temp'], ['clear', 'WARNING_Module1_Temp'], ['ack', 'WARNING_Module1_Temp']
+  ]);
+  assert.deepStrictEqual(alarms.history({ tagId: 'ALARM_Module1_Jam' }).map(e => e.event), ['clear', 'ack', 'raise']);
+});
+
+test('shelving expires on tick, and only then', (t) => {
+  const { alarms, events } = engine();
+  alarms.update('ALARM_Module1_Jam', 1);
+  t.mock.timers.enable({ apis: ['Date'], now: 10000 });
+  assert.deepStrictEqual(alarms.shelve('ALARM_Module1_Jam', { durationMs: 0 }), { error: 'invalid-duration' });
+  assert.deepStrictEqual(alarms.shelve('ALARM_Module1_Jam', { durationMs: 25 * 60 * 60 * 1000 }), { error: 'invalid-duration' });
+
+  const { alarm } = alarms.shelve('ALARM_Module1_Jam', { durationMs: 60000, by: 'op1' });
+  assert.deepStrictEqual([alarm.shelved, alarm.shelvedUntil, alarm.shelvedBy], [true, 70000, 'op1']);
+  assert.strictEqual(alarms.counts().shelved, 1);
+
+  alarms.tick(69999);
+  assert.strictEqual(alarms.list()[0].shelved, true);
+  alarms.tick(70000);
+  const [after] = alarms.list();
+  assert.deepStrictEqual([after.shelved, after.shelvedBy, after.state], [false, null, 'active-unacked']);
+  assert.strictEqual(events.at(-1).event, 'unshelve');
+  assert.strictEqual(alarms.history({ to: 70000 })[0].by, 'expired');
+  assert.deepStrictEqual(alarms.unshelve('ALARM_Module1_Jam'), { error: 'not-shelved' });
+});
+
+test('a restart replays the journal and compacts it without a temp file left over', async () => {
+  const file = path.join(dir, 'journal.ndjson');
+  const first = engine(file).alarms;
+  first.update('ALARM_Module1_Jam', 1, 1000);
+  first.update('WARNING_Module1_Temp', 1, 1100);
+  first.ack('WARNING_Module1_Temp', 'op1');
+  await waitForLines(file, 3);
+  fs.appendFileSync(file, '{"ts":12'); // torn last line after a crash
+
+  const { alarms } = engine(file);
+  assert.deepStrictEqual(alarms.list().map(a => [a.tagId, a.state, a.ackedBy]), [
+    ['ALARM_Module1_Jam', 'active-unacked', null],
+    ['WARNING_Module1_Temp', 'active-acked', 'op1']
+  ]);
+  assert.deepStrictEqual(journalLines(file).map(e => e.event), ['raise', 'raise', 'ack']);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['journal.ndjson']);
+});
+
+test('configure follows the registry: removed alarms leave the list, new ones start normal', async () => {
+  const file = path.join(dir, 'configure.ndjson');
+  const { alarms, events } = engine(file);
+  alarms.configure(['TOHMI_Speed', 'ALARM_Module1_Jam', 'ALARM_Module2_Jam', 'WARNING_Module1_Temp']);
+  alarms.update('ALARM_Module1_Jam', 1, 1000);
+  assert.deepStrictEqual(alarms.list({ all: true }).map(a => [a.tagId, a.state]).sort(), [
+    ['ALARM_Module1_Jam', 'active-unacked'], ['ALARM_Module2_Jam', 'normal'], ['WARNING_Module1_Temp', 'normal']
+  ]);
+  assert.deepStrictEqual(alarms.ack('ALARM_Module2_Jam'), { error: 'not-acknowledgeable' });
+
+  // Only the alarm that was still listed is announced
+  assert.deepStrictEqual(alarms.configure(['ALARM_Module2_Jam', 'ALARM_Module3_Jam']).sort(), ['ALARM_Module1_Jam', 'WARNING_Module1_Temp']);
+  assert.deepStrictEqual(events.map(e => [e.event, e.alarm.tagId, e.alarm.state]), [
+    ['raise', 'ALARM_Module1_Jam', 'active-unacked'], ['remove', 'ALARM_Module1_Jam', 'normal']
+  ]);
+  assert.deepStrictEqual(alarms.list({ all: true }).map(a => a.tagId).sort(), ['ALARM_Module2_Jam', 'ALARM_Module3_Jam']);
+  assert.strictEqual(alarms.counts()['active-unacked'], 0);
+
+  // ...and stays removed after a restart
+  await waitForLines(file, 2);
+  assert.deepStrictEqual(engine(file).alarms.list({ all: true }), []);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChangeFeed } = require('../sources/changeFeed');
+
+test('a new value notifies subscribers with the tagId', () => {
+  const { buffer, onData } = createChangeFeed({ TOHMI_PE1: 0 });
+  const seen = [];
+  onData((tagId) => seen.push(tagId));
+  buffer.TOHMI_PE1 = 1;
+  buffer.TOHMI_PE1 = 1;
+  assert.deepStrictEqual(seen, ['TOHMI_PE1']);
+});
+
+test('a quality-only change reaches subscribers straight away', () => {
+  const { buffer, onData } = createChangeFeed({ TOHMI_VFD1_Amp: { value: 280, ts: 1, quality: 'good' } });
+  const seen = [];
+  onData((tagId) => seen.push([tagId, buffer[tagId].quality]));
+  buffer.TOHMI_VFD1_Amp = { value: 280, ts: 2, quality: 'bad' };
+  assert.deepStrictEqual(seen, [['TOHMI_VFD1_Amp', 'bad']]);
+});
+
+test('the same value and quality with a new timestamp is not a change', () => {
+  const { buffer, onData } = createChangeFeed({ TOHMI_VFD1_Amp: { value: 280, ts: 1, quality: 'good' } });
+  const seen = [];
+  onData((tagId) => seen.push(tagId));
+  buffer.TOHMI_VFD1_Amp = { value: 280, ts: 2, quality: 'good' };
+  assert.deepStrictEqual(seen, []);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const vm = require('vm');
+const { createIndex, encodePatch, decodePatch, msgpackEncode, msgpackDecode } = require('iir-shared/compactPatch');
+
+const TAGS = ['TOHMI_PE1', 'TOHMI_VFD1_Amp'];
+const PATCH = {
+  updates: [
+    { tagId: 'TOHMI_PE1', value: 1, ts: 1760000000000, quality: 'good' },
+    { tagId: 'TOHMI_VFD1_Amp', value: -12.5, ts: 1760000000250, quality: 'bad' },
+    { tagId: 'Recipe_Name', value: 'Café ✓', ts: 1760000000001, quality: 'good' } // not in the table: sent by name
+  ]
+};
+// The same patch as encoded before the codec dropped Buffer: the wire format is unchanged
+const PATCH_BASE64 = 'gqF0y0J5nILMAAAAoXWTkgABlAHLwCkAAAAAAADM+gKTq1JlY2lwZV9OYW1lqUNhZsOpIOKckwE=';
+
+test('patches round-trip in every format', () => {
+  const index = createIndex(TAGS);
+  for (const opts of [{ format: 'json' }, { format: 'msgpack' }, { format: 'msgpack', binary: true }]) {
+    const wire = encodePatch(PATCH, index, opts);
+    assert.deepStrictEqual(decodePatch(wire, TAGS, opts), PATCH, JSON.stringify(opts));
+  }
+  assert.strictEqual(encodePatch(PATCH, index, { format: 'msgpack' }), PATCH_BASE64);
+  const binary = encodePatch(PATCH, index, { format: 'msgpack', binary: true });
+  assert.ok(binary instanceof Uint8Array);
+  assert.deepStrictEqual(decodePatch(binary.buffer, TAGS, { format: 'msgpack' }), PATCH); // WebSocket ArrayBuffer
+  assert.deepStrictEqual(decodePatch(Buffer.from(binary), TAGS, { format: 'msgpack' }), PATCH); // pooled Node Buffer
+});
+
+test('msgpack round-trips every width it writes', () => {
+  const values = [
+    null, true, false, 0, 127, 128, 255, 256, 65535, 65536, 0xffffffff, -1, -32, -33, -128, -129, -32768, -32769,
+    -0x80000000, -0x80000001, 2 ** 53, 0.1, -1e-9, '', 'x'.repeat(31), 'x'.repeat(32), 'ü'.repeat(200), 'y'.repeat(70000),
+    Array.from({ length: 16 }, (_, i) => i), Array.from({ length: 70000 }, (_, i) => i % 3),
+    Object.fromEntries(Array.from({ length: 16 }, (_, i) => [`k${i}`, i])), { nested: { a: [1, 'b', null] } }
+  ];
+  for (const v of values) assert.deepStrictEqual(msgpackDecode(msgpackEncode(v)), v);
+  assert.throws(() => msgpackDecode(msgpackEncode('truncated').subarray(0, 4)), /unexpected end/);
+});
+
+test('the codec loads and runs without Buffer or require', () => {
+  const source = fs.readFileSync(require.resolve('iir-shared/compactPatch'), 'utf8');
+  const sandbox = { module: { exports: {} }, TextEncoder, TextDecoder, btoa, atob };
+  vm.runInNewContext(source, sandbox);
+  const codec = sandbox.module.exports;
+  const index = codec.createIndex(TAGS);
+  const wire = codec.encodePatch(PATCH, index, { format: 'msgpack' });
+  assert.strictEqual(wire, PATCH_BASE64);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(codec.decodePatch(wire, TAGS, { format: 'msgpack' }))), PATCH);
+});
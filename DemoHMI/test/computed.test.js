@@ -0,0 +1,136 @@
+// Computed tags: the expression parser and the engine (dependency order, templates, rate(), quality)
+const test = require('node:test');
+const assert = require('node:assert');
+const { createComputedTags, parseExpression } = require('../liveDataAPI/computed');
+
+/** Engine configured with `exprs` (tagId -> expr) as registry tags and `templates` (tplId -> expr). */
+function engine(exprs = {}, { templates = {}, tags = [] } = {}) {
+  const computed = createComputedTags();
+  const metaByTag = new Map(Object.entries(exprs).map(([tagId, expr]) => [tagId, { tagId, expr }]));
+  const widgetsMap = new Map(Object.entries(templates).map(([tplId, expr]) => [tplId, { tagId: tplId, expr }]));
+  computed.configure({ tags: [...metaByTag.keys(), ...tags], metaByTag }, widgetsMap);
+  return computed;
+}
+
+/** Source tags as hmi-live publishes them; `set` changes one. */
+function source(values) {
+  const tags = Object.fromEntries(Object.entries(values).map(([id, v]) => [id, typeof v === 'object' && v ? v : { value: v, ts: 1, quality: 'good' }]));
+  return {
+    read: (tagId) => tags[tagId] || { value: null, ts: null, quality: 'bad' },
+    list: () => Object.keys(tags),
+    set: (tagId, value, quality = 'good', ts = 2) => { tags[tagId] = { value, ts, quality }; }
+  };
+}
+
+const valueOf = (computed, tagId) => computed.read(tagId).value;
+
+test('operators bind by precedence, left to right', () => {
+  assert.deepStrictEqual(parseExpression('a + b * c'), {
+    type: 'binary', op: '+', left: { type: 'tag', tagId: 'a' },
+    right: { type: 'binary', op: '*', left: { type: 'tag', tagId: 'b' }, right: { type: 'tag', tagId: 'c' } }
+  });
+  const computed = engine({
+    P1: '1 + 2 * 3',
+    P2: '(1 + 2) * 3',
+    P3: '10 - 4 - 3',
+    P4: '-2 * -3 + 10 % 4',
+    P5: '1 || 0 && 0',
+    P6: '2 * 3 > 5 && 1 == 1',
+    P7: "1 < 2 ? 'a' : 'b' + 'c'",
+    P8: '0 ? 1 : 0 ? 2 : 3',
+    P9: '!0 + 1'
+  });
+  const src = source({});
+  computed.evaluate(src.read, src.list, 1000);
+  const got = Object.fromEntries(['P1', 'P2', 'P3', 'P4', 'P5', 'P6', 'P7', 'P8', 'P9'].map(t => [t, valueOf(computed, t)]));
+  assert.deepStrictEqual(got, { P1: 7, P2: 9, P3: 3, P4: 8, P5: 1, P6: 1, P7: 'a', P8: 3, P9: 2 });
+});
+
+test('syntax errors name the position', () => {
+  const cases = {
+    '1 +': 'unexpected end at 3',
+    '1 $ 2': 'unexpected "$" at 2',
+    '1 2': 'unexpected "2" at 2',
+    '(1 + 2': 'expected ")" at 6',
+    'a ? b': 'expected ":" at 5',
+    'foo(1)': 'unknown function "foo" at 0',
+    'round()': 'round() takes 1..2 argument(s) at 6',
+    'tags(X)': 'tags() needs a literal glob at 7'
+  };
+  for (const [src, message] of Object.entries(cases)) {
+    assert.throws(() => parseExpression(src), { message }, src);
+  }
+  assert.throws(() => parseExpression('   '), { message: 'empty expression' });
+  assert.throws(() => parseExpression('-'.repeat(40) + '1'), /nested deeper than 32/);
+});
+
+test('a broken expression publishes null with quality bad and shows in the stats', () => {
+  const computed = engine({ BROKEN: '1 +', OK: '2' });
+  const src = source({});
+  assert.deepStrictEqual(computed.evaluate(src.read, src.list, 1000).sort(), ['BROKEN', 'OK']);
+  assert.deepStrictEqual(computed.read('BROKEN'), { value: null, ts: 1000, quality: 'bad' });
+  assert.deepStrictEqual(computed.getStats().errors, [{ tagId: 'BROKEN', expr: '1 +', error: 'unexpected end at 3' }]);
+});
+
+test('tags on a cycle read null/bad; the rest still evaluates', () => {
+  const computed = engine({ A: 'B + 1', B: 'A + 1', C: 'D * 2', D: '5' });
+  const src = source({});
+  computed.evaluate(src.read, src.list, 1000);
+  assert.deepStrictEqual([computed.read('A').quality, computed.read('B').quality], ['bad', 'bad']);
+  assert.strictEqual(valueOf(computed, 'A'), null);
+  assert.strictEqual(valueOf(computed, 'C'), 10);
+  const errors = computed.getStats().errors.map(e => [e.tagId, e.error]).sort();
+  assert.deepStrictEqual(errors.map(([t]) => t), ['A', 'B']);
+  assert.match(errors[0][1], /^cycle: (A -> B -> A|B -> A -> B)$/);
+});
+
+test('a template expression is materialized with the concrete tag\'s numbers', () => {
+  const computed = engine({}, {
+    templates: { 'TOHMI_VFD#_Power': 'TOHMI_VFD#_Volt / 10 * TOHMI_VFD#_Amp / 100' },
+    tags: ['TOHMI_VFD1_Power', 'TOHMI_VFD12_Power']
+  });
+  const src = source({ TOHMI_VFD1_Volt: 4000, TOHMI_VFD1_Amp: 250, TOHMI_VFD12_Volt: 2000, TOHMI_VFD12_Amp: 100 });
+  assert.deepStrictEqual(computed.evaluate(src.read, src.list, 1000).sort(), ['TOHMI_VFD12_Power', 'TOHMI_VFD1_Power']);
+  assert.strictEqual(valueOf(computed, 'TOHMI_VFD1_Power'), 1000);
+  assert.strictEqual(valueOf(computed, 'TOHMI_VFD12_Power'), 200);
+  assert.strictEqual(computed.has('TOHMI_VFD#_Power'), false);
+});
+
+test('rate() follows a counter across ticks and restarts after a reset', () => {
+  const computed = engine({ PerSec: 'rate(TOHMI_R1_dailyPicks)', PerMin: 'rate(TOHMI_R1_dailyPicks, 60000)' });
+  const src = source({ TOHMI_R1_dailyPicks: 0 });
+  const tick = (now, picks) => {
+    if (picks != null) src.set('TOHMI_R1_dailyPicks', picks);
+    computed.evaluate(src.read, src.list, now);
+    return [valueOf(computed, 'PerSec'), valueOf(computed, 'PerMin')];
+  };
+  assert.deepStrictEqual(tick(0), [null, null]);             // under a second of history
+  assert.deepStrictEqual(tick(10000, 5), [0.5, 30]);
+  assert.deepStrictEqual(tick(20000), [0.25, 15]);            // re-evaluated without a new value
+  assert.deepStrictEqual(tick(30000, 1), [null, null]);       // counter reset
+  assert.deepStrictEqual(tick(31000, 3), [2, 120]);
+  assert.strictEqual(computed.read('PerSec').ts, 31000);
+});
+
+test('the worst input quality propagates, through computed tags too', () => {
+  const computed = engine({ Sum: 'TOHMI_A + TOHMI_B', Double: 'Sum * 2' });
+  const src = source({ TOHMI_A: 1, TOHMI_B: 2 });
+  computed.evaluate(src.read, src.list, 1000);
+  assert.deepStrictEqual([computed.read('Sum'), computed.read('Double').quality], [{ value: 3, ts: 1, quality: 'good' }, 'good']);
+
+  // Same value, stale quality: still a change, and Double follows
+  src.set('TOHMI_B', 2, 'stale', 5);
+  assert.deepStrictEqual(computed.evaluate(src.read, src.list, 2000).sort(), ['Double', 'Sum']);
+  assert.deepStrictEqual(computed.read('Sum'), { value: 3, ts: 5, quality: 'stale' });
+  assert.deepStrictEqual(computed.read('Double'), { value: 6, ts: 5, quality: 'stale' });
+
+  src.set('TOHMI_A', 1, 'bad', 6);
+  computed.evaluate(src.read, src.list, 3000);
+  assert.strictEqual(computed.read('Double').quality, 'bad');
+
+  src.set('TOHMI_A', 1, 'good', 7);
+  src.set('TOHMI_B', 2, 'good', 7);
+  computed.evaluate(src.read, src.list, 4000);
+  assert.strictEqual(computed.read('Double').quality, 'good');
+  assert.deepStrictEqual(computed.evaluate(src.read, src.list, 5000), []); // nothing changed
+});
@@ -0,0 +1,83 @@
+// Tag history: range queries, min/max/avg downsampling, retention and the NDJSON file across restarts
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistory, downsample } = require('../liveDataAPI/history');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HOUR = 60 * 60 * 1000;
+
+test('a range query returns its points and the value in effect at its start', () => {
+  const now = Date.now();
+  const history = createHistory({ file: null });
+  for (let i = 0; i < 10; i++) history.record('TOHMI_VFD1_Amp', 100 + i, now - 10000 + i * 1000);
+  history.record('TOHMI_VFD1_Amp', 999, now - 5500); // out of order: clamped after the last point
+
+  const { TOHMI_VFD1_Amp: amp, TOHMI_Nope: none } = history.query(['TOHMI_VFD1_Amp', 'TOHMI_Nope'], { from: now - 7000, to: now - 5000, maxPoints: 100 });
+  assert.deepStrictEqual(amp.prev, { ts: now - 8000, value: 102 });
+  assert.deepStrictEqual(amp.points.map(p => p.value), [103, 104, 105]);
+  assert.strictEqual(amp.downsampled, false);
+  assert.deepStrictEqual(none, { prev: null, downsampled: false, points: [] });
+  assert.deepStrictEqual(history.query(['TOHMI_VFD1_Amp'], { from: now - 1000, to: now, maxPoints: 10 }).TOHMI_VFD1_Amp.points,
+    [{ ts: now - 1000, value: 109 }, { ts: now - 1000, value: 999 }]);
+});
+
+test('more points than maxPoints come back as min/max/avg buckets', () => {
+  const points = Array.from({ length: 100 }, (_, i) => ({ ts: i * 10, value: i }));
+  const buckets = downsample(points, 0, 999, 10);
+  assert.strictEqual(buckets.length, 10);
+  assert.deepStrictEqual(buckets[0], { ts: 0, min: 0, max: 9, avg: 4.5, count: 10 });
+  assert.deepStrictEqual(buckets[9], { ts: 900, min: 90, max: 99, avg: 94.5, count: 10 });
+
+  // Non-numeric values keep the last one; empty buckets are left out
+  assert.deepStrictEqual(downsample([{ ts: 0, value: 'a' }, { ts: 5, value: 'b' }, { ts: 95, value: 'c' }], 0, 99, 10), [
+    { ts: 0, value: 'b', count: 2 },
+    { ts: 90, value: 'c', count: 1 }
+  ]);
+
+  const from = Date.now() - 1000;
+  const history = createHistory({ file: null });
+  for (const p of points) history.record('TOHMI_R1_currentSpeed', p.value, from + p.ts);
+  const series = history.query(['TOHMI_R1_currentSpeed'], { from, to: from + 999, maxPoints: 4 }).TOHMI_R1_currentSpeed;
+  assert.strictEqual(series.downsampled, true);
+  assert.deepStrictEqual(series.points.map(b => [b.min, b.max, b.count]), [[0, 24, 25], [25, 49, 25], [50, 74, 25], [75, 99, 25]]);
+});
+
+test('history keeps HISTORY_MAX_POINTS per tag and drops points past the retention', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 10 * HOUR });
+  const history = createHistory({ file: null, maxPointsPerTag: 3, retentionMs: HOUR });
+  for (let i = 1; i <= 5; i++) history.record('TOHMI_PE1', i % 2, 10 * HOUR - 5000 + i);
+  history.record('TOHMI_PE2', 1, 9 * HOUR + 1000);
+  assert.deepStrictEqual(history.getStats(), { tags: 2, points: 4, retentionMs: HOUR, maxPointsPerTag: 3, file: null });
+  const all = { from: 0, to: 10 * HOUR, maxPoints: 100 };
+  assert.deepStrictEqual(history.query(['TOHMI_PE1'], all).TOHMI_PE1.points.map(p => p.ts - (10 * HOUR - 5000)), [3, 4, 5]);
+
+  t.mock.timers.tick(2000);
+  assert.deepStrictEqual(history.query(['TOHMI_PE2'], all).TOHMI_PE2, { prev: null, downsampled: false, points: [] });
+});
+
+test('HISTORY_FILE survives a restart, retained points only, and is compacted in place', () => {
+  const file = path.join(dir, 'history.ndjson');
+  const now = Date.now();
+  fs.writeFileSync(file, [
+    { tagId: 'TOHMI_VFD1_Volt', ts: now - 3 * HOUR, value: 1 },   // past the retention
+    { tagId: 'TOHMI_VFD1_Volt', ts: now - 60000, value: 2300 }
+  ].map(l => JSON.stringify(l) + '\n').join('') + '{"tagId":"TOHMI_VF');  // torn last line after a crash
+
+  const first = createHistory({ file, retentionMs: HOUR });
+  assert.deepStrictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').map(l => JSON.parse(l).value), [2300]);
+  first.record('TOHMI_VFD1_Volt', 2310, now - 1000);
+  first.record('TOHMI_VFD1_Amp', 280, now - 500);
+  first.close(); // flushes what the 1 s timer has not written yet
+
+  const second = createHistory({ file, retentionMs: HOUR });
+  const got = second.query(['TOHMI_VFD1_Volt', 'TOHMI_VFD1_Amp'], { from: now - HOUR, to: now, maxPoints: 100 });
+  second.close();
+  assert.deepStrictEqual(got.TOHMI_VFD1_Volt.points.map(p => p.value), [2300, 2310]);
+  assert.deepStrictEqual(got.TOHMI_VFD1_Amp.points, [{ ts: now - 500, value: 280 }]);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['history.ndjson']);
+});
@@ -0,0 +1,149 @@
+// /hmi-data: event ids, Last-Event-ID resume from the replay buffer and per-client tag/page subscriptions
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hmi-data-'));
+Object.assign(process.env, {
+  INTERNAL_JWT_KEYS_FILE: path.join(dir, 'internal-jwt.json'),
+  ALARM_JOURNAL_FILE: path.join(dir, 'alarm-journal.ndjson'),
+  SSE_REPLAY_MAX: '3',
+  SSE_PUSH: '0',
+  HMI_WATCH: '0'
+});
+const { getServerId, getSigningKey } = require('iir-shared/identity');
+const { attach } = require('../liveDataAPI');
+
+// The polling loop runs when the test ticks it
+test.mock.timers.enable({ apis: ['setInterval'] });
+const POLL_MS = 250;
+const data = { TOHMI_PE1: 0, TOHMI_PE2: 0, TOHMI_PE3: 0 };
+let server, token;
+
+/** Change source values and run one poll (one patch with the changes). */
+function poll(values = {}) {
+  Object.assign(data, values);
+  test.mock.timers.tick(POLL_MS);
+}
+
+/** Open /hmi-data; `events` fills as they arrive ({ id, type, data }). */
+function openClient(query = '', lastEventId = null) {
+  const events = [];
+  const headers = { authorization: `Bearer ${token}`, ...(lastEventId != null ? { 'Last-Event-ID': String(lastEventId) } : {}) };
+  const req = http.get(`http://127.0.0.1:${server.address().port}/hmi-data${query}`, { headers }, (res) => {
+    events.status = res.statusCode;
+    let pending = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      const blocks = (pending + chunk).split('\n\n');
+      pending = blocks.pop();
+      for (const block of blocks) {
+        const field = (name) => (new RegExp(`^${name}: ?(.*)$`, 'm').exec(block) || [])[1];
+        if (field('event')) events.push({ id: field('id') ?? null, type: field('event'), data: JSON.parse(field('data')) });
+      }
+    });
+  });
+  req.on('error', () => {});
+  return { events, close: () => req.destroy() };
+}
+
+async function waitFor(what, predicate) {
+  const until = Date.now() + 5000;
+  while (!predicate()) {
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+const settle = () => new Promise(r => setTimeout(r, 100));
+const patches = (client) => client.events.filter(e => e.type === 'patch').map(e => [e.id, e.data.updates.map(u => `${u.tagId}=${u.value}`).join(',')]);
+
+/** Client that has seen its hello and initial events. */
+async function connected(query, lastEventId) {
+  const client = openClient(query, lastEventId);
+  await waitFor('the hello', () => client.events.length);
+  await settle();
+  return client;
+}
+
+test.before(async () => {
+  const { kid, key } = getSigningKey();
+  token = jwt.sign({}, key, { algorithm: 'HS256', issuer: 'serverconnect', audience: `hmilive:${getServerId()}`, expiresIn: '5m', keyid: kid });
+  const app = express();
+  test.mock.method(console, 'log', () => {});
+  attach(app, { getOpcuaState: () => 'connected', getAllData: () => data, getAllSettings: () => ({ plcs: [] }) });
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(r => server.once('listening', r));
+  poll(); // first diff: every tag
+});
+
+test.after(async () => {
+  test.mock.timers.reset();
+  server.closeAllConnections();
+  await new Promise(r => server.close(r));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+let first;       // id of the snapshot the first client got
+
+test('a new client gets a snapshot of its tags, then only their changes', async () => {
+  const client = await connected('?tags=TOHMI_PE1');
+  const [hello] = client.events;
+  assert.deepStrictEqual([hello.type, hello.id, hello.data.resumed, hello.data.subscription], ['hello', null, false, { page: null, tags: 1 }]);
+  const [[snapshotId, snapshot]] = patches(client);
+  assert.strictEqual(snapshot, 'TOHMI_PE1=0');
+  first = Number(snapshotId);
+
+  poll({ TOHMI_PE1: 1 });
+  poll({ TOHMI_PE2: 1 });
+  await waitFor('the change', () => patches(client).length === 2);
+  await settle();
+  client.close();
+  assert.deepStrictEqual(patches(client).slice(1), [[String(first + 1), 'TOHMI_PE1=1']]); // PE2 is not subscribed
+});
+
+test('a Last-Event-ID in the replay buffer gets only the missed events it subscribes to', async () => {
+  const both = await connected('?tags=TOHMI_PE1,TOHMI_PE2', first);
+  const one = await connected('?tags=TOHMI_PE2', first);
+  both.close();
+  one.close();
+  assert.strictEqual(both.events[0].data.resumed, true);
+  assert.deepStrictEqual(patches(both), [[String(first + 1), 'TOHMI_PE1=1'], [String(first + 2), 'TOHMI_PE2=1']]);
+  assert.deepStrictEqual(patches(one), [[String(first + 2), 'TOHMI_PE2=1']]);
+
+  // Up to date: resumed, nothing to replay
+  const current = await connected('?tags=TOHMI_PE1', first + 2);
+  current.close();
+  assert.deepStrictEqual([current.events[0].data.resumed, patches(current)], [true, []]);
+});
+
+test('an evicted, future or malformed Last-Event-ID gets a fresh snapshot', async () => {
+  poll({ TOHMI_PE3: 1 });
+  poll({ TOHMI_PE3: 2 }); // SSE_REPLAY_MAX=3: the buffer now starts after first + 1
+  for (const lastEventId of [first, first + 100, 'abc']) {
+    const client = await connected('?tags=TOHMI_PE1,TOHMI_PE3', lastEventId);
+    client.close();
+    assert.strictEqual(client.events[0].data.resumed, false, String(lastEventId));
+    assert.deepStrictEqual(patches(client), [[String(first + 4), 'TOHMI_PE1=1,TOHMI_PE3=2']], String(lastEventId));
+  }
+  const replayed = await connected('?tags=TOHMI_PE3', first + 1);
+  replayed.close();
+  assert.deepStrictEqual(patches(replayed), [[String(first + 3), 'TOHMI_PE3=1'], [String(first + 4), 'TOHMI_PE3=2']]);
+});
+
+test('?page= subscribes to the tags of one page; an unknown page is a 404', async () => {
+  const client = await connected('?page=indicators');
+  client.close();
+  const tags = client.events[0].data.subscription.tags;
+  assert.ok(tags > 0);
+  assert.strictEqual(patches(client)[0][1].split(',').length, tags);
+
+  const unknown = openClient('?page=nope');
+  await waitFor('the answer', () => unknown.events.status);
+  unknown.close();
+  assert.strictEqual(unknown.events.status, 404);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { LEGACY_KID, deriveSharedSecret, getSigningKey, getVerificationKeys, rotateKeys, checkInternalKeys } = require('iir-shared/identity');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'identity-'));
+const saved = { ...process.env };
+
+test.beforeEach(() => {
+  for (const k of ['INTERNAL_JWT_SECRET', 'INTERNAL_JWT_LEGACY', 'INTERNAL_JWT_KEYS_FILE', 'SERVER_ID']) delete process.env[k];
+});
+test.after(() => {
+  process.env = saved;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a missing key file is created and only its key verifies', () => {
+  process.env.INTERNAL_JWT_KEYS_FILE = path.join(dir, 'new', 'internal-jwt.json');
+  const { kid, key } = getSigningKey();
+  assert.notStrictEqual(kid, LEGACY_KID);
+  assert.ok(fs.existsSync(process.env.INTERNAL_JWT_KEYS_FILE));
+  assert.deepStrictEqual(getVerificationKeys(), [key]);
+  assert.deepStrictEqual(getVerificationKeys(LEGACY_KID), []);
+  assert.deepStrictEqual(checkInternalKeys(), { source: 'file', kid });
+});
+
+test('an unusable key file is an error, not the legacy key', () => {
+  process.env.INTERNAL_JWT_KEYS_FILE = path.join(dir, 'broken.json');
+  fs.writeFileSync(process.env.INTERNAL_JWT_KEYS_FILE, '{ not json');
+  for (const call of [getSigningKey, () => getVerificationKeys(), checkInternalKeys]) {
+    assert.throws(call, /broken\.json unusable.*INTERNAL_JWT_LEGACY=1/);
+  }
+});
+
+test('INTERNAL_JWT_LEGACY=1 uses the MAC-derived key without reading the file', () => {
+  process.env.INTERNAL_JWT_KEYS_FILE = path.join(dir, 'broken.json');
+  process.env.INTERNAL_JWT_LEGACY = '1';
+  assert.deepStrictEqual(getSigningKey(), { kid: LEGACY_KID, key: deriveSharedSecret() });
+  assert.deepStrictEqual(getVerificationKeys(), [deriveSharedSecret()]);
+});
+
+test('rotation keeps the old key verifiable for the grace period only', (t) => {
+  process.env.INTERNAL_JWT_KEYS_FILE = path.join(dir, 'rotate', 'internal-jwt.json');
+  const before = getSigningKey();
+  const r = rotateKeys({ graceMs: 60000 });
+  const after = getSigningKey();
+  assert.strictEqual(r.previousKid, before.kid);
+  assert.strictEqual(r.kid, after.kid);
+  assert.notStrictEqual(after.kid, before.kid);
+  assert.deepStrictEqual(getVerificationKeys(before.kid), [before.key]);
+  assert.deepStrictEqual(getVerificationKeys(), [after.key, before.key]);
+  assert.strictEqual(JSON.parse(fs.readFileSync(process.env.INTERNAL_JWT_KEYS_FILE, 'utf8')).previous.length, 1);
+
+  t.mock.timers.enable({ apis: ['Date'], now: r.notAfter + 1 });
+  assert.deepStrictEqual(getVerificationKeys(before.kid), []);
+  assert.deepStrictEqual(getVerificationKeys(), [after.key]);
+  rotateKeys({ graceMs: 60000 }); // expired keys are dropped from the file
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(process.env.INTERNAL_JWT_KEYS_FILE, 'utf8')).previous.map(p => p.kid), [after.kid]);
+});
+
+test('rotation is refused for INTERNAL_JWT_SECRET and the legacy key', () => {
+  process.env.INTERNAL_JWT_SECRET = 'from-env';
+  assert.throws(() => rotateKeys(), /INTERNAL_JWT_SECRET is set/);
+  delete process.env.INTERNAL_JWT_SECRET;
+  process.env.INTERNAL_JWT_LEGACY = '1';
+  assert.throws(() => rotateKeys(), /legacy key cannot be rotated/);
+});
+
+test('processes starting together create one key file and all use it', async () => {
+  const file = path.join(dir, 'race', 'internal-jwt.json');
+  const startAt = Date.now() + 500;
+  const script = `
+    while (Date.now() < ${startAt});
+    process.stdout.write(require(${JSON.stringify(require.resolve('iir-shared/identity'))}).getSigningKey().kid);
+  `;
+  const env = { ...process.env, INTERNAL_JWT_KEYS_FILE: file };
+  delete env.INTERNAL_JWT_SECRET;
+  delete env.INTERNAL_JWT_LEGACY;
+  const kids = await Promise.all(Array.from({ length: 4 }, () => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { env, timeout: 10000 }, (err, stdout, stderr) => (err ? reject(new Error(stderr || err.message)) : resolve(stdout)));
+  })));
+  const { current } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(kids, kids.map(() => current.kid));
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['internal-jwt.json']); // no temp files left
+});
@@ -0,0 +1,73 @@
+// Runs the OPC UA source against tools/opcua-fixture.js (a real node-opcua server on a free port)
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createOpcuaSource, loadOpcuaConfig } = require('../sources/opcuaSource');
+
+const FIXTURE = path.join(__dirname, '../tools/opcua-fixture.js');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const srv = net.createServer().once('error', reject);
+  srv.listen(0, '127.0.0.1', () => { const { port } = srv.address(); srv.close(() => resolve(port)); });
+});
+
+/** Spawn the fixture and resolve once it listens. */
+function startFixture(port) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [FIXTURE, '--port', String(port)], { stdio: ['ignore', 'pipe', 'inherit'] });
+    child.once('exit', (code) => reject(new Error(`fixture exited (${code})`)));
+    child.stdout.on('data', (chunk) => { if (/listening on/.test(chunk)) resolve(child); });
+  });
+}
+
+async function waitFor(what, predicate, timeoutMs = 20000) {
+  const until = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 100));
+  }
+}
+
+test('values, source timestamps and connection states reach the buffer', { timeout: 120000 }, async (t) => {
+  const port = await freePort();
+  let fixture = await startFixture(port);
+  t.after(() => fixture.kill('SIGKILL'));
+
+  const buffer = {};
+  const states = [];
+  const source = createOpcuaSource({
+    buffer,
+    tags: ['TOHMI_CRC_Handshake', 'TOHMI_SafetyPLC_Heartbeat'],
+    config: { ...loadOpcuaConfig(), endpoint: `opc.tcp://127.0.0.1:${port}/UA/DemoHMI`, maxRetryDelayMs: 2000 },
+    onState: (s) => states.push(s)
+  });
+  t.after(() => source.stop());
+
+  await source.start();
+  assert.deepStrictEqual(states, ['connecting', 'connected']);
+
+  // The handshake counts every second with the fixture's source timestamp
+  await waitFor('the handshake', () => buffer.TOHMI_CRC_Handshake);
+  const first = buffer.TOHMI_CRC_Handshake;
+  await waitFor('the next handshake', () => buffer.TOHMI_CRC_Handshake.value !== first.value);
+  const next = buffer.TOHMI_CRC_Handshake;
+  assert.strictEqual(typeof next.value, 'number');
+  assert.strictEqual(next.quality, 'good');
+  assert.ok(next.ts > first.ts, 'source timestamp advances');
+  assert.ok(Math.abs(Date.now() - next.ts) < 5000, 'source timestamp is recent');
+  assert.ok([0, 1].includes(buffer.TOHMI_SafetyPLC_Heartbeat.value));
+
+  // Losing the server, then getting it back on the same port
+  fixture.removeAllListeners('exit');
+  fixture.kill('SIGKILL');
+  await waitFor('reconnecting', () => source.getState() === 'reconnecting');
+  fixture = await startFixture(port);
+  await waitFor('connected again', () => source.getState() === 'connected', 60000);
+  const resumed = buffer.TOHMI_CRC_Handshake.ts;
+  await waitFor('values after the reconnect', () => buffer.TOHMI_CRC_Handshake.ts > resumed);
+
+  await source.stop();
+  assert.deepStrictEqual(states, ['connecting', 'connected', 'reconnecting', 'connected', 'disconnected']);
+});
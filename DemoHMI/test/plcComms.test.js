@@ -0,0 +1,47 @@
+// PLC comms supervision: the fallback heartbeat (no `plcs`) against the simulator's rollover handshake
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPlcSupervisor } = require('../liveDataAPI/plcComms');
+
+/** Supervisor on HEARTBEAT only; `feed(value, now)` samples one poll. */
+function fallback(timeoutMs) {
+  const changes = [];
+  const plc = createPlcSupervisor({
+    getSettings: () => ({ HEARTBEAT: 'TOHMI_CRC_Handshake' }),
+    defaultTimeoutMs: timeoutMs,
+    onChange: (view, entry) => changes.push([view.state, entry && entry.type])
+  });
+  const feed = (value, now) => plc.sample(() => value, now);
+  return { plc, feed, changes };
+}
+
+test('without plcs the heartbeat is one PLC using the change strategy', () => {
+  const { plc, feed } = fallback(5000);
+  feed(1, 0);
+  feed(2, 250);
+  const { plcs } = plc.summary(250);
+  assert.deepStrictEqual(plcs.map(p => [p.id, p.strategy, p.state, p.timeoutMs]), [['plc1', 'change', 'ok', 5000]]);
+});
+
+test('the 1..300 handshake with its 3 s pause and wrap is never a loss', () => {
+  const { plc, feed, changes } = fallback(5000);
+  let now = 0;
+  for (let round = 0; round < 2; round++) {
+    for (let v = 1; v <= 300; v++, now += 250) feed(v, now);
+    for (const end = now + 3000; now < end; now += 250) feed(300, now); // pause at the top
+  }
+  feed(1, now); // wrap
+  assert.deepStrictEqual(changes, [['ok', null]]);
+  assert.strictEqual(plc.summary(now).ok, true);
+});
+
+test('a heartbeat that stops is lost after the timeout and restored by the next change', () => {
+  const { feed, changes } = fallback(5000);
+  feed(1, 0);
+  feed(2, 250);
+  feed(2, 5250);
+  assert.deepStrictEqual(changes, [['ok', null]]);
+  feed(2, 5251);
+  feed(3, 6000);
+  assert.deepStrictEqual(changes, [['ok', null], ['lost', 'loss'], ['ok', 'restore']]);
+});
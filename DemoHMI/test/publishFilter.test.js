@@ -0,0 +1,78 @@
+// Publish filters: deadband (absolute and % of span), minimum interval and the max-age refresh
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPublishFilters, compileFilter } = require('../liveDataAPI/publishFilter');
+
+const META = {
+  TOHMI_VFD1_Amp: { publish: { deadband: 5 } },
+  TOHMI_VFD1_Volt: { min: 0, max: 5000, publish: { deadbandPct: 1, maxAgeMs: 2000 } },
+  TOHMI_R1_currentSpeed: { publish: { deadbandPct: 10 } },
+  TOHMI_R1_Position: { publish: { minIntervalMs: 1000 } }
+};
+
+const filters = () => createPublishFilters({ resolveMeta: (t) => META[t] || null, defaultMaxAgeMs: 10000 });
+
+test('tags without publish settings are never held', () => {
+  const f = filters();
+  assert.strictEqual(f.holdBack('TOHMI_PE1', { value: 0, sentAt: 0 }, 1, 1), false);
+  assert.strictEqual(compileFilter({ publish: { deadband: 0, deadbandPct: -1 } }, 1000), null);
+  assert.strictEqual(f.getStats().filteredTags, 0);
+});
+
+test('a change inside the deadband waits; one past it goes out', () => {
+  const f = filters();
+  const prev = { value: 100, sentAt: 1000 };
+  assert.strictEqual(f.holdBack('TOHMI_VFD1_Amp', prev, 105, 1100), true);   // |5| <= 5
+  assert.strictEqual(f.holdBack('TOHMI_VFD1_Amp', prev, 95, 1200), true);
+  assert.deepStrictEqual([...f.held], [['TOHMI_VFD1_Amp', 95]]);
+  assert.strictEqual(f.holdBack('TOHMI_VFD1_Amp', prev, 105.5, 1300), false);
+  assert.strictEqual(f.held.size, 0);
+
+  // % of min..max (5000 -> 50), or of the last published value without a span
+  assert.strictEqual(f.holdBack('TOHMI_VFD1_Volt', { value: 2300, sentAt: 1000 }, 2350, 1100), true);
+  assert.strictEqual(f.holdBack('TOHMI_VFD1_Volt', { value: 2300, sentAt: 1000 }, 2351, 1100), false);
+  assert.strictEqual(f.holdBack('TOHMI_R1_currentSpeed', { value: 80, sentAt: 1000 }, 88, 1100), true);
+  assert.strictEqual(f.holdBack('TOHMI_R1_currentSpeed', { value: 80, sentAt: 1000 }, 89, 1100), false);
+
+  // Non-numbers have no deadband
+  assert.strictEqual(f.holdBack('TOHMI_VFD1_Amp', { value: 'off', sentAt: 1000 }, 'on', 1100), false);
+});
+
+test('minIntervalMs spaces publishes out', () => {
+  const f = filters();
+  const prev = { value: 1, sentAt: 5000 };
+  assert.strictEqual(f.holdBack('TOHMI_R1_Position', prev, 2, 5500), true);
+  assert.strictEqual(f.holdBack('TOHMI_R1_Position', prev, 3, 5999), true);
+  assert.strictEqual(f.holdBack('TOHMI_R1_Position', prev, 3, 6000), false);
+  assert.deepStrictEqual([f.getStats().rate, f.getStats().deadband], [2, 0]);
+});
+
+test('a held change goes out once the published value reaches maxAgeMs', () => {
+  const f = filters();
+  const volt = { value: 2300, sentAt: 0 };
+  assert.strictEqual(f.holdBack('TOHMI_VFD1_Volt', volt, 2310, 1999), true);
+  assert.strictEqual(f.holdBack('TOHMI_VFD1_Volt', volt, 2310, 2000), false);   // meta maxAgeMs
+  const amp = { value: 100, sentAt: 0 };
+  assert.strictEqual(f.holdBack('TOHMI_VFD1_Amp', amp, 101, 9999), true);
+  assert.strictEqual(f.holdBack('TOHMI_VFD1_Amp', amp, 101, 10000), false);    // default max age
+  assert.deepStrictEqual(f.getStats(), { deadband: 2, rate: 0, refreshed: 2, total: 2, held: 0, filteredTags: 2, defaultMaxAgeMs: 10000 });
+});
+
+test('the same suppressed value counts once; release and reset forget state', () => {
+  const f = filters();
+  const prev = { value: 100, sentAt: 0 };
+  for (let now = 100; now <= 500; now += 100) f.holdBack('TOHMI_VFD1_Amp', prev, 102, now);
+  f.holdBack('TOHMI_VFD1_Amp', prev, 103, 600);
+  assert.deepStrictEqual([f.getStats().deadband, f.getStats().held], [2, 1]);
+  f.release('TOHMI_VFD1_Amp');
+  assert.strictEqual(f.held.size, 0);
+
+  // Filters are compiled once per tag until reset() (hot reload)
+  const meta = { publish: { deadband: 5 } };
+  const reloaded = createPublishFilters({ resolveMeta: () => meta });
+  assert.strictEqual(reloaded.holdBack('TOHMI_VFD1_Amp', prev, 120, 700), false);
+  meta.publish.deadband = 50;
+  assert.strictEqual(reloaded.holdBack('TOHMI_VFD1_Amp', prev, 120, 800), false);
+  reloaded.reset();
+  assert.strictEqual(reloaded.holdBack('TOHMI_VFD1_Amp', prev, 120, 900), true);
+});
@@ -0,0 +1,129 @@
+// Tag quality on /hmi-data: quality-only changes in push mode, and stale values while the link is down
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hmi-quality-'));
+Object.assign(process.env, {
+  INTERNAL_JWT_KEYS_FILE: path.join(dir, 'internal-jwt.json'),
+  ALARM_JOURNAL_FILE: path.join(dir, 'alarm-journal.ndjson'),
+  SSE_BATCH_MS: '10',
+  SSE_RESYNC_MS: '600000', // no resync during the test: only the change feed publishes
+  HMI_WATCH: '0'
+});
+const { getServerId, getSigningKey } = require('iir-shared/identity');
+const { QUALITIES } = require('iir-shared/compactPatch');
+const { createChangeFeed } = require('../sources/changeFeed');
+const { attach } = require('../liveDataAPI');
+
+// The polling loop (resync and link supervision) runs when the test ticks it
+test.mock.timers.enable({ apis: ['setInterval'] });
+const POLL_MS = 250;
+const TAGS = '?tags=TOHMI_PE1,TOHMI_VFD1_Amp';
+const feed = createChangeFeed({
+  TOHMI_PE1: { value: 1, ts: 1, quality: 'good' },
+  TOHMI_VFD1_Amp: { value: 280, ts: 1, quality: 'good' }
+});
+let linkState = 'connected';
+let server, token;
+
+/** Open /hmi-data; `events` fills as they arrive ({ type, data }). */
+function openClient(query) {
+  const events = [];
+  const req = http.get(`http://127.0.0.1:${server.address().port}/hmi-data${query}`, { headers: { authorization: `Bearer ${token}` } }, (res) => {
+    let pending = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      const blocks = (pending + chunk).split('\n\n');
+      pending = blocks.pop();
+      for (const block of blocks) {
+        const field = (name) => (new RegExp(`^${name}: ?(.*)$`, 'm').exec(block) || [])[1];
+        if (field('event')) events.push({ type: field('event'), data: JSON.parse(field('data')) });
+      }
+    });
+  });
+  req.on('error', () => {});
+  return { events, close: () => req.destroy() };
+}
+
+async function waitFor(what, predicate) {
+  const until = Date.now() + 5000;
+  while (!predicate()) {
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+const settle = () => new Promise(r => setTimeout(r, 100));
+const patches = (client) => client.events.filter(e => e.type === 'patch').map(e => e.data.updates.map(u => `${u.tagId}=${u.value}:${u.quality}`).join(','));
+
+/** Client that has seen its hello and snapshot. */
+async function connected(query) {
+  const client = openClient(query);
+  await waitFor('the snapshot', () => client.events.some(e => e.type === 'patch'));
+  await settle();
+  return client;
+}
+
+test.before(async () => {
+  const { kid, key } = getSigningKey();
+  token = jwt.sign({}, key, { algorithm: 'HS256', issuer: 'serverconnect', audience: `hmilive:${getServerId()}`, expiresIn: '5m', keyid: kid });
+  const app = express();
+  test.mock.method(console, 'log', () => {});
+  attach(app, { getOpcuaState: () => linkState, getAllData: () => feed.buffer, getAllSettings: () => ({ plcs: [] }), onData: feed.onData });
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(r => server.once('listening', r));
+  test.mock.timers.tick(POLL_MS); // first diff: every tag
+});
+
+test.after(async () => {
+  test.mock.timers.reset();
+  server.closeAllConnections();
+  await new Promise(r => server.close(r));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a quality-only change goes out without waiting for the resync', async () => {
+  const client = await connected(TAGS);
+  assert.deepStrictEqual(patches(client), ['TOHMI_PE1=1:good,TOHMI_VFD1_Amp=280:good']);
+
+  feed.buffer.TOHMI_VFD1_Amp = { value: 280, ts: 2, quality: 'Bad_NoCommunication' };
+  await waitFor('the quality change', () => patches(client).length === 2);
+  feed.buffer.TOHMI_VFD1_Amp = { value: 280, ts: 3, quality: 'Bad_NoCommunication' }; // same value and quality
+  feed.buffer.TOHMI_VFD1_Amp = { value: 280, ts: 4, quality: 'Good' };
+  await waitFor('the recovery', () => patches(client).length === 3);
+  await settle();
+  client.close();
+  assert.deepStrictEqual(patches(client).slice(1), ['TOHMI_VFD1_Amp=280:bad', 'TOHMI_VFD1_Amp=280:good']);
+});
+
+test('compact patches carry the quality code', async () => {
+  const client = await connected(`${TAGS}&encoding=compact`);
+  feed.buffer.TOHMI_PE1 = { value: 1, ts: 5, quality: 'Uncertain_LastUsableValue' };
+  await waitFor('the quality change', () => client.events.filter(e => e.type === 'patch').length === 2);
+  client.close();
+  const [[, value, , q]] = client.events.filter(e => e.type === 'patch')[1].data.u;
+  assert.deepStrictEqual([value, QUALITIES[q]], [1, 'uncertain']);
+});
+
+test('values are stale while the link is down, then back to their own quality', async () => {
+  const client = await connected(TAGS);
+  linkState = 'reconnecting';
+  test.mock.timers.tick(POLL_MS);
+  await waitFor('the stale patch', () => patches(client).length === 2);
+  test.mock.timers.tick(POLL_MS); // nothing new while it stays down
+  linkState = 'connected';
+  test.mock.timers.tick(POLL_MS);
+  await waitFor('the recovery', () => patches(client).length === 3);
+  await settle();
+  client.close();
+  assert.deepStrictEqual(patches(client), [
+    'TOHMI_PE1=1:uncertain,TOHMI_VFD1_Amp=280:good',
+    'TOHMI_PE1=1:stale,TOHMI_VFD1_Amp=280:stale',
+    'TOHMI_PE1=1:uncertain,TOHMI_VFD1_Amp=280:good'
+  ]);
+});
@@ -0,0 +1,144 @@
+// Scenario engine: parsing and validation, the seeded RNG and repeatable runs on scenario time
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScenarioEngine, parseScenario, readScenarioFile, createRng } = require('../sources/scenarioEngine');
+
+/** Engine on a fresh buffer, with setInterval mocked so `advance(ms)` runs the ticks. */
+function run(t, def, buffer = {}) {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  t.mock.method(console, 'log', () => {});
+  const engine = createScenarioEngine({ buffer });
+  engine.load(def);
+  return { engine, buffer, advance: (ms) => t.mock.timers.tick(ms) };
+}
+
+test('a scenario is normalized with defaults', () => {
+  const s = parseScenario({ steps: [{ at: 5, set: { A: 1 } }, { at: 0, every: 2, times: 3, ramp: { B: { to: 4 } } }] });
+  assert.deepStrictEqual({ ...s, steps: undefined }, {
+    name: 'unnamed', seed: 1, tickMs: 250, duration: null, runs: 1, set: {}, generators: {}, steps: undefined
+  });
+  assert.deepStrictEqual(s.steps.map(st => [st.at, st.every, st.times, !!st.set, !!st.ramp]), [[5, null, Infinity, true, false], [0, 2, 3, false, true]]);
+  assert.strictEqual(parseScenario({ tickMs: 10 }).tickMs, 50);
+  assert.strictEqual(parseScenario({ loop: true, duration: 10 }).runs, Infinity);
+  assert.strictEqual(parseScenario(readScenarioFile('estop-vfd2-fault')).name, 'estop-vfd2-fault');
+});
+
+test('invalid scenarios name the offending field', () => {
+  const cases = [
+    [null, 'scenario must be an object'],
+    [{ loop: 2 }, 'loop requires a positive duration'],
+    [{ generators: { A: { type: 'noise' } } }, /generators\.A: unknown generator type "noise"/],
+    [{ generators: { A: { type: 'sine' } } }, 'generators.A: periodS must be > 0'],
+    [{ generators: { A: { type: 'toggle', periodS: 1, duty: 2 } } }, 'generators.A: duty must be between 0 and 1'],
+    [{ steps: {} }, 'steps must be an array'],
+    [{ steps: [{ set: {} }] }, 'steps[0]: "at" (seconds) is required'],
+    [{ steps: [{ at: 1, every: 0 }] }, 'steps[0]: every must be > 0'],
+    [{ steps: [{ at: 1 }, { at: 2, ramp: { B: { durationS: 1 } } }] }, 'steps[1].ramp.B: "to" is required'],
+    [{ steps: [{ at: 1, generators: { C: { type: 'sine', periodS: -1 } } }] }, 'steps[0].generators.C: periodS must be > 0']
+  ];
+  for (const [def, message] of cases) {
+    assert.throws(() => parseScenario(def), message instanceof RegExp ? message : { message }, JSON.stringify(def));
+  }
+});
+
+test('YAML scenarios load from a path', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+  try {
+    const file = path.join(dir, 'demo.yaml');
+    fs.writeFileSync(file, 'name: demo\nseed: 7\nsteps:\n  - at: 1\n    set: { A: 1 }\n');
+    assert.deepStrictEqual(readScenarioFile(file), { name: 'demo', seed: 7, steps: [{ at: 1, set: { A: 1 } }] });
+    assert.throws(() => readScenarioFile(file, { allowPaths: false }), { code: 'ENOENT' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the RNG repeats for a seed and differs across seeds', () => {
+  const draw = (seed) => { const rng = createRng(seed); return Array.from({ length: 5 }, rng); };
+  assert.deepStrictEqual(draw(42), draw(42));
+  assert.notDeepStrictEqual(draw(42), draw(43));
+  assert.ok(draw(0).every(v => v >= 0 && v < 1));
+});
+
+test('the same seed replays the same values tick by tick', (t) => {
+  const def = {
+    seed: 42, tickMs: 100,
+    generators: { Amp: { type: 'randomWalk', start: 300, step: 6, everyS: 0.5, min: 180, max: 420 } }
+  };
+  const trace = (seed) => {
+    const { buffer, advance, engine } = run(t, { ...def, seed });
+    engine.start();
+    const values = [];
+    for (let i = 0; i < 20; i++) { advance(100); values.push(buffer.Amp); }
+    engine.reset();
+    t.mock.timers.reset();
+    return values;
+  };
+  const first = trace(42);
+  assert.deepStrictEqual(trace(42), first);
+  assert.notDeepStrictEqual(trace(7), first);
+  assert.ok(first.every(v => Number.isInteger(v) && v >= 180 && v <= 420));
+});
+
+test('steps, ramps and repeats fire on scenario time; pause holds it', (t) => {
+  const { engine, buffer, advance } = run(t, {
+    tickMs: 500,
+    set: { Run: 1 },
+    generators: { Count: { type: 'counter', start: 0, step: 1, everyS: 1 } },
+    steps: [
+      { at: 2, set: { Run: 0 }, stop: ['Count'], ramp: { Speed: { to: 100, durationS: 2, from: 0 } } },
+      { at: 1, every: 2, times: 2, set: { Pulse: 1 } },
+      { at: 1.5, every: 2, times: 2, set: { Pulse: 0 } }
+    ]
+  }, { Run: 0, Speed: 0 });
+
+  engine.start();
+  const seen = [];
+  for (let i = 0; i < 12; i++) {
+    advance(500);
+    seen.push([engine.getStatus().t, buffer.Run, buffer.Count, buffer.Speed, buffer.Pulse]);
+    if (i === 8) {
+      engine.pause();
+      advance(5000);
+      assert.strictEqual(engine.getStatus().t, 4.5);
+      engine.start();
+    }
+  }
+  assert.deepStrictEqual(seen, [
+    [0.5, 1, 0, 0, undefined],
+    [1, 1, 1, 0, 1],
+    [1.5, 1, 1, 0, 0],
+    [2, 0, 1, 0, 0],      // Count stopped; the ramp starts from 0
+    [2.5, 0, 1, 25, 0],
+    [3, 0, 1, 50, 1],
+    [3.5, 0, 1, 75, 0],
+    [4, 0, 1, 100, 0],    // ramp done
+    [4.5, 0, 1, 100, 0],
+    [5, 0, 1, 100, 0],    // two repeats only
+    [5.5, 0, 1, 100, 0],
+    [6, 0, 1, 100, 0]
+  ]);
+
+  engine.reset();
+  assert.deepStrictEqual(buffer, { Run: 0, Speed: 0 });
+  assert.strictEqual(engine.getStatus().state, 'loaded');
+});
+
+test('a looping scenario restarts after its duration, then finishes', (t) => {
+  const { engine, buffer, advance } = run(t, {
+    tickMs: 500, duration: 1, loop: 2,
+    set: { Step: 0 },
+    steps: [{ at: 0.5, set: { Step: 1 } }]
+  });
+  engine.start();
+  advance(500);
+  assert.deepStrictEqual([buffer.Step, engine.getStatus().iteration], [1, 0]);
+  advance(500);
+  assert.deepStrictEqual([buffer.Step, engine.getStatus().iteration], [0, 1]); // second run begins
+  advance(500);
+  advance(500);
+  assert.deepStrictEqual([engine.getStatus().state, engine.getStatus().iteration, engine.isActive()], ['finished', 1, false]);
+});
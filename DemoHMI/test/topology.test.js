@@ -0,0 +1,70 @@
+// Simulator topology: componentsRegistry -> component numbers -> the tags the simulator seeds
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadComponentsRegistry, buildTopology, listTopologyTags } = require('../sources/topology');
+
+const STOCK = { robot_perFeedpoint: [1], stations_perFeedpoint: [[1]], totalVFDs: 3, totalESTOPs: 1, totalLCurtains: 1, totalLScanners: 0, totalServoDrs: 0 };
+const SAMPLE = path.join(__dirname, '../config/registry.3fp-4robots.json');
+
+test('the stock registry gives the original R1, Station1 and VFD1..3 cell', () => {
+  const topo = buildTopology(STOCK);
+  assert.deepStrictEqual(topo.feedpoints, [{ id: 1, stations: [1], robots: [1] }]);
+  assert.deepStrictEqual([topo.robots, topo.stations, topo.vfds, topo.estops, topo.servoDrives], [[1], [1], [1, 2, 3], [1], []]);
+  assert.strictEqual(topo.photoeyes.length, 9);
+
+  const tags = listTopologyTags(topo);
+  for (const t of ['TOHMI_R1_dailyPicks', 'ALARM_R1_Error', 'TOHMI_Station1_jobsDone', 'TOHMI_VFD3_Amp', 'ALARM_VFD3_Fault', 'ALARM_ESTOP1', 'TOHMI_PE9', 'Recipe_Feedpoint1_projectName']) {
+    assert.ok(tags.includes(t), t);
+  }
+  assert.ok(!tags.some(t => /^(TOHMI|ALARM)_(R2|VFD4|DR1|LScanner1)_?/.test(t)));
+  assert.ok(!tags.includes('ALARM_Feedpoints_queueFault')); // one feedpoint
+});
+
+test('robots are numbered across feedpoints and every component gets its tags', () => {
+  const topo = buildTopology(loadComponentsRegistry(STOCK, SAMPLE));
+  assert.deepStrictEqual(topo.feedpoints, [
+    { id: 1, stations: [1, 2], robots: [1, 2] },
+    { id: 2, stations: [3], robots: [3] },
+    { id: 3, stations: [4], robots: [4] }
+  ]);
+  assert.deepStrictEqual([topo.vfds.length, topo.servoDrives, topo.estops, topo.photoeyes.length], [6, [1, 2], [1, 2], 12]);
+
+  const tags = listTopologyTags(topo);
+  assert.strictEqual(new Set(tags).size, tags.length, 'duplicate tags');
+  for (const t of ['TOHMI_R4_servoOn', 'ALARM_CSR4_commLoss', 'TOHMI_Feedpoint3_currentJob', 'TOHMI_Station4_totalProducts',
+    'TOHMI_VFD6_Freq', 'TOHMI_DR2_Avail', 'ALARM_LC2_Blocked', 'ALARM_LScanner1', 'ALARM_ESTOP2', 'ALARM_airPressure1',
+    'ALARM_Feedpoints_queueFault', 'TOHMI_PE12']) {
+    assert.ok(tags.includes(t), t);
+  }
+});
+
+test('shared and malformed station lists are cleaned up; missing counters mean none', () => {
+  const topo = buildTopology({ robot_perFeedpoint: [1, 2.7, 'x'], stations_perFeedpoint: [[1, '2'], [2, 'a'], null] });
+  assert.deepStrictEqual(topo.feedpoints, [
+    { id: 1, stations: [1, 2], robots: [1] },
+    { id: 2, stations: [2], robots: [2, 3] },
+    { id: 3, stations: [], robots: [] }
+  ]);
+  assert.deepStrictEqual(topo.stations, [1, 2]);
+  assert.deepStrictEqual([topo.vfds, topo.estops, topo.lightCurtains], [[], [], []]);
+});
+
+test('a registry file overrides the defaults; a broken one is an error', () => {
+  assert.deepStrictEqual(loadComponentsRegistry(STOCK), STOCK);
+  const merged = loadComponentsRegistry(STOCK, SAMPLE);
+  assert.deepStrictEqual([merged.totalVFDs, merged.totalLScanners, merged.totalESTOPs], [6, 1, 2]);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'topology-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'typo.json'), '{ "totalVFDs": 4, }');
+    assert.throws(() => loadComponentsRegistry(STOCK, path.join(dir, 'typo.json')), SyntaxError);
+    fs.writeFileSync(path.join(dir, 'list.json'), '[1, 2]');
+    assert.throws(() => loadComponentsRegistry(STOCK, path.join(dir, 'list.json')), /registry must be a JSON object/);
+    assert.throws(() => loadComponentsRegistry(STOCK, path.join(dir, 'missing.json')), { code: 'ENOENT' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
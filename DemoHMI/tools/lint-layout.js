@@ -0,0 +1,271 @@
+/*****************************************************************************
+ * Lint layout.json + meta.ndjson before they reach hmi-live
+ * - JSON Schema validation (liveDataAPI/schema/*.schema.json)
+ * - Layout tag references that match no meta.ndjson template
+ * - key_ labels missing from any languages/json/<lang>.json
+ * - Computed tags: `expr` syntax, unknown functions, `#` without a template capture
+ * Errors are printed as <file>:<line>:<col> <json-path> <message>; exits 1 on any error.
+ *
+ * Usage: node tools/lint-layout.js [--layout <file>] [--meta <file>]
+ ****************************************************************************/
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const jsonMap = require('json-source-map');
+const {
+  META_FILE,
+  LAYOUT_FILE,
+  TAG_REGEX,
+  captureNumbers
+} = require('../liveDataAPI/registry');
+const { parseExpression } = require('../liveDataAPI/computed');
+
+const SCHEMA_DIR = path.join(__dirname, '../liveDataAPI/schema');
+const LANG_DIR = path.join(__dirname, '../liveDataAPI/languages/json');
+// Same keys collectConcreteTags skips when scanning for tag references
+const NON_TAG_KEYS = new Set(['override', 'component', 'key', 'title', 'id']);
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i > -1 ? process.argv[i + 1] : null;
+}
+
+const layoutFile = path.resolve(argValue('--layout') || LAYOUT_FILE);
+const metaFile = path.resolve(argValue('--meta') || META_FILE);
+const errors = [];
+
+/** Record an error; line/col are 1-based. */
+function report(file, line, col, where, message) {
+  const rel = path.relative(process.cwd(), file);
+  errors.push({ file: rel && !rel.startsWith('..') ? rel : file, line, col, where, message });
+}
+
+/** JSON pointer "/pages/0/id" -> "pages[0].id" for readable output. */
+function pointerToPath(pointer) {
+  if (!pointer) return '(root)';
+  return pointer.split('/').slice(1)
+    .map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((acc, s) => (/^\d+$/.test(s) ? `${acc}[${s}]` : (acc ? `${acc}.${s}` : s)), '');
+}
+
+/** Line/column of a JSON.parse SyntaxError ("... at position N"). */
+function parseErrorPosition(text, err) {
+  const m = /position (\d+)/.exec(err.message);
+  if (!m) return { line: 1, col: 1 };
+  const before = text.slice(0, Number(m[1])).split('\n');
+  return { line: before.length, col: before[before.length - 1].length + 1 };
+}
+
+/** Ajv error -> one readable message (adds the offending/allowed property where useful). */
+function ajvMessage(e) {
+  if (e.keyword === 'additionalProperties') return `unknown property "${e.params.additionalProperty}"`;
+  if (e.keyword === 'enum') return `${e.message}: ${e.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+  return e.message;
+}
+
+/** Keep the most specific Ajv errors for anyOf/oneOf: drop branch "type" mismatches
+ * (the value obviously wasn't meant as that form) and the summary when a branch of
+ * the right type explains the failure. Branches are matched by instance path because
+ * $ref'd branches report schema paths inside the referenced definition. */
+function specificErrors(list) {
+  const groups = list.filter(e => e.keyword === 'anyOf' || e.keyword === 'oneOf');
+  const typeMiss = (e) => e.keyword === 'type' && groups.some(g => g.instancePath === e.instancePath);
+  const within = (e, g) => e.instancePath === g.instancePath || e.instancePath.startsWith(`${g.instancePath}/`);
+
+  return list.filter(e => {
+    if (typeMiss(e)) return false;
+    if (!groups.includes(e)) return true;
+    return !list.some(o => !groups.includes(o) && !typeMiss(o) && within(o, e));
+  });
+}
+
+function loadSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, name), 'utf8'));
+}
+
+function loadLanguages() {
+  const langs = {};
+  for (const f of fs.readdirSync(LANG_DIR).filter(f => f.endsWith('.json')).sort()) {
+    const file = path.join(LANG_DIR, f);
+    try {
+      langs[f] = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      report(file, 1, 1, '(root)', `invalid JSON: ${e.message}`);
+    }
+  }
+  return langs;
+}
+
+/** Same lookup as languageController.translateKey: exact key, then digits -> '#'. */
+function hasTranslation(rawKey, dict) {
+  const key = rawKey.slice(4).toLowerCase();
+  const generic = key.replace(/\d+/g, '#');
+  return typeof (dict[key] ?? dict[generic]) === 'string';
+}
+
+// ---------- meta.ndjson ----------
+/** Validate each line; return Map<templateTagId, { line, meta }> of every parsable template
+ * (schema-invalid ones included so a bad field doesn't also flag every layout reference). */
+function lintMeta(ajv) {
+  const validate = ajv.compile(loadSchema('meta.schema.json'));
+  const templates = new Map();
+  let raw;
+  try {
+    raw = fs.readFileSync(metaFile, 'utf8');
+  } catch (e) {
+    report(metaFile, 1, 1, '(root)', `cannot read: ${e.message}`);
+    return templates;
+  }
+
+  const lines = raw.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const text = lines[i].trim();
+    if (!text) continue;
+    const line = i + 1;
+
+    let obj;
+    try {
+      obj = JSON.parse(text);
+    } catch (e) {
+      report(metaFile, line, parseErrorPosition(text, e).col, '(root)', `invalid JSON: ${e.message}`);
+      continue;
+    }
+    if (!validate(obj)) {
+      for (const e of specificErrors(validate.errors)) {
+        report(metaFile, line, 1, pointerToPath(e.instancePath), ajvMessage(e));
+      }
+      if (!obj || typeof obj.tagId !== 'string') continue;
+    } else if (obj.min !== undefined && obj.max !== undefined && obj.min > obj.max) {
+      report(metaFile, line, 1, 'min', `min (${obj.min}) is greater than max (${obj.max})`);
+    }
+    if (typeof obj.expr === 'string') lintExpr(obj, line);
+    if (templates.has(obj.tagId)) {
+      report(metaFile, line, 1, 'tagId', `duplicate template "${obj.tagId}" (first defined on line ${templates.get(obj.tagId).line})`);
+      continue;
+    }
+    templates.set(obj.tagId, { line, meta: obj });
+  }
+  return templates;
+}
+
+/** Parse a computed tag's expression the way hmi-live will (one capture per '#' in tagId). */
+function lintExpr(meta, line) {
+  const caps = (meta.tagId.match(/#/g) || []).map(() => '1');
+  try {
+    parseExpression(meta.expr, caps);
+  } catch (e) {
+    report(metaFile, line, 1, 'expr', e.message);
+  }
+  if (meta.writable === true) report(metaFile, line, 1, 'writable', 'a computed tag (expr) cannot be writable');
+}
+
+// ---------- layout.json ----------
+/** Validate against the schema; return { data, at(pointer) -> {line, col} } or null when unparsable. */
+function lintLayoutSchema(ajv) {
+  const validate = ajv.compile(loadSchema('layout.schema.json'));
+  let raw;
+  try {
+    raw = fs.readFileSync(layoutFile, 'utf8');
+  } catch (e) {
+    report(layoutFile, 1, 1, '(root)', `cannot read: ${e.message}`);
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = jsonMap.parse(raw);
+  } catch (e) {
+    const { line, col } = parseErrorPosition(raw, e);
+    report(layoutFile, line, col, '(root)', `invalid JSON: ${e.message}`);
+    return null;
+  }
+
+  const at = (pointer) => {
+    const loc = parsed.pointers[pointer];
+    const pos = loc && (loc.value || loc.key);
+    return pos ? { line: pos.line + 1, col: pos.column + 1 } : { line: 1, col: 1 };
+  };
+
+  if (!validate(parsed.data)) {
+    for (const e of specificErrors(validate.errors)) {
+      const { line, col } = at(e.instancePath);
+      report(layoutFile, line, col, pointerToPath(e.instancePath), ajvMessage(e));
+    }
+  }
+  return { data: parsed.data, at };
+}
+
+/** Walk layout strings the way collectConcreteTags does, with their JSON pointers. */
+function walkLayoutStrings(layout, visit) {
+  const walk = (val, pointer, key) => {
+    if (typeof val === 'string') return visit(val, pointer, key);
+    if (Array.isArray(val)) return val.forEach((v, i) => walk(v, `${pointer}/${i}`, key));
+    if (val && typeof val === 'object') {
+      for (const [k, v] of Object.entries(val)) walk(v, `${pointer}/${k.replace(/~/g, '~0').replace(/\//g, '~1')}`, k);
+    }
+  };
+  walk(layout, '', null);
+}
+
+function lintLayoutRefs(layout, at, templates, langs) {
+  const templateIds = [...templates.keys()];
+  const unmatched = new Set();
+
+  walkLayoutStrings(layout.pages, (str, pointer, key) => {
+    const fullPointer = `/pages${pointer}`;
+    if (str.startsWith('key_')) {
+      for (const [lang, dict] of Object.entries(langs)) {
+        if (!hasTranslation(str, dict)) {
+          const { line, col } = at(fullPointer);
+          report(layoutFile, line, col, pointerToPath(fullPointer), `"${str}" missing from ${lang}`);
+        }
+      }
+      return;
+    }
+    if (NON_TAG_KEYS.has(key) || !TAG_REGEX.test(str.trim())) return;
+
+    const tagId = str.trim();
+    if (templateIds.some(tpl => captureNumbers(tagId, tpl))) return;
+    if (unmatched.has(tagId)) return;
+    unmatched.add(tagId);
+    const { line, col } = at(fullPointer);
+    report(layoutFile, line, col, pointerToPath(fullPointer), `tag "${tagId}" matches no meta.ndjson template`);
+  });
+}
+
+/** key_ strings anywhere in a template (label, description, map values...). */
+function lintMetaLabels(templates, langs) {
+  for (const { line, meta } of templates.values()) {
+    walkLayoutStrings(meta, (str, pointer) => {
+      if (!str.startsWith('key_')) return;
+      for (const [lang, dict] of Object.entries(langs)) {
+        if (!hasTranslation(str, dict)) report(metaFile, line, 1, pointerToPath(pointer), `"${str}" missing from ${lang}`);
+      }
+    });
+  }
+}
+
+// ---------- Main ----------
+function main() {
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  const langs = loadLanguages();
+  const templates = lintMeta(ajv);
+  const layout = lintLayoutSchema(ajv);
+
+  lintMetaLabels(templates, langs);
+  if (layout && layout.data && Array.isArray(layout.data.pages)) {
+    lintLayoutRefs(layout.data, layout.at, templates, langs);
+  }
+
+  errors.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.col - b.col);
+  for (const e of errors) console.error(`${e.file}:${e.line}:${e.col} ${e.where}: ${e.message}`);
+
+  if (errors.length) {
+    console.error(`\n${errors.length} error(s)`);
+    process.exitCode = 1;
+  } else {
+    console.log(`OK: ${path.relative(process.cwd(), layoutFile)}, ${path.relative(process.cwd(), metaFile)} (${templates.size} templates)`);
+  }
+}
+
+main();
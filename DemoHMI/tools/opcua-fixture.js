@@ -0,0 +1,99 @@
+/*****************************************************************************
+ * Local OPC UA server fixture for exercising DemoHMI in --source=opcua mode
+ * - Exposes every TOHMI_/ALARM_/WARNING_/Recipe_ tag from layout.json as
+ *   ns=1;s=<tagId> (matches the default nodeIdTemplate in config/opcua.json)
+ * - Adds writable FRMHMI_ command nodes for POST /hmi-write
+ * - Beats every PLC heartbeat of DemoHMI's default `plcs`: the handshake counts 1..300
+ *   and the safety PLC heartbeat toggles, every 1s; analogs drift; alarms stay OFF
+ *
+ * Usage: node tools/opcua-fixture.js [--port 4840]
+ ****************************************************************************/
+const fs = require('fs');
+const path = require('path');
+const { OPCUAServer } = require('node-opcua-server');
+
+const portArg = process.argv.indexOf('--port');
+const PORT = Number(portArg > -1 ? process.argv[portArg + 1] : (process.env.OPCUA_FIXTURE_PORT || 4840));
+const LAYOUT_FILE = path.join(__dirname, '../liveDataAPI/layout.json');
+const TAG_REGEX = /^(TOHMI_|ALARM_|WARNING_|Recipe_Feedpoint\d+_)/;
+const HANDSHAKE_TAG = 'TOHMI_CRC_Handshake';
+const SAFETY_HEARTBEAT_TAG = 'TOHMI_SafetyPLC_Heartbeat';
+const COMMAND_TAGS = ['FRMHMI_Module1_Start', 'FRMHMI_Module1_Pause', 'FRMHMI_Module1_Reset', 'FRMHMI_Module1_dryRun', 'FRMHMI_R1_currentSpeed'];
+
+/** Collect every tag-looking string from layout.json */
+function layoutTags() {
+  const tags = new Set([HANDSHAKE_TAG, SAFETY_HEARTBEAT_TAG, ...COMMAND_TAGS]);
+  const walk = (v) => {
+    if (typeof v === 'string') { if (TAG_REGEX.test(v)) tags.add(v); return; }
+    if (Array.isArray(v)) return v.forEach(walk);
+    if (v && typeof v === 'object') Object.values(v).forEach(walk);
+  };
+  walk(JSON.parse(fs.readFileSync(LAYOUT_FILE, 'utf8')).pages);
+  return [...tags];
+}
+
+/** Initial value by naming pattern (strings for names, numbers otherwise) */
+function initialValue(tag) {
+  if (/projectName$/i.test(tag)) return 'Fixture Project';
+  if (/_Volt$/.test(tag)) return 2300;
+  if (/_Amp$/.test(tag)) return 280;
+  if (/_Freq$/.test(tag)) return 600;
+  if (/^(ALARM_|WARNING_|FRMHMI_)/.test(tag) || tag === SAFETY_HEARTBEAT_TAG) return 0;
+  return 1;
+}
+
+async function main() {
+  const server = new OPCUAServer({
+    port: PORT,
+    resourcePath: '/UA/DemoHMI',
+    buildInfo: { productName: 'DemoHMI OPC UA fixture', buildNumber: '1' }
+  });
+  await server.initialize();
+
+  const addressSpace = server.engine.addressSpace;
+  const namespace = addressSpace.getOwnNamespace();
+  const device = namespace.addObject({ organizedBy: addressSpace.rootFolder.objects, browseName: 'DemoPLC' });
+
+  const variables = new Map();
+  for (const tag of layoutTags()) {
+    const value = initialValue(tag);
+    const dataType = typeof value === 'string' ? 'String' : 'Double';
+    const variable = namespace.addVariable({ componentOf: device, nodeId: `s=${tag}`, browseName: tag, dataType });
+    variable.setValueFromSource({ dataType, value });
+    variables.set(tag, variable);
+  }
+
+  const set = (tag, value) => {
+    const v = variables.get(tag);
+    if (v) v.setValueFromSource({ dataType: 'Double', value });
+  };
+
+  // Handshake 1..300 and safety heartbeat toggle (1s), analog drift (1s)
+  let hb = 1;
+  let safety = 0;
+  setInterval(() => {
+    hb = hb >= 300 ? 1 : hb + 1;
+    safety = safety ? 0 : 1;
+    set(HANDSHAKE_TAG, hb);
+    set(SAFETY_HEARTBEAT_TAG, safety);
+    for (const [tag, v] of variables) {
+      if (/_(Volt|Amp|Freq)$/.test(tag)) {
+        const cur = v.readValue().value.value;
+        set(tag, Math.round(cur * (1 + (Math.random() - 0.5) * 0.04)));
+      }
+    }
+  }, 1000);
+
+  await server.start();
+  console.log(`OPC UA fixture listening on ${server.getEndpointUrl()} (${variables.size} tags)`);
+
+  process.on('SIGINT', async () => {
+    await server.shutdown(500);
+    process.exit(0);
+  });
+}
+
+main().catch(err => {
+  console.error('OPC UA fixture failed:', err);
+  process.exit(1);
+});
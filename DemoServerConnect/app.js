@@ -4,11 +4,18 @@ const dotenv = require('dotenv');
 const os = require('os');
 
 const hmiRoutes = require('./src/endpoints/hmi/status');
+const authRoutes = require('./src/endpoints/auth/auth');
 const serverRoutes = require('./src/endpoints/server/servers');
 
 const { generatePairingQR } = require('./src/utils/qr');
 const { getPreferredIp } = require('./src/utils/network');
 const { i18nMiddleware } = require('./src/languages/languageController');
+const { attachHmiSocket } = require('./src/handlers/hmi/hmiSocket');
+const { createConsolePairingCode } = require('./src/services/deviceService');
+const { advertise } = require('./src/services/mdnsService');
+const { startScanner } = require('./src/services/networkService');
+const { startRegistry } = require('./src/services/hmiRegistry');
+const { getServerId, checkInternalKeys } = require('iir-shared/identity');
 
 dotenv.config();
 
@@ -16,6 +23,7 @@ const app = express();
 
 const PORT = Number(process.env.PORT || 3000);
 const HOST = getPreferredIp() || process.env.BIND_HOST ; // exposed for LAN/Tunnel on purpose
+const VERSION = '1.1.0';
 
 // --- Middlewares ---
 app.use(cors());           // Allow external devices / tunnel access
@@ -23,7 +31,8 @@ app.use(express.json());   // Parse JSON
 app.use(i18nMiddleware);
 
 // --- Routes (domain oriented) ---
-app.use('/hmi', hmiRoutes);         // External → ServerConnect (protected by external auth)
+app.use('/auth', authRoutes);       // Device pairing / token refresh / device administration
+app.use('/hmi', hmiRoutes);         // External → ServerConnect (protected by device tokens)
 app.use('/server', serverRoutes);   // Server-to-server utilities (scan/transfer)
 
 // --- Root/status (minimal, no sensitive data) ---
@@ -32,16 +41,49 @@ app.get('/status', (_req, res) => {
   res.json({
     status: 'ok',
     name: 'IIR-SERVER-CONNECT',
+    id: getServerId(),
     hostname: os.hostname(),
-    version: '1.1.0',
+    version: VERSION,
     time: new Date().toISOString(),
   });
 });
 
 // --- Start ---
-app.listen(PORT, HOST, () => {
+// A broken internal key file stops us here rather than at the first call to hmi-live
+try {
+  checkInternalKeys();
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+const server = app.listen(PORT, HOST, () => {
   const baseLAN = `http://${HOST}:${PORT}`;
   console.log(`✅ ServerConnect running on ${baseLAN}`);
-  // Display QR for quick pairing (PUBLIC_BASE_URL)
-  generatePairingQR(baseLAN);
+  // Display QR for quick pairing (PUBLIC_BASE_URL); a fresh code is printed once one is used or expires
+  let pairingExpiry = null;
+  const printPairing = () => {
+    clearTimeout(pairingExpiry);
+    const pairing = createConsolePairingCode(printPairing);
+    generatePairingQR(baseLAN, pairing);
+    pairingExpiry = setTimeout(printPairing, pairing.expiresAt - Date.now());
+    pairingExpiry.unref();
+  };
+  printPairing();
+
+  // DNS-SD advertisement (_iirconnect._tcp) so peers and the app find us without a sweep
+  const stopAdvertising = advertise({ port: PORT, id: getServerId(), version: VERSION });
+  if (stopAdvertising) {
+    const shutdown = () => stopAdvertising(() => process.exit(0)); // goodbye packets first
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  }
+
+  // Keep the peer cache warm for GET /server/scan (SCAN_INTERVAL_MS, 0 = on demand only)
+  startScanner();
+  // Upstream HMIs: discovery (_iirhmi._tcp) + health checks for GET /hmi
+  startRegistry();
 });
+
+// Live data over WebSocket (socket.io at /hmi/ws), proxied to hmi-live
+attachHmiSocket(server);
@@ -0,0 +1,18 @@
+/*****************************************************************************
+ * /auth routes — device pairing (public) and device administration (admin)
+ ****************************************************************************/
+const express = require('express');
+const router = express.Router();
+const { authMobile, requireRole } = require('../../middlewares/authMobile');
+const { pair, refresh, getDevices, deleteDevice, postPairingCode } = require('../../handlers/auth/authHandler');
+
+// Pairing code / refresh token are the credentials here
+router.post('/pair', pair);
+router.post('/refresh', refresh);
+
+// Device administration
+router.get('/devices', authMobile, requireRole('admin'), getDevices);
+router.delete('/devices/:id', authMobile, requireRole('admin'), deleteDevice);
+router.post('/pairing-codes', authMobile, requireRole('admin'), postPairingCode);
+
+module.exports = router;
@@ -1,15 +1,52 @@
 /*****************************************************************************
- * /hmi routes — tokens validated from mobile app (iir-dbi-api)
+ * /hmi routes — access tokens of paired mobile devices (authMobile)
  ****************************************************************************/
 const express = require('express');
 const router = express.Router();
-const { getHmiStructure, getHmiStatus, streamHmiData, streamHmiLogo } = require('../../handlers/hmi/hmiHandler');
+const { authMobile } = require('../../middlewares/authMobile');
+const { resolveHmi } = require('../../services/hmiRegistry');
+const {
+  listHmis,
+  getHmiStructure,
+  getHmiStatus,
+  writeHmiTag,
+  getHmiHistory,
+  getHmiAlarms,
+  getHmiAlarmHistory,
+  getHmiPlcCommsHistory,
+  ackHmiAlarm,
+  shelveHmiAlarm,
+  unshelveHmiAlarm,
+  streamHmiData,
+  streamHmiLogo
+} = require('../../handlers/hmi/hmiHandler');
+
+// Per-HMI routes: /hmi/<route> -> default HMI, /hmi/:hmiId/<route> -> that HMI
+const scoped = express.Router({ mergeParams: true });
+scoped.get('/status', getHmiStatus);
+scoped.get('/structure', getHmiStructure);
+scoped.get('/data', streamHmiData);
+scoped.post('/write', writeHmiTag);
+scoped.get('/history', getHmiHistory);
+scoped.get('/alarms', getHmiAlarms);
+scoped.get('/alarms/history', getHmiAlarmHistory);
+scoped.post('/alarms/:tagId/ack', ackHmiAlarm);
+scoped.post('/alarms/:tagId/shelve', shelveHmiAlarm);
+scoped.post('/alarms/:tagId/unshelve', unshelveHmiAlarm);
+scoped.get('/plc-comms/history', getHmiPlcCommsHistory);
+scoped.get('/logo/stream', streamHmiLogo);
+
+/** 404 for an :hmiId the registry does not know. */
+function knownHmi(req, res, next) {
+  if (resolveHmi(req.params.hmiId)) return next();
+  return res.status(404).json({ success: false, translateKey: 'key-sc_unknown_hmi', hmiId: req.params.hmiId });
+}
 
 // All HMI routes require mobile auth
-router.get('/status', getHmiStatus);
-router.get('/structure', getHmiStructure);
-router.get('/data', streamHmiData);
-router.get('/logo/stream', streamHmiLogo);
+router.use(authMobile);
+router.get('/', listHmis);
+router.use('/', scoped);
+router.use('/:hmiId', knownHmi, scoped);
 
 
 module.exports = router;
@@ -3,11 +3,32 @@
  ****************************************************************************/
 const express = require('express');
 const router = express.Router();
-const { scanServers } = require('../../handlers/server/serversHandler');
+const { authMobile, authPeer } = require('../../middlewares/authMobile');
+const { scanServers, streamScan, getOverview, getLocalOverview, streamOverview } = require('../../handlers/server/serversHandler');
 
-/** Register GET /server/scan → scanServers (LAN-visible peer scan).
+/** Register GET /server/scan → scanServers (LAN-visible peer scan, cached; ?fresh=1).
  * @returns {void}
  */
 router.get('/scan', scanServers);
 
+/** Register GET /server/scan/stream → streamScan (SSE: peers as they are found).
+ * @returns {void}
+ */
+router.get('/scan/stream', streamScan);
+
+/** Register GET /server/overview → getOverview (plant-wide HMI summary; device token).
+ * @returns {void}
+ */
+router.get('/overview', authMobile, getOverview);
+
+/** Register GET /server/overview/stream → streamOverview (SSE: summary changes).
+ * @returns {void}
+ */
+router.get('/overview/stream', authMobile, streamOverview);
+
+/** Register GET /server/overview/local → getLocalOverview (this server's HMIs only; peer token).
+ * @returns {void}
+ */
+router.get('/overview/local', authPeer, getLocalOverview);
+
 module.exports = router;
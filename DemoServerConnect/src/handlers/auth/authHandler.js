@@ -0,0 +1,87 @@
+/*****************************************************************************
+ * Auth handlers — device pairing, token refresh, device administration
+ ****************************************************************************/
+const {
+  ROLES,
+  normalizeRoles,
+  pairDevice,
+  refreshDevice,
+  createPairingCode,
+  listDevices,
+  revokeDevice
+} = require('../../services/deviceService');
+
+const unavailable = (res) => res.status(503).json({ success: false, translateKey: 'key-sc_auth_not_configured' });
+// Device store writes can fail (disk full, permissions): report without details
+const internalError = (res) => res.status(500).json({ success: false, translateKey: 'key-sc_internal_server_error' });
+
+/** POST /auth/pair { code, name? } -> device tokens (the code is consumed) */
+async function pair(req, res) {
+  const { code, name } = req.body || {};
+  if (typeof code !== 'string' || !code.trim()) {
+    return res.status(400).json({ success: false, translateKey: 'key-sc_missing_pairing_code' });
+  }
+  try {
+    const r = pairDevice(code, { name });
+    if (r.error === 'unavailable') return unavailable(res);
+    if (r.error) return res.status(401).json({ success: false, translateKey: 'key-sc_invalid_pairing_code' });
+    return res.status(200).json({ success: true, ...r });
+  } catch (_) {
+    return internalError(res);
+  }
+}
+
+/** POST /auth/refresh { refreshToken } -> new access + refresh token (the old refresh token stops working) */
+async function refresh(req, res) {
+  const { refreshToken } = req.body || {};
+  try {
+    const r = refreshDevice(refreshToken);
+    if (r.error === 'unavailable') return unavailable(res);
+    if (r.error) return res.status(401).json({ success: false, translateKey: 'key-sc_invalid_refresh_token' });
+    return res.status(200).json({ success: true, ...r });
+  } catch (_) {
+    return internalError(res);
+  }
+}
+
+/** GET /auth/devices (admin) -> paired devices, revoked ones included */
+async function getDevices(_req, res) {
+  const devices = listDevices();
+  if (!devices) return unavailable(res);
+  return res.status(200).json({ devices });
+}
+
+/** DELETE /auth/devices/:id (admin) -> revoke: tokens stop working, live streams are closed */
+async function deleteDevice(req, res) {
+  try {
+    const r = revokeDevice(req.params.id);
+    if (r.error === 'unavailable') return unavailable(res);
+    if (r.error) return res.status(404).json({ success: false, translateKey: 'key-sc_device_not_found' });
+    return res.status(200).json({ success: true, device: r.device });
+  } catch (_) {
+    return internalError(res);
+  }
+}
+
+/** POST /auth/pairing-codes (admin) { roles?, ttlMs? } -> one-time code for another device */
+async function postPairingCode(req, res) {
+  const { roles = ['operator'], ttlMs } = req.body || {};
+  const list = Array.isArray(roles) ? roles : [roles];
+  const valid = normalizeRoles(list);
+  if (!valid.length || valid.length !== new Set(list).size) {
+    return res.status(400).json({ success: false, translateKey: 'key-sc_invalid_roles', detail: `one or more of ${ROLES.join(', ')}` });
+  }
+  const ms = ttlMs == null ? undefined : Number(ttlMs);
+  if (ms !== undefined && !(Number.isFinite(ms) && ms > 0 && ms <= 24 * 60 * 60 * 1000)) {
+    return res.status(400).json({ success: false, translateKey: 'key-sc_invalid_ttl', detail: 'positive, at most 24 h' });
+  }
+  return res.status(201).json({ success: true, ...createPairingCode({ roles: valid, ttlMs: ms }) });
+}
+
+module.exports = {
+  pair,
+  refresh,
+  getDevices,
+  deleteDevice,
+  postPairingCode
+};
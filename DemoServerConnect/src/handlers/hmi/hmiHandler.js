@@ -1,12 +1,50 @@
 /*****************************************************************************
  * HMI handlers — protected by authMobile middleware (token already checked)
+ * Routes under /hmi/:hmiId/... target that HMI, the unscoped ones the default HMI.
  ****************************************************************************/
-const { getHmiStatus, getHmiStructure, openHmiSse, getHmiLogo } = require('../../services/hmiService');
+const { StringDecoder } = require('string_decoder');
+const {
+  getHmiStatus,
+  getHmiStructure,
+  writeHmiTag,
+  getHmiHistory,
+  getHmiAlarms,
+  getHmiAlarmHistory,
+  getHmiPlcCommsHistory,
+  postHmiAlarmAction,
+  openHmiSse,
+  getHmiLogo
+} = require('../../services/hmiService');
+const { listHmis, getDefaultHmiId } = require('../../services/hmiRegistry');
+const { getRecipeProject } = require('../../services/recipeService');
+const { internalClaims } = require('../../utils/jwtInternal');
+const { onDeviceRevoked } = require('../../services/deviceService');
+const {
+  parseSSEEvent,
+  isRecipeIdTag,
+  isCurrentJobTag,
+  feedpointFromTag,
+  normalizeRecipePathUpdates,
+  findJobInfoFromProject,
+  normalizeCurrentJobPathUpdates
+} = require('../../utils/hmi');
+const { createIndex, encodePatch, decodePatch } = require('iir-shared/compactPatch');
+
+// Caller's sub/roles for the internal token; hmi-live filters and authorizes by them
+const claimsOf = (req) => internalClaims(req.user);
+// Target HMI (:hmiId of /hmi/:hmiId/...) + claims, as hmiService options
+const scopeOf = (req) => ({ claims: claimsOf(req), hmiId: req.params?.hmiId });
+
+/** GET /hmi -> registered HMIs with their last health check */
+async function listHmisHandler(_req, res) {
+  const hmis = listHmis().map(({ id, name, source, trusted, wsPath, health, default: isDefault }) => ({ id, name, source, trusted, default: isDefault, wsPath, health }));
+  return res.status(200).json({ hmis });
+}
 
 /** GET /hmi/status -> pass-through hmi-live /status */
-async function getHmiStatusHandler(_req, res) {
+async function getHmiStatusHandler(req, res) {
   try {
-    const r = await getHmiStatus();
+    const r = await getHmiStatus(scopeOf(req));
     return res.status(r.status).json(r.data);
   } catch (err) {
     const status = err.status || 502;
@@ -18,7 +56,7 @@ async function getHmiStatusHandler(_req, res) {
 async function getHmiStructureHandler(_req, res) {
   try {
     const lang = (_req.query?.lang && String(_req.query.lang)) || 'en';
-    const r = await getHmiStructure({lang});
+    const r = await getHmiStructure({lang, ...scopeOf(_req)});
     return res.status(r.status).json(r.data);
   } catch (err) {
     const status = err.status || 502;
@@ -27,14 +65,420 @@ async function getHmiStructureHandler(_req, res) {
 }
 
 
+/** POST /hmi/write -> pass-through hmi-live /hmi-write ({ tagId, value }) */
+async function writeHmiTagHandler(req, res) {
+  try {
+    const { tagId, value } = req.body || {};
+    if (typeof tagId !== 'string' || !tagId.trim()) {
+      return res.status(400).json({ success: false, translateKey: 'key-sc_missing_tag_id' });
+    }
+    const r = await writeHmiTag({ tagId: tagId.trim(), value, ...scopeOf(req) });
+    return res.status(r.status).json(r.data);
+  } catch (err) {
+    const status = err.status || 502;
+    return res.status(status).json({ success: false, translateKey: 'key-sc_hmi_live_write_error', detail: err.data || err.message });
+  }
+}
+
+/** GET /hmi/history -> pass-through hmi-live /hmi-history (tags, from, to, maxPoints) */
+async function getHmiHistoryHandler(req, res) {
+  try {
+    const q = req.query || {};
+    const tags = Array.isArray(q.tags) ? q.tags.join(',') : q.tags;
+    if (!tags || !String(tags).trim()) {
+      return res.status(400).json({ success: false, translateKey: 'key-sc_missing_tags' });
+    }
+    const r = await getHmiHistory({ tags: String(tags), from: q.from, to: q.to, maxPoints: q.maxPoints, ...scopeOf(req) });
+    return res.status(r.status).json(r.data);
+  } catch (err) {
+    const status = err.status || 502;
+    return res.status(status).json({ success: false, translateKey: 'key-sc_hmi_live_history_error', detail: err.data || err.message });
+  }
+}
+
+/** GET /hmi/alarms -> pass-through hmi-live /alarms (lang, all) */
+async function getHmiAlarmsHandler(req, res) {
+  try {
+    const lang = (req.query?.lang && String(req.query.lang)) || 'en';
+    const r = await getHmiAlarms({ lang, all: req.query?.all, ...scopeOf(req) });
+    return res.status(r.status).json(r.data);
+  } catch (err) {
+    const status = err.status || 502;
+    return res.status(status).json({ success: false, translateKey: 'key-sc_hmi_live_alarms_error', detail: err.data || err.message });
+  }
+}
+
+/** GET /hmi/alarms/history -> pass-through hmi-live /alarms/history (from, to, tagId, limit) */
+async function getHmiAlarmHistoryHandler(req, res) {
+  try {
+    const { from, to, tagId, limit } = req.query || {};
+    const r = await getHmiAlarmHistory({ from, to, tagId, limit, ...scopeOf(req) });
+    return res.status(r.status).json(r.data);
+  } catch (err) {
+    const status = err.status || 502;
+    return res.status(status).json({ success: false, translateKey: 'key-sc_hmi_live_alarms_error', detail: err.data || err.message });
+  }
+}
+
+/** GET /hmi/plc-comms/history?from=&to=&plcId=&limit= -> pass-through hmi-live /plc-comms/history */
+async function getHmiPlcCommsHistoryHandler(req, res) {
+  try {
+    const { from, to, plcId, limit } = req.query || {};
+    const r = await getHmiPlcCommsHistory({ from, to, plcId, limit, ...scopeOf(req) });
+    return res.status(r.status).json(r.data);
+  } catch (err) {
+    const status = err.status || 502;
+    return res.status(status).json({ success: false, translateKey: 'key-sc_hmi_live_plc_comms_error', detail: err.data || err.message });
+  }
+}
+
+/** POST /hmi/alarms/:tagId/(ack|shelve|unshelve) -> pass-through to hmi-live */
+function alarmActionHandler(action) {
+  return async (req, res) => {
+    try {
+      const { by, durationMs } = req.body || {};
+      const r = await postHmiAlarmAction(req.params.tagId, action, { by, durationMs }, scopeOf(req));
+      return res.status(r.status).json(r.data);
+    } catch (err) {
+      const status = err.status || 502;
+      return res.status(status).json({ success: false, translateKey: 'key-sc_hmi_live_alarms_error', detail: err.data || err.message });
+    }
+  };
+}
+
+/** One SSE event as text (strings are already encoded) */
+const sseBlock = (type, data) => `event: ${type}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+
+/** Write raw SSE text to the client (ignores writes after close) */
+function writeRaw(res, raw) {
+  if (res.writableEnded || res.destroyed) return;
+  try { res.write(raw); } catch (_) {}
+}
+
+/**
+ * Tag table for a compact stream (?encoding=compact): hmi-live indexes tags by /hmi-structure `tags`.
+ * Enrichment decodes upstream patches with it and encodes its own patches the same way;
+ * call refresh() on `structure-changed`. `claims` must be the stream's, since the table is per role.
+ * @param {{ format?: 'json'|'msgpack', binary?: boolean, claims?: Object, hmiId?: string }} opts binary: msgpack as bytes (WebSocket)
+ */
+function createCompactCodec({ format = 'json', binary = false, claims, hmiId } = {}) {
+  let table = null;     // { tags, index } or null when /hmi-structure is unavailable
+  let loading = null;
+
+  const refresh = () => {
+    loading = getHmiStructure({ claims, hmiId })
+      .then((r) => {
+        const tags = r && r.data && r.data.tags;
+        table = Array.isArray(tags) ? { tags, index: createIndex(tags) } : null;
+      })
+      .catch(() => { table = null; });
+    return loading;
+  };
+  refresh();
+
+  return {
+    refresh,
+    /** Compact patch as received -> { updates } (null without a tag table) */
+    async decode(data) {
+      await loading;
+      return table ? decodePatch(data, table.tags, { format }) : null;
+    },
+    /** { updates } -> wire form; unknown tags go by name */
+    encode(patch) {
+      return encodePatch(patch, table ? table.index : new Map(), { format, binary });
+    }
+  };
+}
+
 /**
- * GET /hmi/data -> SSE proxy + enrichment
- * - Opens upstream SSE to hmi-live (/hmi-data)
- * - Forwards byte chunks to the client as-is
- * - Parses 'patch' events to detect recipe id changes and emits 'recipe' on change
- * - Aborts upstream and clears per-connection state when client disconnects
+ * Per-connection recipe enrichment for upstream 'patch' events.
+ * - Recipe id change on a feedpoint -> resolve project, emit 'recipe' + Recipe_Feedpoint#_* patch
+ * - currentJob change -> look the job up in the active project, emit layer/pick/drop patch
+ * `send(type, data)` delivers the derived events (SSE writer or socket emit)
  */
-async function streamHmiData(_req, res) {
+function createRecipeEnricher(send, lastIdByFeedpoint) {
+  const projectByFeedpoint = new Map();
+  const lastJobByFeedpoint = new Map();
+
+  const applyJob = (feedpoint) => {
+    const project = projectByFeedpoint.get(feedpoint);
+    const jobNr = lastJobByFeedpoint.get(feedpoint);
+    if (!project || jobNr == null) return;
+    const jobInfo = findJobInfoFromProject(project, jobNr);
+    if (jobInfo) send('patch', { updates: normalizeCurrentJobPathUpdates(feedpoint, jobInfo) });
+  };
+
+  return async function enrich(updates) {
+    if (!Array.isArray(updates)) return;
+
+    // Recipes first so a job arriving in the same patch resolves against the new project
+    for (const u of updates) {
+      if (!u || typeof u.tagId !== 'string' || !isRecipeIdTag(u.tagId)) continue;
+      const feedpoint = feedpointFromTag(u.tagId);
+      if (feedpoint == null || lastIdByFeedpoint.get(feedpoint) === u.value) continue;
+      lastIdByFeedpoint.set(feedpoint, u.value);
+
+      const project = await getRecipeProject(u.value);
+      if (project) projectByFeedpoint.set(feedpoint, project);
+      else projectByFeedpoint.delete(feedpoint);
+
+      send('recipe', { feedpoint, recipeId: u.value, found: !!project, projectName: project?.name ?? null, ts: Date.now() });
+      if (project) {
+        send('patch', { updates: normalizeRecipePathUpdates(feedpoint, project) });
+        applyJob(feedpoint);
+      }
+    }
+
+    for (const u of updates) {
+      if (!u || typeof u.tagId !== 'string' || !isCurrentJobTag(u.tagId)) continue;
+      const feedpoint = feedpointFromTag(u.tagId);
+      if (feedpoint == null || lastJobByFeedpoint.get(feedpoint) === u.value) continue;
+      lastJobByFeedpoint.set(feedpoint, u.value);
+      applyJob(feedpoint);
+    }
+  };
+}
+
+// ---------- Shared upstream streams ----------
+// Read lazily: app.js loads .env after its requires
+const streamEnv = {
+  retryMinMs: () => Number(process.env.UPSTREAM_RETRY_MIN_MS || 1000),
+  retryMaxMs: () => Number(process.env.UPSTREAM_RETRY_MAX_MS || 30000),
+  stallMs: () => Number(process.env.UPSTREAM_STALL_MS || 15000),
+  lingerMs: () => Number(process.env.UPSTREAM_LINGER_MS ?? 10000),
+  replayMax: () => Number(process.env.UPSTREAM_REPLAY_MAX || 500)
+};
+
+// Upstream answers a retry will not change (bad query, forbidden, unknown page)
+const FATAL_UPSTREAM_STATUS = [400, 403, 404];
+
+const upstreams = new Map();   // key -> shared upstream (createUpstream)
+
+/**
+ * What hmi-live streams depends on the HMI, the roles and the subscription only,
+ * so clients agreeing on those share one upstream (the device id is not sent).
+ */
+function upstreamOptions({ hmiId, claims = {}, tags, page, encoding, format }) {
+  const list = (v) => (Array.isArray(v) ? v : String(v ?? '').split(',')).map(s => String(s).trim()).filter(Boolean);
+  const opts = {
+    hmiId: hmiId || getDefaultHmiId(),
+    claims: claims.roles ? { roles: [...claims.roles].sort() } : {},
+    tags: [...new Set(list(tags))].sort().join(','),
+    page: page ? String(page) : '',
+    encoding: String(encoding || 'json').toLowerCase(),
+    format: String(format || 'json').toLowerCase()
+  };
+  return { key: JSON.stringify(opts), opts };
+}
+
+/**
+ * One upstream /hmi-data subscription fanned out to every client that joins it.
+ * - Reconnects with exponential backoff (UPSTREAM_RETRY_MIN_MS..UPSTREAM_RETRY_MAX_MS, ±20%); each attempt signs
+ *   a fresh internal token and sends the last seen event id, so hmi-live replays what was missed
+ * - No data for UPSTREAM_STALL_MS (hmi-live sends a heartbeat every 3 s) counts as a lost connection
+ * - Keeps the last hello, tag values, plc-comms and recipe events: a joining client gets them at once,
+ *   or, when its Last-Event-ID is still buffered (UPSTREAM_REPLAY_MAX events), only the events it missed
+ * - Clients get `upstream-state` { state: connecting|up|down, ... } on join and on every change;
+ *   only a status a retry will not fix (400/403/404) ends their streams
+ * - Closes UPSTREAM_LINGER_MS after its last client left
+ * `resumeFrom`: event id of the client that opens it, passed on so hmi-live replays for that client
+ */
+function createUpstream(key, { hmiId, claims, tags, page, encoding, format }, { resumeFrom = null } = {}) {
+  const compact = encoding === 'compact';
+  const codec = compact ? createCompactCodec({ format, claims, hmiId }) : null;
+  const clients = new Set();
+  const values = new Map();      // tagId -> last update (decoded), upstream and derived
+  const recipes = new Map();     // feedpoint -> last 'recipe' event
+  const last = { hello: null, plc: null, eventId: resumeFrom };
+  const replay = [];             // { id, raw } upstream events, { after, raw } derived ones; oldest first
+  const status = { state: 'connecting', since: Date.now(), attempt: 0, retryInMs: null, error: null };
+  let controller = null;
+  let retryTimer = null;
+  let stallTimer = null;
+  let lingerTimer = null;
+  let queue = Promise.resolve(); // keeps cache updates and enrichment in upstream order
+  let closed = false;
+
+  const broadcast = (raw) => { for (const res of clients) writeRaw(res, raw); };
+  const encodeOut = (type, data) => (codec && type === 'patch' ? codec.encode(data) : data);
+  const stateEvent = () => sseBlock('upstream-state', { hmiId, ...status });
+  const keep = (entry) => {
+    replay.push(entry);
+    if (replay.length > streamEnv.replayMax()) replay.shift();
+  };
+  const remember = (updates) => {
+    for (const u of Array.isArray(updates) ? updates : []) {
+      if (u && typeof u.tagId === 'string') values.set(u.tagId, u);
+    }
+  };
+
+  const enrich = createRecipeEnricher((type, data) => {
+    if (type === 'patch') remember(data.updates);
+    if (type === 'recipe') recipes.set(data.feedpoint, data);
+    const raw = sseBlock(type, encodeOut(type, data));
+    keep({ after: Number(last.eventId), raw });
+    broadcast(raw);
+  }, new Map());
+
+  const setState = (state, extra = {}) => {
+    Object.assign(status, { retryInMs: null, error: null }, extra, status.state === state ? {} : { state, since: Date.now() });
+    broadcast(stateEvent());
+  };
+
+  function onBlock(block) {
+    broadcast(`${block}\n\n`);
+    const { type, data } = parseSSEEvent(block);
+    const id = /^id:\s*(.*)$/m.exec(block);
+    if (id) last.eventId = id[1];
+    // Heartbeats repeat the last id: nothing to replay
+    if (id && type !== 'heartbeat') keep({ id: Number(id[1]), raw: `${block}\n\n` });
+    if (type === 'hello') last.hello = data;
+    else if (type === 'plc-comms') last.plc = data;
+    else if (type === 'structure-changed' && codec) codec.refresh();
+    if (type !== 'patch' || !data) return;
+    // Compact patches are passed through as-is; a decoded copy feeds the cache and enrichment
+    queue = queue
+      .then(async () => {
+        const updates = codec ? (await codec.decode(data))?.updates : data.updates;
+        remember(updates);
+        await enrich(updates);
+      })
+      .catch(() => {});
+  }
+
+  function retry(error) {
+    if (closed) return;
+    const base = Math.min(streamEnv.retryMaxMs(), streamEnv.retryMinMs() * 2 ** status.attempt);
+    const delay = Math.round(base * (0.8 + Math.random() * 0.4));
+    status.attempt += 1;
+    setState('down', { error, retryInMs: delay });
+    retryTimer = setTimeout(connect, delay);
+  }
+
+  function fail(statusCode, detail) {
+    broadcast(sseBlock('error', { translateKey: 'key-sc_upstream_error', status: statusCode, detail }));
+    close();
+  }
+
+  async function connect() {
+    retryTimer = null;
+    if (closed) return;
+    let opened;
+    try {
+      opened = await openHmiSse({ tags, page, encoding, format, claims, hmiId, lastEventId: last.eventId });
+    } catch (err) {
+      if (err.status === 404 || err.status === 403) return fail(err.status, err.message); // HMI left the registry / untrusted
+      return retry(err.message);
+    }
+    if (closed) return opened.controller.abort();
+    const upstream = opened.response;
+    if (!upstream.ok) {
+      const detail = await upstream.text().catch(() => '');
+      if (FATAL_UPSTREAM_STATUS.includes(upstream.status)) return fail(upstream.status, detail);
+      return retry(`HTTP ${upstream.status}`);
+    }
+
+    controller = opened.controller;
+    status.attempt = 0;
+    setState('up');
+
+    const decoder = new StringDecoder('utf8');
+    let pending = '';                  // partial SSE block carried between chunks
+    let lost = false;
+    const onLost = (error) => {
+      if (lost) return;
+      lost = true;
+      clearTimeout(stallTimer);
+      try { controller.abort(); } catch (_) {}
+      controller = null;
+      retry(error);
+    };
+    const armStall = () => {
+      clearTimeout(stallTimer);
+      stallTimer = setTimeout(() => onLost('upstream stalled'), streamEnv.stallMs());
+    };
+    armStall();
+
+    upstream.body.on('data', (chunk) => {
+      armStall();
+      pending += decoder.write(chunk).replace(/\r\n/g, '\n');
+      const blocks = pending.split('\n\n');
+      pending = blocks.pop();
+      for (const block of blocks) {
+        if (block.trim()) onBlock(block);
+      }
+    });
+    upstream.body.on('end', () => onLost('upstream closed'));
+    upstream.body.on('error', (err) => onLost(err.message));
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    upstreams.delete(key);
+    clearTimeout(retryTimer);
+    clearTimeout(stallTimer);
+    clearTimeout(lingerTimer);
+    try { controller?.abort(); } catch (_) {}
+    for (const res of clients) {
+      try { res.end(); } catch (_) {}
+    }
+    clients.clear();
+  }
+
+  /** Buffered events after upstream event `rawId` (with the derived ones that followed it);
+   * null when the buffer does not cover it (evicted, unknown or never seen). */
+  function eventsSince(rawId) {
+    const id = Number(rawId);
+    const oldest = replay.find(e => e.id != null);
+    if (!Number.isFinite(id) || !oldest || id < oldest.id || id > Number(last.eventId)) return null;
+    return replay.filter(e => (e.id != null ? e.id > id : e.after >= id));
+  }
+
+  /** Add a client: the events it missed (Last-Event-ID still buffered) or the cached state, then live events. */
+  function join(res, lastEventId) {
+    clearTimeout(lingerTimer);
+    const missed = lastEventId != null && lastEventId !== '' ? eventsSince(lastEventId) : null;
+    if (last.hello) writeRaw(res, sseBlock('hello', { ...last.hello, resumed: !!missed }));
+    writeRaw(res, stateEvent());
+    if (missed) {
+      for (const e of missed) writeRaw(res, e.raw);
+    } else {
+      if (values.size) writeRaw(res, sseBlock('patch', encodeOut('patch', { updates: [...values.values()] })));
+      if (last.plc) writeRaw(res, sseBlock('plc-comms', last.plc));
+      for (const r of recipes.values()) writeRaw(res, sseBlock('recipe', r));
+    }
+    clients.add(res);
+  }
+
+  function leave(res) {
+    clients.delete(res);
+    if (clients.size || closed) return;
+    clearTimeout(lingerTimer);
+    lingerTimer = setTimeout(close, streamEnv.lingerMs());
+  }
+
+  connect();
+  return { join, leave };
+}
+
+/** Shared upstream for these stream options (created on first use, resuming from `lastEventId`). */
+function upstreamFor(options, lastEventId) {
+  const { key, opts } = upstreamOptions(options);
+  if (!upstreams.has(key)) upstreams.set(key, createUpstream(key, opts, { resumeFrom: lastEventId ?? null }));
+  return upstreams.get(key);
+}
+
+/**
+ * GET /hmi/data -> SSE from a shared upstream + enrichment
+ * - Clients with the same HMI, roles and ?tags= / ?page= / ?encoding= / ?format= share one hmi-live /hmi-data stream
+ * - A joining client with a Last-Event-ID (header, or ?lastEventId=) still in the upstream's buffer gets the events
+ *   it missed; otherwise the cached hello, values, plc-comms and recipe events. A client that opens the upstream
+ *   passes its id on to hmi-live instead
+ * - Upstream outages arrive as `upstream-state` events; the client stays connected
+ * - Ends the stream when the client's device is revoked
+ */
+async function streamHmiData(req, res) {
   // Prepare SSE response for the mobile client
   res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
   res.setHeader('Cache-Control', 'no-cache, no-transform');
@@ -44,48 +488,20 @@ async function streamHmiData(_req, res) {
   // Optional initial comment to open the stream promptly
   res.write(': connected\n\n');
 
-  // Per-connection memory
-  const lastIdByFeedpoint = new Map();   
-  let upstream, controller;
-  try {
-    const opened = await openHmiSse();
-    upstream = opened.response;
-    controller = opened.controller;
-    // Pipe upstream SSE bytes to client, and also inspect to enrich on-the-fly
-    upstream.body.on('data', async (chunk) => {
-      // 1) Low-latency passthrough
-      try { res.write(chunk); } catch (_) {}
-    });
-
-    upstream.body.on('end', () => {
-      try { 
-        res.end(); 
-      } catch {}
-    });
-    upstream.body.on('error', () => {
-      try {
-        res.write(`event: error\ndata: ${JSON.stringify({ translateKey: 'key-sc_upstream_error' })}\n\n`);
-      } finally {
-        try { 
-          res.end(); 
-        } catch {}
-      }
-    });
+  const q = req.query || {};
+  const { claims, hmiId } = scopeOf(req);
+  const lastEventId = req.headers['last-event-id'] ?? q.lastEventId;
+  const upstream = upstreamFor({ hmiId, claims, tags: q.tags, page: q.page, encoding: q.encoding, format: q.format }, lastEventId);
+  upstream.join(res, lastEventId);
 
-    // Clean up when client disconnects
-    res.on('close', () => {
-      // Abort upstream and clear per-connection state
-      try { controller.abort(); } catch (_) {}
-    });
+  const stopWatching = onDeviceRevoked((deviceId) => {
+    if (req.user && req.user.sub === deviceId) res.end();
+  });
 
-  } catch (err) {
-    // If upstream cannot be opened, return a one-shot error SSE and close
-    try {
-      res.write(`event: error\ndata: ${JSON.stringify({ translateKey: 'key-sc_cannot_reach_hmi_live', detail: err.message })}\n\n`);
-    } finally {
-      res.end();
-    }
-  }
+  res.on('close', () => {
+    stopWatching();
+    upstream.leave(res);
+  });
 }
 
 /**
@@ -100,7 +516,7 @@ async function streamHmiLogo(req, res) {
     const ifModifiedSince = req.headers['if-modified-since'];
 
     // Ask HMI for the logo (as a stream)
-    const upstream = await getHmiLogo({ ifNoneMatch, ifModifiedSince });
+    const upstream = await getHmiLogo({ ifNoneMatch, ifModifiedSince, hmiId: req.params?.hmiId });
     
     // Mirror status code (200 or 304, etc.)
     res.status(upstream.status);
@@ -134,7 +550,18 @@ async function streamHmiLogo(req, res) {
 }
 
 module.exports = {
+  listHmis: listHmisHandler,
   getHmiStatus: getHmiStatusHandler,
   getHmiStructure: getHmiStructureHandler,
-  streamHmiData, streamHmiLogo
+  writeHmiTag: writeHmiTagHandler,
+  getHmiHistory: getHmiHistoryHandler,
+  getHmiAlarms: getHmiAlarmsHandler,
+  getHmiAlarmHistory: getHmiAlarmHistoryHandler,
+  getHmiPlcCommsHistory: getHmiPlcCommsHistoryHandler,
+  ackHmiAlarm: alarmActionHandler('ack'),
+  shelveHmiAlarm: alarmActionHandler('shelve'),
+  unshelveHmiAlarm: alarmActionHandler('unshelve'),
+  streamHmiData, streamHmiLogo,
+  createRecipeEnricher,
+  createCompactCodec
 };
@@ -0,0 +1,143 @@
+/*****************************************************************************
+ * HMI live data over WebSocket (socket.io at /hmi/ws)
+ * - Clients authenticate with a device access token (auth.token or Bearer header)
+ *   and pick an HMI with auth.hmi (default HMI without it)
+ * - One upstream hmi-live socket per client (subscriptions are per client and
+ *   change at any time, so they are not shared like /hmi/data upstreams);
+ *   HMI_WS_MAX_CLIENTS caps them. Events are forwarded as-is
+ *   (handler args: data, eventId) plus the same recipe enrichment as /hmi/data
+ * - Client messages (with ack): subscribe / unsubscribe { tags?, page?, all? }, write { tagId, value }
+ * - Upstream reconnects carry a fresh internal token (with the mobile user's
+ *   sub/roles), the client's current subscription and the last seen event id
+ ****************************************************************************/
+const { Server } = require('socket.io');
+const { openHmiSocket } = require('../../services/hmiService');
+const { createRecipeEnricher, createCompactCodec } = require('./hmiHandler');
+const { internalClaims } = require('../../utils/jwtInternal');
+const { authenticate, bearerOf } = require('../../middlewares/authMobile');
+const { onDeviceRevoked } = require('../../services/deviceService');
+const { resolveHmi } = require('../../services/hmiRegistry');
+
+const WS_PATH = '/hmi/ws';
+const ACK_TIMEOUT_MS = 5000;
+
+// Read lazily: app.js loads .env after its requires
+const env = {
+  maxClients: () => Number(process.env.HMI_WS_MAX_CLIENTS || 100)
+};
+
+const reply = (ack, payload) => { if (typeof ack === 'function') ack(payload); };
+
+/**
+ * Relay one client message upstream and hand the ack back.
+ * Subscription acks update `state` so a reconnect re-subscribes to the same set.
+ */
+function relay(upstream, state, type, msg, ack) {
+  upstream.timeout(ACK_TIMEOUT_MS).emit(type, msg, (err, res) => {
+    if (err) return reply(ack, { ok: false, translateKey: 'key-sc_upstream_error', detail: 'upstream did not answer' });
+    const sub = res && res.subscription;
+    if (sub) {
+      state.tags = sub.all ? undefined : sub.tags;
+      state.page = sub.all ? undefined : sub.page ?? undefined;
+    }
+    reply(ack, res);
+  });
+}
+
+/**
+ * Attach the socket.io endpoint to ServerConnect's HTTP server.
+ * @param {import('http').Server} server
+ * @returns {import('socket.io').Server}
+ */
+function attachHmiSocket(server) {
+  const io = new Server(server, { path: WS_PATH, serveClient: false, cors: { origin: '*' } });
+
+  // Same device token check as the /hmi routes; the error reaches the client's connect_error
+  io.use((client, next) => {
+    if (io.of('/').sockets.size >= env.maxClients()) {
+      const err = new Error('key-sc_too_many_connections');
+      err.data = { success: false, translateKey: 'key-sc_too_many_connections', max: env.maxClients() };
+      return next(err);
+    }
+    const { auth = {}, headers = {} } = client.handshake;
+    const { user, body } = authenticate(auth.token || bearerOf(headers.authorization));
+    if (!user) {
+      const err = new Error(body.translateKey);
+      err.data = body;
+      return next(err);
+    }
+    const hmiId = auth.hmi ?? client.handshake.query.hmi;
+    const hmi = resolveHmi(hmiId);
+    if (!hmi || !hmi.trusted) {
+      const translateKey = hmi ? 'key-sc_untrusted_hmi' : 'key-sc_unknown_hmi';
+      const err = new Error(translateKey);
+      err.data = { success: false, translateKey, hmiId };
+      return next(err);
+    }
+    client.data.user = user;
+    client.data.hmiId = hmiId;
+    return next();
+  });
+
+  // Revoked devices lose their live connections at once
+  onDeviceRevoked((deviceId) => {
+    for (const client of io.of('/').sockets.values()) {
+      if (client.data.user && client.data.user.sub === deviceId) client.disconnect(true);
+    }
+  });
+
+  io.on('connection', (client) => {
+    const { auth = {}, query = {} } = client.handshake;
+    // Current subscription + resume point, re-read by every upstream (re)connect
+    const state = {
+      claims: internalClaims(client.data.user),
+      tags: auth.tags ?? query.tags,
+      page: auth.page ?? query.page,
+      lastEventId: auth.lastEventId ?? query.lastEventId,
+      encoding: auth.encoding ?? query.encoding,
+      format: auth.format ?? query.format
+    };
+    const codec = String(state.encoding || '').toLowerCase() === 'compact'
+      ? createCompactCodec({ format: String(state.format || 'json').toLowerCase(), binary: true, claims: state.claims, hmiId: client.data.hmiId })
+      : null;
+    const lastIdByFeedpoint = new Map();
+    const enrich = createRecipeEnricher(
+      (type, data) => client.emit(type, codec && type === 'patch' ? codec.encode(data) : data),
+      lastIdByFeedpoint
+    );
+    let queue = Promise.resolve(); // keeps enrichment output in upstream order
+
+    const upstream = openHmiSocket(() => state, { hmiId: client.data.hmiId });
+
+    upstream.onAny((type, data, id) => {
+      if (id != null) state.lastEventId = id;
+      client.emit(type, data, id);
+      if (codec && type === 'structure-changed') codec.refresh();
+      if (type === 'patch' && data) {
+        queue = queue
+          .then(async () => enrich(codec ? (await codec.decode(data))?.updates : data.updates))
+          .catch(() => {});
+      }
+    });
+
+    upstream.on('connect_error', (err) => {
+      // Rejected by hmi-live (bad token, unknown page): no automatic retry, so close the client too
+      const retrying = upstream.active;
+      client.emit('error', { translateKey: 'key-sc_upstream_error', detail: err.message, retrying });
+      if (!retrying) client.disconnect(true);
+    });
+
+    client.on('subscribe', (msg, ack) => relay(upstream, state, 'subscribe', msg, ack));
+    client.on('unsubscribe', (msg, ack) => relay(upstream, state, 'unsubscribe', msg, ack));
+    client.on('write', (msg, ack) => relay(upstream, state, 'write', msg, ack));
+
+    client.on('disconnect', () => {
+      upstream.close();
+      lastIdByFeedpoint.clear();
+    });
+  });
+
+  return io;
+}
+
+module.exports = { attachHmiSocket };
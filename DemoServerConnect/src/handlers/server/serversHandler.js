@@ -1,21 +1,116 @@
 /*****************************************************************************
  * Server-to-server utilities
  ****************************************************************************/
-const { scanAllNetworks } = require('../../services/networkService');
+const { scanAllNetworks, scan, getPeers, getScanState, onScanEvent } = require('../../services/networkService');
+const { getOverview, getLocalOverview, watchOverview } = require('../../services/overviewService');
+const { internalClaims } = require('../../utils/jwtInternal');
+const { onDeviceRevoked } = require('../../services/deviceService');
 
-/** Scan local network and return ServerConnect peers.
- * @param {import('express').Request} _req
+/** Scan local network and return ServerConnect peers (cached; ?fresh=1 waits for a new scan).
+ * @param {import('express').Request} req
  * @param {import('express').Response} res
- * @returns {Promise<void>} 200 {servers} or 500 on error
+ * @returns {Promise<void>} 200 {servers, scanning, lastScan} or 500 on error
  */
-async function scanServers(_req, res) {
+async function scanServers(req, res) {
   try {
-    const servers = await scanAllNetworks();
-    return res.status(200).json({ servers });
+    const fresh = req.query?.fresh === '1' || req.query?.fresh === 'true';
+    const servers = await scanAllNetworks({ fresh });
+    const { scanning, lastScan } = getScanState();
+    return res.status(200).json({ servers, scanning, lastScan });
   } catch (err) {
     // Keep error minimal; no sensitive details
     return res.status(500).json({ success: false, translateKey: 'key-sc_scan_failed' });
   }
 }
 
-module.exports = { scanServers };
+/** SSE: cached peers first, then each peer as the scan finds it, then `done`; the stream ends after `done`.
+ * A scan starts unless the cache is recent (?fresh=1 always starts one).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {void}
+ */
+function streamScan(req, res) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+
+  const send = (type, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    try { res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`); } catch (_) {}
+  };
+
+  for (const peer of getPeers()) send('peer', peer);
+
+  const fresh = req.query?.fresh === '1' || req.query?.fresh === 'true';
+  const { scanning, stale, lastScan } = getScanState();
+  if (!fresh && !scanning && !stale) {
+    send('done', { ...lastScan, cached: true });
+    return res.end();
+  }
+
+  const stopPeers = onScanEvent('peer', (peer) => send('peer', peer));
+  const stopDone = onScanEvent('done', (summary) => {
+    send('done', summary);
+    res.end();
+  });
+  res.on('close', () => { stopPeers(); stopDone(); });
+  scan();
+}
+
+/** Plant-wide summary of this server's and the discovered peers' HMIs (caller's roles apply).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<void>} 200 {ts, totals, servers, scan} or 500 on error
+ */
+async function getOverviewHandler(req, res) {
+  try {
+    return res.status(200).json(await getOverview(internalClaims(req.user)));
+  } catch (err) {
+    return res.status(500).json({ success: false, translateKey: 'key-sc_overview_failed', detail: err.message });
+  }
+}
+
+/** This server's part of the overview, for a peer's GET /server/overview (peer token, caller's roles).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<void>} 200 {id, name, state, hmis} or 500 on error
+ */
+async function getLocalOverviewHandler(req, res) {
+  try {
+    return res.status(200).json(await getLocalOverview(internalClaims(req.user)));
+  } catch (err) {
+    return res.status(500).json({ success: false, translateKey: 'key-sc_overview_failed', detail: err.message });
+  }
+}
+
+/** SSE: `overview` now and whenever the summary changes; a comment every 15 s keeps proxies open.
+ * Ends when the caller's device is revoked.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {void}
+ */
+function streamOverview(req, res) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.write(': connected\n\n');
+
+  const write = (raw) => {
+    if (res.writableEnded || res.destroyed) return;
+    try { res.write(raw); } catch (_) {}
+  };
+  const stopWatching = watchOverview(internalClaims(req.user), (overview) => write(`event: overview\ndata: ${JSON.stringify(overview)}\n\n`));
+  const keepalive = setInterval(() => write(': keepalive\n\n'), 15000);
+  const stopRevoked = onDeviceRevoked((deviceId) => {
+    if (req.user && req.user.sub === deviceId) res.end();
+  });
+  res.on('close', () => {
+    stopWatching();
+    stopRevoked();
+    clearInterval(keepalive);
+  });
+}
+
+module.exports = { scanServers, streamScan, getOverview: getOverviewHandler, getLocalOverview: getLocalOverviewHandler, streamOverview };
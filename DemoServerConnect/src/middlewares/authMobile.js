@@ -0,0 +1,58 @@
+/*****************************************************************************
+ * Mobile auth — Bearer access token of a paired device (see deviceService)
+ * Sets req.user = { sub (device id), name, roles }; hmi handlers carry it into
+ * the internal token so hmi-live applies the device's roles.
+ * authPeer: a peer ServerConnect's token (PEER_JWT_SECRET), for the overview
+ * route peers call and nothing else; roles of the peer's caller minus admin.
+ ****************************************************************************/
+const { verifyAccessToken } = require('../services/deviceService');
+const { verifyPeer } = require('../utils/jwtInternal');
+
+/** Bearer token from an Authorization header value, or null. */
+function bearerOf(header) {
+  const m = /^Bearer\s+(.+)$/i.exec(String(header || ''));
+  return m ? m[1].trim() : null;
+}
+
+/** Verify a token; returns { user } or { status, body } for the error response. */
+function authenticate(token) {
+  if (!token) return { status: 401, body: { success: false, translateKey: 'key-sc_missing_bearer_token' } };
+  const { user, error } = verifyAccessToken(token);
+  if (error === 'unavailable') return { status: 503, body: { success: false, translateKey: 'key-sc_auth_not_configured' } };
+  if (error) return { status: 401, body: { success: false, translateKey: 'key-sc_invalid_token' } };
+  return { user };
+}
+
+/** Peer token -> req.user, or null. */
+function authenticatePeer(token) {
+  const claims = token ? verifyPeer(token) : null;
+  if (!claims) return null;
+  const roles = Array.isArray(claims.roles) ? claims.roles.filter(r => typeof r === 'string' && r !== 'admin') : [];
+  return { sub: claims.sub, name: claims.name || null, roles, peer: true };
+}
+
+/** Express middleware: 401 without a valid device token. */
+function authMobile(req, res, next) {
+  const { user, status, body } = authenticate(bearerOf(req.headers.authorization));
+  if (!user) return res.status(status).json(body);
+  req.user = user;
+  return next();
+}
+
+/** Express middleware: 401 without a valid peer token. */
+function authPeer(req, res, next) {
+  const peer = authenticatePeer(bearerOf(req.headers.authorization));
+  if (!peer) return res.status(401).json({ success: false, translateKey: 'key-sc_invalid_token' });
+  req.user = peer;
+  return next();
+}
+
+/** Express middleware (after authMobile): 403 unless req.user has one of `roles`. */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.user && req.user.roles.some(r => roles.includes(r))) return next();
+    return res.status(403).json({ success: false, translateKey: 'key-sc_forbidden_role' });
+  };
+}
+
+module.exports = { authMobile, authPeer, requireRole, authenticate, bearerOf };
@@ -0,0 +1,239 @@
+/*****************************************************************************
+ * Paired mobile devices — pairing codes, device tokens, revocation
+ * - A one-time pairing code (QR on the console, or issued by an admin) is
+ *   exchanged at POST /auth/pair for a refresh token + short-lived access JWT
+ * - Refresh tokens rotate on every use; only their SHA-256 is stored
+ * - Devices and the access-token key live in DEVICES_FILE (default data/devices.json)
+ * - The first device paired from the console becomes admin (nobody else can manage devices yet)
+ ****************************************************************************/
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getServerId } = require('iir-shared/identity');
+
+const ROLES = ['operator', 'engineer', 'admin'];
+const ISSUER = 'serverconnect';
+const MOBILE_AUDIENCE_PREFIX = 'mobile:';
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I/L
+const LAST_SEEN_SAVE_MS = 60 * 1000; // lastSeenAt is written to DEVICES_FILE at most once a minute per device
+
+// Read lazily: app.js loads .env after its requires
+const env = {
+  file: () => path.resolve(process.env.DEVICES_FILE || path.join(__dirname, '../../data/devices.json')),
+  accessTtl: () => process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTtlMs: () => Number(process.env.REFRESH_TOKEN_TTL_DAYS || 90) * 24 * 60 * 60 * 1000,
+  codeTtlMs: () => Number(process.env.PAIRING_CODE_TTL_MS || 10 * 60 * 1000),
+  consoleRoles: () => normalizeRoles(String(process.env.PAIRING_ROLES || 'operator').split(','))
+};
+
+let store = null;                  // { accessKey, devices: [] } once loaded
+let unavailable = null;            // Error when the file exists but cannot be used
+const codes = new Map();           // code -> { roles, expiresAt|null, onUse? }
+const seenSaved = new Map();       // device id -> lastSeenAt last written to DEVICES_FILE
+const revokedListeners = new Set();
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+const publicDevice = ({ refreshHash, ...d }) => d;
+
+/** Keep known roles only (deduped, in ROLES order). */
+function normalizeRoles(list) {
+  const wanted = new Set((Array.isArray(list) ? list : [list]).map(r => String(r).trim().toLowerCase()));
+  return ROLES.filter(r => wanted.has(r));
+}
+
+// ---------- Storage ----------
+function load() {
+  if (store || unavailable) return store;
+  const file = env.file();
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (typeof parsed.accessKey !== 'string' || !Array.isArray(parsed.devices)) throw new Error('unexpected content');
+    store = parsed;
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      // Never overwrite a file we could not read: every paired device would be lost
+      unavailable = e;
+      console.warn(`[auth] device store ${file} unusable: ${e.message}`);
+      return null;
+    }
+    store = { accessKey: crypto.randomBytes(32).toString('base64'), devices: [] };
+    save();
+  }
+  return store;
+}
+
+function save() {
+  const file = env.file();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+/** Store readable (false when DEVICES_FILE is corrupt or unreadable). */
+function isAvailable() {
+  return !!load();
+}
+
+// ---------- Tokens ----------
+function issueTokens(device) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  device.refreshHash = sha256(secret);
+  device.refreshExpiresAt = Date.now() + env.refreshTtlMs();
+  save();
+
+  const accessToken = jwt.sign(
+    { name: device.name, roles: device.roles },
+    Buffer.from(store.accessKey, 'base64'),
+    { algorithm: 'HS256', issuer: ISSUER, audience: `${MOBILE_AUDIENCE_PREFIX}${getServerId()}`, subject: device.id, expiresIn: env.accessTtl() }
+  );
+  const { exp } = jwt.decode(accessToken);
+  return {
+    deviceId: device.id,
+    roles: device.roles,
+    accessToken,
+    accessExpiresAt: exp * 1000,
+    refreshToken: `${device.id}.${secret}`,
+    refreshExpiresAt: device.refreshExpiresAt
+  };
+}
+
+/**
+ * Verify a mobile access token.
+ * @param {string} token
+ * @returns {{ user?: { sub: string, name: string|null, roles: string[] }, error?: 'unavailable'|'invalid' }}
+ */
+function verifyAccessToken(token) {
+  if (!load()) return { error: 'unavailable' };
+  let claims;
+  try {
+    claims = jwt.verify(token, Buffer.from(store.accessKey, 'base64'), {
+      algorithms: ['HS256'],
+      issuer: ISSUER,
+      audience: `${MOBILE_AUDIENCE_PREFIX}${getServerId()}`
+    });
+  } catch (_) {
+    return { error: 'invalid' };
+  }
+  // Revocation takes effect immediately, not at token expiry
+  const device = store.devices.find(d => d.id === claims.sub);
+  if (!device || device.revokedAt) return { error: 'invalid' };
+  device.lastSeenAt = Date.now();
+  if (device.lastSeenAt - (seenSaved.get(device.id) ?? 0) >= LAST_SEEN_SAVE_MS) {
+    seenSaved.set(device.id, device.lastSeenAt);
+    save();
+  }
+  return { user: { sub: device.id, name: device.name, roles: normalizeRoles(device.roles ?? []) } };
+}
+
+// ---------- Pairing ----------
+/**
+ * Create a one-time pairing code.
+ * @param {{ roles?: string[], ttlMs?: number|null, onUse?: Function }} [opts] ttlMs null = until used
+ * @returns {{ code: string, roles: string[], expiresAt: number|null }}
+ */
+function createPairingCode({ roles = env.consoleRoles(), ttlMs = env.codeTtlMs(), onUse } = {}) {
+  const now = Date.now();
+  for (const [c, e] of codes) if (e.expiresAt != null && e.expiresAt < now) codes.delete(c);
+
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(8), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  } while (codes.has(code));
+  const expiresAt = ttlMs == null ? null : now + ttlMs;
+  codes.set(code, { roles: normalizeRoles(roles), expiresAt, onUse });
+  return { code, roles: codes.get(code).roles, expiresAt };
+}
+
+/** Pairing code for the console QR: admin while no device is paired, else PAIRING_ROLES; expires like any other code. */
+function createConsolePairingCode(onUse) {
+  const hasDevices = load() && store.devices.some(d => !d.revokedAt);
+  return createPairingCode({ roles: hasDevices ? env.consoleRoles() : ['admin'], onUse });
+}
+
+/**
+ * Exchange a pairing code for device tokens.
+ * @returns {Object} issueTokens() result, or { error: 'unavailable'|'invalid-code' }
+ */
+function pairDevice(code, { name } = {}) {
+  if (!load()) return { error: 'unavailable' };
+  const key = String(code || '').trim().toUpperCase();
+  const entry = codes.get(key);
+  if (!entry) return { error: 'invalid-code' };
+  codes.delete(key);
+  if (entry.expiresAt != null && entry.expiresAt < Date.now()) return { error: 'invalid-code' };
+
+  const device = {
+    id: crypto.randomUUID(),
+    name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 64) : null,
+    roles: entry.roles,
+    pairedAt: Date.now(),
+    lastSeenAt: null,
+    revokedAt: null
+  };
+  store.devices.push(device);
+  const tokens = issueTokens(device);
+  if (entry.onUse) {
+    try { entry.onUse(publicDevice(device)); } catch (_) {}
+  }
+  return tokens;
+}
+
+/**
+ * Rotate a refresh token: the old one stops working.
+ * @returns {Object} issueTokens() result, or { error: 'unavailable'|'invalid' }
+ */
+function refreshDevice(refreshToken) {
+  if (!load()) return { error: 'unavailable' };
+  const [id, secret] = String(refreshToken || '').split('.');
+  const device = store.devices.find(d => d.id === id);
+  if (!device || device.revokedAt || !secret || !device.refreshHash) return { error: 'invalid' };
+  const a = Buffer.from(sha256(secret));
+  const b = Buffer.from(device.refreshHash);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { error: 'invalid' };
+  if (device.refreshExpiresAt < Date.now()) return { error: 'invalid' };
+  return issueTokens(device);
+}
+
+// ---------- Administration ----------
+function listDevices() {
+  if (!load()) return null;
+  return store.devices.map(publicDevice);
+}
+
+/** Revoke a device: its tokens stop working and open streams are closed. */
+function revokeDevice(id) {
+  if (!load()) return { error: 'unavailable' };
+  const device = store.devices.find(d => d.id === id);
+  if (!device) return { error: 'unknown' };
+  if (!device.revokedAt) {
+    device.revokedAt = Date.now();
+    device.refreshHash = null;
+    save();
+    for (const fn of revokedListeners) {
+      try { fn(device.id); } catch (_) {}
+    }
+  }
+  return { device: publicDevice(device) };
+}
+
+/** Called with the device id on revocation; returns an unsubscribe function. */
+function onDeviceRevoked(fn) {
+  revokedListeners.add(fn);
+  return () => revokedListeners.delete(fn);
+}
+
+module.exports = {
+  ROLES,
+  normalizeRoles,
+  isAvailable,
+  verifyAccessToken,
+  createPairingCode,
+  createConsolePairingCode,
+  pairDevice,
+  refreshDevice,
+  listDevices,
+  revokeDevice,
+  onDeviceRevoked
+};
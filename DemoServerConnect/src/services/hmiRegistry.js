@@ -0,0 +1,187 @@
+/*****************************************************************************
+ * Registry of upstream hmi-live instances (one ServerConnect, several HMIs)
+ * - config/hmis.json (HMI_CONFIG_FILE): { "default": "line1", "hmis": [{ id, name?, url, wsPath? }] }
+ *   Without it there is one HMI, "default", at HMIDATA_URL
+ * - hmi-live instances advertising _iirhmi._tcp are added as they are discovered
+ *   (HMI_DISCOVERY_MS, default 0 = off); configured ids and endpoints win
+ * - Discovered HMIs are untrusted: no internal token is sent to them unless their
+ *   address is approved in HMI_DISCOVERY_TRUST (host or host:port, comma separated)
+ * - Every HMI's /status is polled (HMI_HEALTH_MS) for the `health` in GET /hmi;
+ *   untrusted HMIs without credentials
+ ****************************************************************************/
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const AbortController = globalThis.AbortController || require('abort-controller');
+const { browse, HMI_SERVICE_TYPE } = require('./mdnsService');
+const { signInternal } = require('../utils/jwtInternal');
+
+// Path segments of the unscoped /hmi routes: never valid HMI ids
+const RESERVED_IDS = ['status', 'structure', 'data', 'write', 'history', 'alarms', 'plc-comms', 'logo', 'ws'];
+const ID_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Read lazily: app.js loads .env after its requires
+const env = {
+  file: () => path.resolve(process.env.HMI_CONFIG_FILE || path.join(__dirname, '../../config/hmis.json')),
+  defaultUrl: () => process.env.HMIDATA_URL || 'http://127.0.0.1:5000',
+  discoveryMs: () => Number(process.env.HMI_DISCOVERY_MS || 0),
+  discoveryTrust: () => (process.env.HMI_DISCOVERY_TRUST || '').split(',').map(s => s.trim()).filter(Boolean),
+  healthMs: () => Number(process.env.HMI_HEALTH_MS || 15000),
+  healthTimeoutMs: () => Number(process.env.HMI_HEALTH_TIMEOUT_MS || 3000)
+};
+
+const hmis = new Map();   // id -> { id, name, url, wsPath, source, trusted, lastSeen?, health }
+let defaultId = null;
+let loaded = false;
+const timers = [];
+
+const isValidId = (id) => typeof id === 'string' && ID_REGEX.test(id) && !RESERVED_IDS.includes(id);
+const trimUrl = (url) => String(url).replace(/\/+$/, '');
+
+// ---------- Configuration ----------
+function load() {
+  if (loaded) return;
+  loaded = true;
+  let config = null;
+  try {
+    config = JSON.parse(fs.readFileSync(env.file(), 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[hmi-registry] ${env.file()} ignored: ${e.message}`);
+  }
+
+  for (const h of (config && Array.isArray(config.hmis) ? config.hmis : [])) {
+    if (!h || !isValidId(h.id) || typeof h.url !== 'string') {
+      console.warn(`[hmi-registry] skipped entry ${JSON.stringify(h && h.id)}: needs an id (not ${RESERVED_IDS.join('/')}) and a url`);
+      continue;
+    }
+    hmis.set(h.id, { id: h.id, name: h.name || h.id, url: trimUrl(h.url), wsPath: h.wsPath || null, source: 'config', trusted: true, health: { state: 'unknown' } });
+  }
+  if (!hmis.size) {
+    hmis.set('default', { id: 'default', name: 'default', url: trimUrl(env.defaultUrl()), wsPath: null, source: 'env', trusted: true, health: { state: 'unknown' } });
+  }
+  defaultId = config && hmis.has(config.default) ? config.default : hmis.keys().next().value;
+}
+
+/**
+ * HMI by id; no id = the default HMI.
+ * @param {string} [id]
+ * @returns {{id: string, name: string, url: string, wsPath: string|null, source: string, trusted: boolean, health: Object}|null}
+ */
+function resolveHmi(id) {
+  load();
+  return hmis.get(id == null || id === '' ? defaultId : String(id)) || null;
+}
+
+/** @returns {string} */
+function getDefaultHmiId() {
+  load();
+  return defaultId;
+}
+
+/** All HMIs, default first. */
+function listHmis() {
+  load();
+  return [...hmis.values()]
+    .map(h => ({ ...h, default: h.id === defaultId }))
+    .sort((a, b) => Number(b.default) - Number(a.default));
+}
+
+// ---------- Discovery ----------
+const localAddresses = () => new Set(
+  Object.values(os.networkInterfaces()).flat().filter(Boolean).map(i => i.address).concat(['127.0.0.1', 'localhost', '::1'])
+);
+
+/** Same hmi-live as a configured url? (a local url matches any of our own addresses) */
+function sameEndpoint(url, ip, port) {
+  try {
+    const u = new URL(url);
+    const uPort = Number(u.port || 80);
+    const locals = localAddresses();
+    return uPort === port && (u.hostname === ip || (locals.has(u.hostname) && locals.has(ip)));
+  } catch (_) {
+    return false;
+  }
+}
+
+/** Address approved by the operator (HMI_DISCOVERY_TRUST lists `host` or `host:port`)? */
+function isApproved(ip, port) {
+  return env.discoveryTrust().some(entry => entry === ip || entry === `${ip}:${port}`);
+}
+
+async function discover() {
+  load();
+  const now = Date.now();
+  for (const s of await browse({ type: HMI_SERVICE_TYPE })) {
+    if ([...hmis.values()].some(h => h.source !== 'mdns' && sameEndpoint(h.url, s.ip, s.port))) continue;
+    const id = isValidId(s.txt.id) ? s.txt.id : `${s.ip.replace(/[.:]/g, '-')}-${s.port}`;
+    const known = hmis.get(id);
+    if (known && known.source !== 'mdns') continue; // configured id wins
+    hmis.set(id, {
+      id,
+      name: s.txt.name || s.name || id,
+      url: `http://${s.ip}:${s.port}`,
+      wsPath: s.txt.wsPath || null,
+      source: 'mdns',
+      trusted: isApproved(s.ip, s.port),
+      lastSeen: now,
+      health: known ? known.health : { state: 'unknown' }
+    });
+  }
+  // Forget HMIs that stopped advertising for three rounds
+  for (const [id, h] of hmis) {
+    if (h.source === 'mdns' && now - h.lastSeen > 3 * env.discoveryMs()) hmis.delete(id);
+  }
+}
+
+// ---------- Health ----------
+/**
+ * Poll an HMI's /status. Untrusted HMIs are asked without a token: an answer,
+ * even 401/403, only tells that something is listening there.
+ */
+async function checkHealth(hmi) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), env.healthTimeoutMs());
+  const started = Date.now();
+  try {
+    const headers = hmi.trusted ? { authorization: `Bearer ${signInternal({}, { expiresIn: '30s', audPrefix: 'hmilive' })}` } : {};
+    const res = await fetch(`${hmi.url}/status`, { headers, signal: controller.signal });
+    const reachable = res.ok || (!hmi.trusted && (res.status === 401 || res.status === 403));
+    const body = res.ok ? await res.json().catch(() => ({})) : {};
+    hmi.health = reachable
+      ? { state: 'up', checkedAt: Date.now(), latencyMs: Date.now() - started, opcuaState: body.opcuaState ?? null, clients: body.clients ?? null }
+      : { state: 'down', checkedAt: Date.now(), error: `HTTP ${res.status}` };
+  } catch (err) {
+    hmi.health = { state: 'down', checkedAt: Date.now(), error: err.name === 'AbortError' ? 'timeout' : err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Check every HMI now. */
+function checkAll() {
+  load();
+  return Promise.all([...hmis.values()].map(checkHealth));
+}
+
+/** Start discovery and health timers (idempotent). */
+function startRegistry() {
+  if (timers.length) return;
+  const every = (ms, fn) => {
+    fn().catch(() => {});
+    const t = setInterval(() => fn().catch(() => {}), ms);
+    t.unref();
+    timers.push(t);
+  };
+  if (env.discoveryMs() > 0) every(env.discoveryMs(), () => discover().then(checkAll));
+  every(env.healthMs(), checkAll);
+}
+
+module.exports = {
+  RESERVED_IDS,
+  resolveHmi,
+  getDefaultHmiId,
+  listHmis,
+  checkAll,
+  startRegistry
+};
@@ -1,13 +1,31 @@
 /*****************************************************************************
- * Services: call local hmi-live (HS256, aud: hmilive:<serverId>)
+ * Services: call hmi-live (HS256, aud: hmilive:<serverId>)
+ * Every call takes an optional `hmiId` (hmiRegistry); none = the default HMI.
+ * Calls to an untrusted (discovered, not approved) HMI are refused before any
+ * token is signed.
  ****************************************************************************/
 const fetch = require('node-fetch');
 const AbortController = globalThis.AbortController || require('abort-controller');
 const { signInternal } = require('../utils/jwtInternal'); // your updated signer
+const { resolveHmi } = require('./hmiRegistry');
 
-// Base URL for hmi-live (local-only)
-const RAW_BASE = process.env.HMIDATA_URL || 'http://127.0.0.1:5000';
-const BASE = RAW_BASE.replace(/\/+$/, ''); // strip trailing slashes
+/** HMI to call (404 error when the id is unknown, 403 when it is not trusted with a token) */
+function baseFor(hmiId) {
+  const hmi = resolveHmi(hmiId);
+  if (!hmi) {
+    const err = new Error(`unknown hmi ${hmiId}`);
+    err.status = 404;
+    err.data = { translateKey: 'key-sc_unknown_hmi', hmiId };
+    throw err;
+  }
+  if (!hmi.trusted) {
+    const err = new Error(`hmi ${hmi.id} is not trusted`);
+    err.status = 403;
+    err.data = { translateKey: 'key-sc_untrusted_hmi', hmiId: hmi.id };
+    throw err;
+  }
+  return hmi;
+}
 
 /** Small helper: parse JSON when possible, else text */
 async function parseBody(res) {
@@ -21,18 +39,18 @@ async function parseBody(res) {
   return null;
 }
 
-/** Build Authorization header for hmi-live (audience: hmilive:<serverId>) */
-function buildAuthHeaders(extra = {}) {
-  const token = signInternal({}, { expiresIn: '30s', audPrefix: 'hmilive' });
+/** Build Authorization header for hmi-live (audience: hmilive:<serverId>); claims = caller's sub/roles */
+function buildAuthHeaders(extra = {}, claims = {}) {
+  const token = signInternal(claims, { expiresIn: '30s', audPrefix: 'hmilive' });
   return { authorization: `Bearer ${token}`, ...extra };
 }
 
 /** Generic fetch to hmi-live (throws on hard errors) */
-async function hmiFetch(path, { method = 'GET', body, headers = {}, softStatuses = [400, 404], noThrow = false, raw = false } = {}) {
+async function hmiFetch(path, { method = 'GET', body, headers = {}, claims, hmiId, signal, softStatuses = [400, 404], noThrow = false, raw = false } = {}) {
     const suffix = path.startsWith('/') ? path : `/${path}`;
-    const url = `${BASE}${suffix}`;
+    const url = `${baseFor(hmiId).url}${suffix}`;
 
-    const finalHeaders = buildAuthHeaders(headers);
+    const finalHeaders = buildAuthHeaders(headers, claims);
     if (body != null && method !== 'GET' && method !== 'HEAD') {
         finalHeaders['content-type'] = finalHeaders['content-type'] || 'application/json';
     }
@@ -41,6 +59,7 @@ async function hmiFetch(path, { method = 'GET', body, headers = {}, softStatuses
         method,
         headers: finalHeaders,
         body: body && method !== 'GET' && method !== 'HEAD' ? JSON.stringify(body) : undefined,
+        signal,
     });
 
     if (raw) {
@@ -60,18 +79,53 @@ async function hmiFetch(path, { method = 'GET', body, headers = {}, softStatuses
     throw err;
 }
 
-/** Read /status from hmi-live */
-async function getHmiStatus() {
-  return hmiFetch('/status', { method: 'GET' });
+/** Read /status from hmi-live (`signal` aborts it) */
+async function getHmiStatus({ claims, hmiId, signal } = {}) {
+  return hmiFetch('/status', { method: 'GET', claims, hmiId, signal });
 }
 
 /** Read /hmi-structure from hmi-live */
-async function getHmiStructure({lang = 'en'} = {}) {
+async function getHmiStructure({lang = 'en', claims, hmiId} = {}) {
   const qs = new URLSearchParams({lang}).toString();
-  return hmiFetch(`/hmi-structure?${qs}`, { method: 'GET' });
+  return hmiFetch(`/hmi-structure?${qs}`, { method: 'GET', claims, hmiId });
+}
+
+/** Write a command tag through hmi-live /hmi-write (validation happens upstream) */
+async function writeHmiTag({ tagId, value, claims, hmiId } = {}) {
+  return hmiFetch('/hmi-write', { method: 'POST', body: { tagId, value }, claims, hmiId, softStatuses: [400, 403, 404, 501] });
+}
+
+/** Read /hmi-history (trend series) from hmi-live; query is forwarded as-is */
+async function getHmiHistory({ tags, from, to, maxPoints, claims, hmiId } = {}) {
+  const params = { tags, from, to, maxPoints };
+  const qs = new URLSearchParams(Object.entries(params).filter(([, v]) => v != null && v !== '')).toString();
+  return hmiFetch(`/hmi-history?${qs}`, { method: 'GET', claims, hmiId, softStatuses: [400, 403, 404] });
 }
 
-async function getHmiLogo({ ifNoneMatch, ifModifiedSince } = {}) {
+/** Read /alarms (current alarm states) from hmi-live */
+async function getHmiAlarms({ lang = 'en', all, claims, hmiId } = {}) {
+  const qs = new URLSearchParams(Object.entries({ lang, all }).filter(([, v]) => v != null && v !== '')).toString();
+  return hmiFetch(`/alarms?${qs}`, { method: 'GET', claims, hmiId });
+}
+
+/** Read /alarms/history (alarm journal) from hmi-live */
+async function getHmiAlarmHistory({ from, to, tagId, limit, claims, hmiId } = {}) {
+  const qs = new URLSearchParams(Object.entries({ from, to, tagId, limit }).filter(([, v]) => v != null && v !== '')).toString();
+  return hmiFetch(`/alarms/history?${qs}`, { method: 'GET', claims, hmiId });
+}
+
+/** Read /plc-comms/history (PLC comm-loss / restore log) from hmi-live */
+async function getHmiPlcCommsHistory({ from, to, plcId, limit, claims, hmiId } = {}) {
+  const qs = new URLSearchParams(Object.entries({ from, to, plcId, limit }).filter(([, v]) => v != null && v !== '')).toString();
+  return hmiFetch(`/plc-comms/history?${qs}`, { method: 'GET', claims, hmiId });
+}
+
+/** POST /alarms/:tagId/<action> on hmi-live (action: ack | shelve | unshelve) */
+async function postHmiAlarmAction(tagId, action, body = {}, { claims, hmiId } = {}) {
+  return hmiFetch(`/alarms/${encodeURIComponent(tagId)}/${action}`, { method: 'POST', body, claims, hmiId, softStatuses: [400, 403, 404, 409] });
+}
+
+async function getHmiLogo({ ifNoneMatch, ifModifiedSince, hmiId } = {}) {
   // Build headers for cache revalidation
   const headers = {
     Accept: 'image/png',
@@ -82,6 +136,7 @@ async function getHmiLogo({ ifNoneMatch, ifModifiedSince } = {}) {
   const { response } = await hmiFetch('/branding/logo',{
     method: 'GET',
     headers,
+    hmiId,
     raw: true
   });
   
@@ -91,21 +146,55 @@ async function getHmiLogo({ ifNoneMatch, ifModifiedSince } = {}) {
 /**
  * Open upstream SSE (/hmi-data) and return its Response + AbortController.
  * The caller (handler) will set client SSE headers and pipe chunks.
+ * tags/page narrow the stream; lastEventId resumes it (hmi-live replays what was missed);
+ * encoding/format select the compact patch encoding (passed through unchanged);
+ * claims (sub/roles) narrow it further to what the caller's roles may see.
  */
-async function openHmiSse() {
-  const url = `${BASE}/hmi-data`;
+async function openHmiSse({ tags, page, lastEventId, encoding, format, claims, hmiId } = {}) {
+  const qs = new URLSearchParams(Object.entries({ tags, page, encoding, format }).filter(([, v]) => v != null && v !== '')).toString();
+  const url = `${baseFor(hmiId).url}/hmi-data${qs ? `?${qs}` : ''}`;
   const controller = new AbortController();
+  const headers = lastEventId != null && lastEventId !== '' ? { 'Last-Event-ID': String(lastEventId) } : {};
   const res = await fetch(url, {
     method: 'GET',
-    headers: buildAuthHeaders(),
+    headers: buildAuthHeaders(headers, claims),
     signal: controller.signal,
   });
   return { response: res, controller };
 }
 
+/**
+ * Open an upstream socket.io connection to hmi-live (/hmi-ws).
+ * `auth` is re-read on every (re)connect, so each attempt carries a fresh internal token
+ * and the caller's current subscription / last seen event id (hmi-live replays what was missed).
+ * @param {() => { tags?: string|string[], page?: string, lastEventId?: string|number, encoding?: string, format?: string, claims?: Object }} getState
+ * @param {{ hmiId?: string }} [opts]
+ * @returns {import('socket.io-client').Socket}
+ */
+function openHmiSocket(getState = () => ({}), { hmiId } = {}) {
+  const { io } = require('socket.io-client');
+  const hmi = baseFor(hmiId);
+  return io(hmi.url, {
+    path: hmi.wsPath || process.env.HMIDATA_WS_PATH || '/hmi-ws',
+    transports: ['websocket'],
+    auth: (cb) => {
+      const { tags, page, lastEventId, encoding, format, claims = {} } = getState() || {};
+      const token = signInternal(claims, { expiresIn: '30s', audPrefix: 'hmilive' });
+      cb({ token, tags, page, lastEventId, encoding, format });
+    }
+  });
+}
+
 module.exports = {
   getHmiStatus,
   getHmiStructure,
+  writeHmiTag,
+  getHmiHistory,
+  getHmiAlarms,
+  getHmiAlarmHistory,
+  getHmiPlcCommsHistory,
+  postHmiAlarmAction,
   openHmiSse,
+  openHmiSocket,
   getHmiLogo
 };
@@ -0,0 +1,72 @@
+/*****************************************************************************
+ * mDNS / DNS-SD — advertise ServerConnect as _iirconnect._tcp and browse for peers
+ * (or, with `type`, for other services such as hmi-live's _iirhmi._tcp)
+ * TXT: id (server id), hostname, version, port. MDNS_ENABLED=0 turns both off;
+ * MDNS_INTERFACE picks the multicast interface (IPv4 address, e.g. 127.0.0.1 for a local responder).
+ ****************************************************************************/
+const os = require('os');
+const { Bonjour } = require('bonjour-service');
+
+const SERVICE_TYPE = 'iirconnect';
+const HMI_SERVICE_TYPE = 'iirhmi';
+
+// Read lazily: app.js loads .env after its requires
+const env = {
+  enabled: () => process.env.MDNS_ENABLED !== '0',
+  browseMs: () => Number(process.env.MDNS_BROWSE_MS || 1500),
+  options: () => (process.env.MDNS_INTERFACE ? { interface: process.env.MDNS_INTERFACE } : {})
+};
+
+/** Advertise this server; returns stop(cb) (sends goodbye packets), or null when disabled.
+ * @param {{port: number, id: string, version: string, name?: string, bonjourOptions?: Object}} opts
+ * @returns {((cb?: Function) => void)|null}
+ */
+function advertise({ port, id, version, name = `ServerConnect ${os.hostname()}`, bonjourOptions = env.options() }) {
+  if (!env.enabled()) return null;
+  const bonjour = new Bonjour(bonjourOptions, (err) => console.warn(`[mdns] ${err.message}`));
+  const service = bonjour.publish({
+    name,
+    type: SERVICE_TYPE,
+    port,
+    txt: { id, hostname: os.hostname(), version, port: String(port) }
+  });
+  service.on('error', (err) => console.warn(`[mdns] advertise failed: ${err.message}`));
+  return (cb = () => {}) => bonjour.unpublishAll(() => bonjour.destroy(cb));
+}
+
+/** Browse for peers for `timeoutMs`; resolves [] when disabled or on error.
+ * @param {{type?: string, timeoutMs?: number, bonjourOptions?: Object}} [opts]
+ * @returns {Promise<Array<{ip: string, port: number, name: string, txt: Object}>>}
+ */
+function browse({ type = SERVICE_TYPE, timeoutMs = env.browseMs(), bonjourOptions = env.options() } = {}) {
+  if (!env.enabled()) return Promise.resolve([]);
+  return new Promise((resolve) => {
+    const found = new Map(); // "ip:port" -> peer
+    let bonjour;
+    try {
+      bonjour = new Bonjour(bonjourOptions, (err) => console.warn(`[mdns] ${err.message}`));
+    } catch (err) {
+      console.warn(`[mdns] browse failed: ${err.message}`);
+      return resolve([]);
+    }
+    const browser = bonjour.find({ type }, (service) => {
+      // Prefer an advertised IPv4 address, else the address the answer came from
+      const ip = (service.addresses || []).find(a => /^\d+\.\d+\.\d+\.\d+$/.test(a)) || service.referer?.address;
+      if (!ip) return;
+      const port = Number(service.port);
+      found.set(`${ip}:${port}`, { ip, port, name: service.name, txt: service.txt || {} });
+    });
+    setTimeout(() => {
+      browser.stop();
+      bonjour.destroy();
+      resolve([...found.values()]);
+    }, timeoutMs);
+  });
+}
+
+module.exports = {
+  SERVICE_TYPE,
+  HMI_SERVICE_TYPE,
+  advertise,
+  browse
+};
@@ -1,9 +1,17 @@
 /*****************************************************************************
- * Local network discovery (stub). Replace with your scanner implementation.
+ * Local network discovery: background scanner with a TTL cache of peers
+ * - mDNS (_iirconnect._tcp) first, then an HTTP /status sweep of the local
+ *   private ranges from each interface's netmask (SCAN_SWEEP=fallback|always|never),
+ *   or of the CIDRs in SCAN_RANGES instead
+ * - One scan at a time; callers share it. Peers are emitted as they are found
+ *   ('peer') and kept until not seen for SCAN_CACHE_TTL_MS
  ****************************************************************************/
 const os = require('os');
 const fetch = require('node-fetch');
+const { EventEmitter } = require('events');
 const { getPreferredIp } = require('../utils/network');
+const { browse } = require('./mdnsService');
+const { getServerId } = require('iir-shared/identity');
 const AbortController = globalThis.AbortController || require('abort-controller');
 const dotenv = require('dotenv');
 dotenv.config();
@@ -12,52 +20,176 @@ const PORT = Number(process.env.SERVERCONNECT_PORT || 3000);
 const ENDPOINT = process.env.SERVERCONNECT_STATUS_PATH || '/status';
 const TIMEOUT_MS = Number(process.env.SCAN_TIMEOUT_MS || 1500);
 const MAX_CONCURRENCY = Number(process.env.SCAN_MAX_CONCURRENCY || 64);
+const SCAN_SWEEP = String(process.env.SCAN_SWEEP || 'fallback').toLowerCase();
+const MAX_HOSTS = Number(process.env.SCAN_MAX_HOSTS || 4096);          // per interface range
+const RANGES = String(process.env.SCAN_RANGES || '').split(',').map(s => s.trim()).filter(Boolean);
+const CACHE_TTL_MS = Number(process.env.SCAN_CACHE_TTL_MS || 5 * 60 * 1000);
+const INTERVAL_MS = Number(process.env.SCAN_INTERVAL_MS || 2 * 60 * 1000);
 
-/** Scan all local /24 subnets for ServerConnect peers (deduped by IP).
- * @returns {Promise<Array<{ip:string,status:number,data:any}>>}
+const peers = new Map();          // ip -> peer (+ firstSeen/lastSeen)
+const events = new EventEmitter(); // 'peer' (peer), 'done' ({ count, scannedAt })
+events.setMaxListeners(0);
+let running = null;               // current scan promise
+let lastScan = null;              // { startedAt, finishedAt, count }
+let timer = null;
+
+// ---------- Peer cache ----------
+function expire(now = Date.now()) {
+  for (const [ip, p] of peers) if (now - p.lastSeen > CACHE_TTL_MS) peers.delete(ip);
+}
+
+/** Merge a found peer into the cache (sources unioned) and announce it. */
+function record(found, now = Date.now()) {
+  const known = peers.get(found.ip);
+  const peer = known
+    ? {
+        ...known,
+        ...found,
+        status: found.status ?? known.status,
+        data: found.status != null ? found.data : known.data,
+        sources: [...new Set([...known.sources, ...found.sources])]
+      }
+    : { ...found, firstSeen: now };
+  peer.lastSeen = now;
+  peers.set(found.ip, peer);
+  events.emit('peer', peer);
+  return peer;
+}
+
+/** Cached peers (expired ones dropped), oldest first.
+ * @returns {Array<Object>}
  */
-async function scanAllNetworks() {
-  const subnets = getLocalSubnets();
-  const localIp = getPreferredIp();
-  const all = [];
-  for (const subnet of subnets) {
-    const found = await scanSubnet(subnet,localIp);
-    all.push(...found);
-  }
-  // Delete duplicate by IP
-  const map = new Map();
-  for (const item of all) if (!map.has(item.ip)) map.set(item.ip, item);
-  return Array.from(map.values());
+function getPeers() {
+  expire();
+  return [...peers.values()].sort((a, b) => a.firstSeen - b.firstSeen);
+}
+
+/** { scanning, lastScan, stale } for responses. */
+function getScanState() {
+  const stale = !lastScan || Date.now() - lastScan.finishedAt > CACHE_TTL_MS;
+  return { scanning: !!running, lastScan, stale };
 }
 
-/** Return local private /24 prefixes (e.g., ['192.168.1.', '10.0.0.']).
- * @returns {string[]}
+// ---------- Scanning ----------
+/** Run a scan, or join the one in progress.
+ * @returns {Promise<Array<Object>>} peers seen by this scan
  */
-function getLocalSubnets() {
-  const ifaces = os.networkInterfaces();
-  const subnets = new Set();
-  for (const list of Object.values(ifaces)) {
+function scan() {
+  if (running) return running;
+  running = (async () => {
+    const startedAt = Date.now();
+    const seen = new Map();
+    const add = (p) => seen.set(p.ip, record(p));
+    try {
+      const advertised = await scanMdns(add);
+      const sweep = SCAN_SWEEP === 'always' || (SCAN_SWEEP !== 'never' && !advertised.length);
+      if (sweep) await sweepRanges(RANGES.length ? parseRanges(RANGES) : getLocalRanges(), add);
+    } catch (err) {
+      console.warn(`[scan] failed: ${err.message}`);
+    }
+    lastScan = { startedAt, finishedAt: Date.now(), count: seen.size };
+    expire();
+    events.emit('done', lastScan);
+    return [...seen.values()];
+  })().finally(() => { running = null; });
+  return running;
+}
+
+/** Cached peers when the last scan is recent, else the result of a (joined) scan.
+ * @param {{fresh?: boolean}} [opts] fresh: always wait for a new scan
+ * @returns {Promise<Array<Object>>}
+ */
+async function scanAllNetworks({ fresh = false } = {}) {
+  if (fresh || getScanState().stale) await scan();
+  return getPeers();
+}
+
+/** Rescan every SCAN_INTERVAL_MS in the background (0 = only on demand). */
+function startScanner() {
+  if (timer || !(INTERVAL_MS > 0)) return;
+  scan();
+  timer = setInterval(scan, INTERVAL_MS);
+  timer.unref();
+}
+
+/** Subscribe to scan events; returns an unsubscribe function. */
+function onScanEvent(type, fn) {
+  events.on(type, fn);
+  return () => events.off(type, fn);
+}
+
+/** Browse mDNS and read each peer's /status (peers that do not answer keep status null). */
+async function scanMdns(add) {
+  const selfId = getServerId();
+  const services = (await browse()).filter(s => s.txt.id !== selfId); // our own advertisement
+  return Promise.all(services.map(async (s) => {
+    const r = await pingServer(s.ip, s.port);
+    const peer = { ip: s.ip, port: s.port, status: r ? r.status : null, data: r ? r.data : null, sources: ['mdns'], name: s.name, txt: s.txt };
+    add(peer);
+    return peer;
+  }));
+}
+
+// ---------- Address ranges ----------
+const ipToInt = (ip) => ip.split('.').reduce((n, o) => (n * 256) + Number(o), 0);
+const intToIp = (n) => [24, 16, 8, 0].map(s => Math.floor(n / 2 ** s) % 256).join('.');
+
+function isPrivate(ip) {
+  const [a, b] = ip.split('.').map(Number);
+  return a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+}
+
+/** Private IPv4 ranges of the local interfaces, from their netmasks
+ * (ranges above SCAN_MAX_HOSTS are narrowed to the block around our address).
+ * @returns {Array<{cidr: string, address: string, first: number, last: number}>}
+ */
+function getLocalRanges() {
+  const ranges = new Map();
+  for (const list of Object.values(os.networkInterfaces())) {
     for (const cfg of list || []) {
-      if (cfg.family !== 'IPv4' || cfg.internal) continue;
-      const [a, b, c] = cfg.address.split('.');
-      const aNum = Number(a);
-      const isPrivate =
-        aNum === 10 ||
-        (aNum === 172 && Number(b) >= 16 && Number(b) <= 31) ||
-        (aNum === 192 && Number(b) === 168);
-      if (!isPrivate) continue; // skip non-private ranges
-      subnets.add(`${a}.${b}.${c}.`);
+      if (cfg.family !== 'IPv4' || cfg.internal || !isPrivate(cfg.address)) continue;
+      let prefix = Number(String(cfg.cidr || '').split('/')[1]);
+      if (!Number.isInteger(prefix)) prefix = 24; // very old Node without cidr
+      prefix = Math.min(prefix, 30);
+      while (2 ** (32 - prefix) - 2 > MAX_HOSTS) prefix++;
+      const size = 2 ** (32 - prefix);
+      const network = Math.floor(ipToInt(cfg.address) / size) * size;
+      const cidr = `${intToIp(network)}/${prefix}`;
+      if (!ranges.has(cidr)) ranges.set(cidr, { cidr, address: cfg.address, first: network + 1, last: network + size - 2 });
+    }
+  }
+  return [...ranges.values()];
+}
+
+/** Ranges for explicit CIDRs ("10.0.5.0/24", a bare address is a /32); malformed entries are skipped.
+ * @param {string[]} cidrs
+ * @returns {Array<{cidr: string, address: null, first: number, last: number}>}
+ */
+function parseRanges(cidrs) {
+  const ranges = [];
+  for (const cidr of cidrs) {
+    const m = /^(\d+\.\d+\.\d+\.\d+)(?:\/(\d+))?$/.exec(cidr);
+    const prefix = m ? Number(m[2] ?? 32) : NaN;
+    if (!m || !(prefix >= 8 && prefix <= 32)) {
+      console.warn(`[scan] ignoring SCAN_RANGES entry "${cidr}"`);
+      continue;
     }
+    const size = 2 ** (32 - prefix);
+    const network = Math.floor(ipToInt(m[1]) / size) * size;
+    // /31 and /32 have no network/broadcast address to skip
+    const [first, last] = size <= 2 ? [network, network + size - 1] : [network + 1, network + size - 2];
+    ranges.push({ cidr: `${intToIp(network)}/${prefix}`, address: null, first, last: Math.min(last, first + MAX_HOSTS - 1) });
   }
-  return [...subnets];
+  return ranges;
 }
 
 /** Probe a host's /status endpoint with timeout; returns minimal peer or null.
  * @param {string} ip
+ * @param {number} [port]
  * @returns {Promise<{ip:string,status:number,data:any}|null>}
  */
-async function pingServer(ip) {
-  const url = `http://${ip}:${PORT}${ENDPOINT}`;
+async function pingServer(ip, port = PORT) {
+  const url = `http://${ip}:${port}${ENDPOINT}`;
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
   try {
@@ -79,33 +211,38 @@ async function pingServer(ip) {
   }
 }
 
-/** Scan one /24 subnet with concurrency limit; skips this host's IP.
- * @param {string} subnet
- * @param {string} localIp
- * @returns {Promise<Array<{ip:string,status:number,data:any}>>}
+/** Probe every host of the ranges (one shared worker pool); skips this host's IPs.
+ * @param {Array<{first: number, last: number}>} ranges
+ * @param {(peer: Object) => void} add
+ * @returns {Promise<void>}
  */
-async function scanSubnet(subnet,localIp) {
-  // Build IP queue 1..254 (skip .0 and .255)
+async function sweepRanges(ranges, add) {
+  const own = new Set([getPreferredIp(), ...ranges.map(r => r.address).filter(Boolean)]);
   const queue = [];
-  for (let i = 1; i <= 254; i++) {
-    const ip = `${subnet}${i}`;
-    if (localIp == ip) continue; // <-- skip own host IPs
-    queue.push(ip);
+  for (const r of ranges) {
+    for (let n = r.first; n <= r.last; n++) {
+      const ip = intToIp(n);
+      if (!own.has(ip)) queue.push(ip);
+    }
   }
-  const results = [];
+  let next = 0;
   const workers = Array.from({ length: Math.min(MAX_CONCURRENCY, queue.length) }, async () => {
-  while (queue.length) {
-    const ip = queue.shift();
-    const r = await pingServer(ip);
-    if (r) results.push(r);
-  }
+    while (next < queue.length) {
+      const ip = queue[next++];
+      const r = await pingServer(ip);
+      if (r) add({ ...r, port: PORT, sources: ['http'] });
+    }
   });
-
   await Promise.all(workers);
-  return results;
 }
 
 module.exports = {
   scanAllNetworks,
-  getLocalSubnets
-};
\ No newline at end of file
+  scan,
+  startScanner,
+  getPeers,
+  getScanState,
+  onScanEvent,
+  getLocalRanges,
+  parseRanges
+};
@@ -0,0 +1,200 @@
+/*****************************************************************************
+ * Plant overview: every HMI of this ServerConnect and of the discovered peers
+ * - Local HMIs: hmi-live /status; peers: their GET /server/overview/local with a
+ *   peer token (PEER_JWT_SECRET, shared by the plant's ServerConnects; the caller's roles)
+ * - Without PEER_JWT_SECRET there are no peers in the overview
+ * - Everything runs in parallel, each request aborted after OVERVIEW_TIMEOUT_MS
+ * - watchOverview() polls every OVERVIEW_INTERVAL_MS (one poller per role set)
+ *   and reports only summaries that changed
+ ****************************************************************************/
+const os = require('os');
+const fetch = require('node-fetch');
+const AbortController = globalThis.AbortController || require('abort-controller');
+const { getHmiStatus } = require('./hmiService');
+const { listHmis } = require('./hmiRegistry');
+const { getPeers, getScanState } = require('./networkService');
+const { peersEnabled, signPeer } = require('../utils/jwtInternal');
+const { getServerId } = require('iir-shared/identity');
+
+// Read lazily: app.js loads .env after its requires
+const env = {
+  timeoutMs: () => Number(process.env.OVERVIEW_TIMEOUT_MS || 3000),
+  intervalMs: () => Number(process.env.OVERVIEW_INTERVAL_MS || 5000)
+};
+
+const watchers = new Map();   // role set -> { listeners, timer, last }
+
+/** Run `fn(signal)`, aborting it after OVERVIEW_TIMEOUT_MS (rejects with a 'timeout' error). */
+async function withTimeout(fn) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), env.timeoutMs());
+  try {
+    return await fn(controller.signal);
+  } catch (err) {
+    throw err.name === 'AbortError' ? new Error('timeout') : err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ---------- Per HMI ----------
+/** Compact KPIs of one HMI from its /status response; without one the HMI is down with `error`. */
+function summarizeHmi(hmi, r, error = null) {
+  const status = r && r.status === 200 ? r.data : null;
+  if (!status) return { id: hmi.id, name: hmi.name, state: 'down', error: error || (r ? `HTTP ${r.status}` : null) };
+  const alarms = status.alarms || {};
+  const kpis = status.kpis || {};
+  const modules = Array.isArray(kpis.modules) ? kpis.modules : [];
+  return {
+    id: hmi.id,
+    name: hmi.name,
+    state: 'up',
+    opcuaState: status.opcuaState ?? null,
+    plcComms: kpis.plcComms ? { ok: !!kpis.plcComms.ok, ts: kpis.plcComms.ts ?? null, plcs: kpis.plcComms.plcs ?? 1, lost: kpis.plcComms.lost ?? (kpis.plcComms.ok ? 0 : 1) } : null,
+    alarms: {
+      active: (alarms['active-unacked'] || 0) + (alarms['active-acked'] || 0),
+      unacked: (alarms['active-unacked'] || 0) + (alarms['cleared-unacked'] || 0),
+      shelved: alarms.shelved || 0
+    },
+    modules: {
+      total: modules.length,
+      running: modules.filter(m => m.running).length,
+      inAlarm: modules.filter(m => m.alarm).length,
+      list: modules
+    },
+    dailyPicks: kpis.dailyPicks ? kpis.dailyPicks.total : null
+  };
+}
+
+/**
+ * This ServerConnect's HMIs, straight from their hmi-live.
+ * @param {Object} [claims] caller's internal claims
+ * @returns {Promise<{id: string, name: string, self: true, state: 'ok', hmis: Array<Object>}>}
+ */
+async function getLocalOverview(claims = {}) {
+  const hmis = await Promise.all(listHmis().map(async (h) => {
+    try {
+      const r = await withTimeout((signal) => getHmiStatus({ claims, hmiId: h.id, signal }));
+      return summarizeHmi(h, r);
+    } catch (err) {
+      return summarizeHmi(h, null, err.message);
+    }
+  }));
+  return { id: getServerId(), name: os.hostname(), self: true, state: 'ok', hmis };
+}
+
+// ---------- Peers ----------
+/** GET a peer's local overview with a peer token; { status, data } (throws on network errors/timeouts). */
+function peerGet(peer, peerId, claims) {
+  return withTimeout(async (signal) => {
+    const res = await fetch(`http://${peer.ip}:${peer.port}/server/overview/local`, {
+      headers: { authorization: `Bearer ${signPeer(claims, peerId)}` },
+      signal
+    });
+    return { status: res.status, data: await res.json().catch(() => null) };
+  });
+}
+
+/** One peer: the summary of its HMIs. */
+async function peerServer(peer, claims) {
+  const peerId = (peer.txt && peer.txt.id) || (peer.data && peer.data.id) || null;
+  const base = {
+    id: peerId,
+    name: (peer.data && peer.data.hostname) || (peer.txt && peer.txt.hostname) || peer.name || peer.ip,
+    ip: peer.ip,
+    port: peer.port,
+    self: false
+  };
+  if (!peerId) return { ...base, state: 'error', error: 'no server id', hmis: [] };
+  try {
+    const r = await peerGet(peer, peerId, claims);
+    if (r.status === 401 || r.status === 403) return { ...base, state: 'unauthorized', error: `HTTP ${r.status}`, hmis: [] };
+    if (r.status !== 200 || !r.data || !Array.isArray(r.data.hmis)) return { ...base, state: 'error', error: `HTTP ${r.status}`, hmis: [] };
+    return { ...base, state: 'ok', hmis: r.data.hmis };
+  } catch (err) {
+    return { ...base, state: 'unreachable', error: err.message, hmis: [] };
+  }
+}
+
+// ---------- Summary ----------
+function totalsOf(servers) {
+  const hmis = servers.flatMap(s => s.hmis);
+  const up = hmis.filter(h => h.state === 'up');
+  const sum = (fn) => up.reduce((n, h) => n + (fn(h) || 0), 0);
+  return {
+    servers: servers.length,
+    serversReachable: servers.filter(s => s.state === 'ok').length,
+    hmis: hmis.length,
+    hmisUp: up.length,
+    activeAlarms: sum(h => h.alarms.active),
+    unackedAlarms: sum(h => h.alarms.unacked),
+    modules: sum(h => h.modules.total),
+    modulesRunning: sum(h => h.modules.running),
+    dailyPicks: sum(h => h.dailyPicks),
+    plcCommsDown: up.filter(h => h.plcComms && !h.plcComms.ok).length
+  };
+}
+
+/**
+ * Plant-wide summary: this server first, then the cached peers (no scan is started; none without PEER_JWT_SECRET).
+ * @param {Object} [claims] caller's internal claims (roles go to local hmi-live and to peers)
+ * @returns {Promise<{ts: number, totals: Object, servers: Array<Object>, scan: Object}>}
+ */
+async function getOverview(claims = {}) {
+  const peerClaims = Array.isArray(claims.roles) ? { roles: claims.roles } : {};
+  const servers = await Promise.all([
+    getLocalOverview(claims),
+    ...(peersEnabled() ? getPeers() : []).map(p => peerServer(p, peerClaims))
+  ]);
+  const { lastScan, scanning } = getScanState();
+  return { ts: Date.now(), totals: totalsOf(servers), servers, scan: { scanning, lastScan } };
+}
+
+// ---------- Watching ----------
+// Comparable form of a summary: without timestamps that change on every poll
+const comparable = (o) => JSON.stringify(o, (k, v) => (k === 'ts' || k === 'lastScan' || k === 'scanning' ? undefined : v));
+
+/**
+ * Call `fn(overview)` now and whenever the summary changes; returns an unsubscribe function.
+ * Callers with the same roles share one poller.
+ * @param {Object} claims
+ * @param {(overview: Object) => void} fn
+ * @returns {() => void}
+ */
+function watchOverview(claims, fn) {
+  const roles = Array.isArray(claims.roles) ? [...claims.roles].sort() : null;
+  const key = JSON.stringify(roles);
+  let w = watchers.get(key);
+  if (!w) {
+    w = { listeners: new Set(), timer: null, last: null, busy: false };
+    const poll = async () => {
+      if (w.busy) return;
+      w.busy = true;
+      try {
+        const next = await getOverview(roles ? { roles } : {});
+        const changed = !w.last || comparable(next) !== comparable(w.last);
+        w.last = next;
+        if (changed) for (const l of w.listeners) l(next);
+      } catch (err) {
+        console.warn(`[overview] ${err.message}`);
+      } finally {
+        w.busy = false;
+      }
+    };
+    w.timer = setInterval(poll, env.intervalMs());
+    w.timer.unref();
+    watchers.set(key, w);
+    poll();
+  } else if (w.last) {
+    fn(w.last);
+  }
+  w.listeners.add(fn);
+  return () => {
+    w.listeners.delete(fn);
+    if (w.listeners.size) return;
+    clearInterval(w.timer);
+    watchers.delete(key);
+  };
+}
+
+module.exports = { getOverview, getLocalOverview, watchOverview };
@@ -0,0 +1,60 @@
+/*****************************************************************************
+ * Recipe store — resolves a recipe id to its project definition.
+ * Default store reads <RECIPES_DIR>/<recipeId>.json (stand-in for DataHandler).
+ ****************************************************************************/
+const fs = require('fs');
+const path = require('path');
+
+const RECIPES_DIR = path.resolve(process.env.RECIPES_DIR || path.join(__dirname, '../../data/recipes'));
+
+/** Build a store backed by a folder of "<recipeId>.json" project files.
+ * @param {string} dir
+ * @returns {{getProject:(recipeId:string|number)=>Promise<Object|null>}}
+ */
+function createJsonFolderStore(dir = RECIPES_DIR) {
+  return {
+    async getProject(recipeId) {
+      // Only plain ids; never let a tag value walk out of the folder
+      const id = String(recipeId ?? '').trim();
+      if (!/^[A-Za-z0-9_-]+$/.test(id)) return null;
+      try {
+        const raw = await fs.promises.readFile(path.join(dir, `${id}.json`), 'utf8');
+        return JSON.parse(raw);
+      } catch (_) {
+        return null; // missing or malformed file -> unknown recipe
+      }
+    }
+  };
+}
+
+let store = createJsonFolderStore();
+
+/** Replace the active store (e.g. a DataHandler-backed implementation).
+ * @param {{getProject:(recipeId:string|number)=>Promise<Object|null>}} next
+ * @returns {void}
+ */
+function setRecipeStore(next) {
+  if (!next || typeof next.getProject !== 'function') {
+    throw new TypeError('recipe store must implement getProject(recipeId)');
+  }
+  store = next;
+}
+
+/** Resolve the project for a recipe id; null when unknown or the store fails.
+ * @param {string|number} recipeId
+ * @returns {Promise<Object|null>}
+ */
+async function getRecipeProject(recipeId) {
+  if (recipeId == null || recipeId === '' || Number(recipeId) === 0) return null;
+  try {
+    return (await store.getProject(recipeId)) || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = {
+  createJsonFolderStore,
+  setRecipeStore,
+  getRecipeProject
+};
@@ -2,11 +2,32 @@
  * HS256 JWT for internal DataHandler calls (ServerConnect ↔ DataHandler)
  ****************************************************************************/
 const jwt = require('jsonwebtoken');
-const { getServerId, deriveSharedSecret } = require('./identity.js');
+const { getServerId, getSigningKey } = require('iir-shared/identity');
 
 const ISSUER = 'serverconnect';
 const DATA_HANDLER_AUDIENCE_PREFIX = 'datahandler:';
 const DATA_HMI_AUDIENCE_PREFIX = 'hmilive:';
+const PEER_AUDIENCE_PREFIX = 'peer-overview:';
+
+// Read lazily: app.js loads .env after its requires
+const env = {
+  peerSecret: () => process.env.PEER_JWT_SECRET || null
+};
+
+/** Claims of the mobile user carried into internal tokens (hmi-live applies roles from them).
+ * No user -> no `roles` claim, which hmi-live treats as a system call; a user always gets
+ * one (empty at worst), so a device record without roles never becomes unrestricted.
+ * @param {{sub?: string, name?: string|null, roles?: string[]}|null} [user] req.user set by mobile auth
+ * @returns {Object}
+ */
+function internalClaims(user) {
+  if (!user) return {};
+  const claims = {};
+  if (user.sub != null) claims.sub = String(user.sub);
+  if (user.name) claims.name = String(user.name);
+  claims.roles = Array.isArray(user.roles) ? user.roles.filter(r => typeof r === 'string') : [];
+  return claims;
+}
 
 /** Sign a short-lived internal HS256 JWT (issuer/audience bound to this server).
  * @param {Object} [payload={}]
@@ -14,8 +35,8 @@ const DATA_HMI_AUDIENCE_PREFIX = 'hmilive:';
  * @returns {string} JWT
  */
 function signInternal(payload = {}, { expiresIn = '30s', audPrefix = 'datahandler'} = {}) {
-  // Sign short-lived token bound to this server identity
-  const key = deriveSharedSecret(); // Buffer
+  // Sign short-lived token bound to this server identity; `kid` tells the verifier which key
+  const { kid, key } = getSigningKey();
   const aud = `${audPrefix.includes('datahandler') ? 
               DATA_HANDLER_AUDIENCE_PREFIX : 
               DATA_HMI_AUDIENCE_PREFIX}${getServerId()}`;
@@ -24,9 +45,51 @@ function signInternal(payload = {}, { expiresIn = '30s', audPrefix = 'datahandle
     issuer: ISSUER,
     audience: aud,
     expiresIn,
+    keyid: kid,
+  });
+}
+
+/** Peers trusted at all? Only ServerConnects configured with the same PEER_JWT_SECRET trust each other. */
+function peersEnabled() {
+  return !!env.peerSecret();
+}
+
+/** Sign a short-lived token for a peer ServerConnect's overview (audience = the peer's server id).
+ * Signed with PEER_JWT_SECRET, never with the internal key, so it is worthless to hmi-live
+ * and to every other ServerConnect route.
+ * @param {Object} payload
+ * @param {string} peerId server id of the peer (mDNS TXT `id` or its /status `id`)
+ * @returns {string} JWT
+ */
+function signPeer(payload, peerId, { expiresIn = '30s' } = {}) {
+  if (!peersEnabled()) throw new Error('PEER_JWT_SECRET is not set');
+  return jwt.sign({ ...payload, sub: `peer:${getServerId()}` }, env.peerSecret(), {
+    algorithm: 'HS256',
+    issuer: ISSUER,
+    audience: `${PEER_AUDIENCE_PREFIX}${peerId}`,
+    expiresIn,
   });
 }
 
+/** Verify a peer token addressed to this server; returns its claims or null (always null without PEER_JWT_SECRET). */
+function verifyPeer(token) {
+  if (!peersEnabled()) return null;
+  try {
+    return jwt.verify(token, env.peerSecret(), {
+      algorithms: ['HS256'],
+      issuer: ISSUER,
+      audience: `${PEER_AUDIENCE_PREFIX}${getServerId()}`,
+      clockTolerance: 5,
+    });
+  } catch (_) {
+    return null;
+  }
+}
+
 module.exports = {
-  signInternal
+  signInternal,
+  internalClaims,
+  peersEnabled,
+  signPeer,
+  verifyPeer
 };
\ No newline at end of file
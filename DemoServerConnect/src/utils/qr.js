@@ -4,12 +4,26 @@
 const qrcode = require('qrcode-terminal');
 
 /** Print a terminal QR code for quick mobile pairing.
+ * With a pairing code the QR carries it as `?pair=<code>` (one-time, exchanged at POST /auth/pair).
+ * An admin code only goes into the QR: never as text, where it would end up in logs.
  * @param {string} url
+ * @param {{code: string, roles: string[], expiresAt: number|null}} [pairing]
  * @returns {void}
  */
-function generatePairingQR(url) {
-  qrcode.generate(url, { small: true });
-  console.log(`🔗 Pairing URL: ${url}`);
+function generatePairingQR(url, pairing) {
+  const target = new URL(url);
+  if (pairing) target.searchParams.set('pair', pairing.code);
+  qrcode.generate(target.toString(), { small: true });
+  if (!pairing) return console.log(`🔗 Pairing URL: ${target.toString()}`);
+
+  const until = pairing.expiresAt ? `, until ${new Date(pairing.expiresAt).toLocaleTimeString()}` : '';
+  if (pairing.roles.includes('admin')) {
+    console.log(`🔗 Pairing URL: ${url} (scan the QR)`);
+    console.log(`🔑 Pairing code: in the QR only (${pairing.roles.join(', ')}, one-time${until})`);
+    return;
+  }
+  console.log(`🔗 Pairing URL: ${target.toString()}`);
+  console.log(`🔑 Pairing code: ${pairing.code} (${pairing.roles.join(', ')}, one-time${until})`);
 }
 
 module.exports = {
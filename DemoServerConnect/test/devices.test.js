@@ -0,0 +1,86 @@
+/*****************************************************************************
+ * deviceService: console pairing codes and device bookkeeping
+ * - the console code expires after PAIRING_CODE_TTL_MS, admin or not
+ * - the admin code is never printed as text
+ * - lastSeenAt reaches DEVICES_FILE, at most once a minute
+ ****************************************************************************/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devices-'));
+const file = path.join(dir, 'devices.json');
+let devices, generatePairingQR;
+
+const stored = () => JSON.parse(fs.readFileSync(file, 'utf8')).devices;
+
+/** console.log lines written by `fn`. */
+function captureLog(fn) {
+  const lines = [];
+  const log = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try { fn(); } finally { console.log = log; }
+  return lines;
+}
+
+before(() => {
+  Object.assign(process.env, {
+    DEVICES_FILE: file,
+    PAIRING_CODE_TTL_MS: '60000',
+    PAIRING_ROLES: 'operator',
+    SERVER_ID: 'devices-test'
+  });
+  devices = require('../src/services/deviceService');
+  ({ generatePairingQR } = require('../src/utils/qr'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the first console code is admin, expires, and is only in the QR', (t) => {
+  const started = Date.now();
+  const pairing = devices.createConsolePairingCode();
+  assert.deepStrictEqual(pairing.roles, ['admin']);
+  assert.ok(pairing.expiresAt >= started + 60000 && pairing.expiresAt <= Date.now() + 60000);
+
+  const lines = captureLog(() => generatePairingQR('http://127.0.0.1:3000', pairing));
+  assert.ok(lines.length > 2); // the QR itself
+  assert.ok(lines.every(l => !l.includes(pairing.code)), 'admin code printed as text');
+
+  t.mock.timers.enable({ apis: ['Date'], now: pairing.expiresAt + 1 });
+  assert.deepStrictEqual(devices.pairDevice(pairing.code), { error: 'invalid-code' });
+});
+
+test('later console codes grant PAIRING_ROLES and are printed', () => {
+  const admin = devices.pairDevice(devices.createConsolePairingCode().code, { name: 'Tablet 1' });
+  assert.deepStrictEqual(admin.roles, ['admin']);
+
+  const pairing = devices.createConsolePairingCode();
+  assert.deepStrictEqual(pairing.roles, ['operator']);
+  assert.notStrictEqual(pairing.expiresAt, null);
+  const lines = captureLog(() => generatePairingQR('http://127.0.0.1:3000', pairing));
+  assert.ok(lines.some(l => l.includes(`Pairing code: ${pairing.code}`)));
+});
+
+test('lastSeenAt is saved on use, then at most once a minute', (t) => {
+  const { accessToken, deviceId } = devices.pairDevice(devices.createPairingCode({ roles: ['operator'] }).code);
+  const seen = () => stored().find(d => d.id === deviceId).lastSeenAt;
+  assert.strictEqual(seen(), null);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  assert.ok(devices.verifyAccessToken(accessToken).user);
+  const first = seen();
+  assert.strictEqual(first, Date.now());
+
+  t.mock.timers.tick(30 * 1000);
+  assert.ok(devices.verifyAccessToken(accessToken).user);
+  assert.strictEqual(seen(), first);
+  assert.strictEqual(devices.listDevices().find(d => d.id === deviceId).lastSeenAt, Date.now()); // in memory
+
+  t.mock.timers.tick(30 * 1000);
+  assert.ok(devices.verifyAccessToken(accessToken).user);
+  assert.strictEqual(seen(), Date.now());
+});
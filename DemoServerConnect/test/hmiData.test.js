@@ -0,0 +1,168 @@
+/*****************************************************************************
+ * GET /hmi/data: Last-Event-ID against the shared upstream
+ * - a fake hmi-live sends events with ids; clients join the same upstream
+ * - an id still in the upstream buffer replays what was missed, any other gets the cache
+ * - recipe enrichment (async) never splits a frame, however the upstream chunks arrive
+ ****************************************************************************/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hmi-data-'));
+const upstreamRequests = [];   // Last-Event-ID header of each upstream connection
+let upstreamRes = null;
+let hmiLive, app, first;        // `first` keeps the shared upstream open (UPSTREAM_LINGER_MS=0)
+
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = (server) => new Promise((resolve) => { server.closeAllConnections(); server.close(() => resolve()); });
+
+/** Send an event from the fake hmi-live (id omitted like its hello). */
+function push(type, data, id) {
+  upstreamRes.write(`${id != null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+const patch = (tagId, value) => ({ updates: [{ tagId, value, ts: 1, quality: 'good' }] });
+
+/** Open /hmi/data; `events` fills as they arrive ({ id, type, data }), `blocks` with the raw frames. */
+function openClient(lastEventId) {
+  const events = [];
+  const blocks = [];
+  const headers = lastEventId != null ? { 'Last-Event-ID': String(lastEventId) } : {};
+  const req = http.get(`http://127.0.0.1:${app.address().port}/hmi/data`, { headers }, (res) => {
+    let pending = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      const next = (pending + chunk).split('\n\n');
+      pending = next.pop();
+      for (const block of next) {
+        blocks.push(block);
+        const field = (name) => (new RegExp(`^${name}: ?(.*)$`, 'm').exec(block) || [])[1];
+        if (field('event')) events.push({ id: field('id') ?? null, type: field('event'), data: JSON.parse(field('data')) });
+      }
+    });
+  });
+  req.on('error', () => {});
+  return { events, blocks, close: () => req.destroy() };
+}
+
+async function waitFor(what, predicate) {
+  const until = Date.now() + 5000;
+  while (!predicate()) {
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+const settle = () => new Promise(r => setTimeout(r, 200));
+const dataEvents = (client) => client.events.filter(e => e.type !== 'upstream-state');
+
+before(async () => {
+  hmiLive = http.createServer((req, res) => {
+    upstreamRequests.push(req.headers['last-event-id'] ?? null);
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    upstreamRes = res;
+    push('hello', { rev: 1, resumed: false });
+  });
+  const port = await listen(hmiLive);
+
+  // Read by the modules (lazily or at require time)
+  Object.assign(process.env, {
+    HMIDATA_URL: `http://127.0.0.1:${port}`,
+    HMI_CONFIG_FILE: path.join(dir, 'hmis.json'),
+    HMI_DISCOVERY_MS: '0',
+    INTERNAL_JWT_KEYS_FILE: path.join(dir, 'internal-jwt.json'),
+    SERVER_ID: 'hmi-data-test',
+    UPSTREAM_REPLAY_MAX: '3',
+    UPSTREAM_LINGER_MS: '0'
+  });
+  const { streamHmiData } = require('../src/handlers/hmi/hmiHandler');
+  const server = express();
+  server.get('/hmi/data', streamHmiData);
+  app = http.createServer(server);
+  await listen(app);
+});
+
+after(async () => {
+  first.close();
+  await Promise.all([close(app), close(hmiLive)]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the client that opens the upstream passes its Last-Event-ID to hmi-live', async () => {
+  first = openClient(41);
+  await waitFor('the upstream', () => upstreamRes);
+  assert.deepStrictEqual(upstreamRequests, ['41']);
+  push('patch', patch('TOHMI_PE1', 1), 42);
+  push('patch', patch('TOHMI_PE2', 1), 43);
+  push('heartbeat', { ts: 1 }, 43);
+  await waitFor('the live events', () => first.events.some(e => e.type === 'heartbeat'));
+  assert.deepStrictEqual(dataEvents(first).map(e => [e.type, e.id]), [['hello', null], ['patch', '42'], ['patch', '43'], ['heartbeat', '43']]);
+});
+
+test('a Last-Event-ID still buffered replays only the missed events', async () => {
+  const client = openClient(42);
+  await waitFor('the replay', () => client.events.some(e => e.id === '43'));
+  await settle();
+  client.close();
+  assert.deepStrictEqual(dataEvents(client).map(e => [e.type, e.id]), [['hello', null], ['patch', '43']]);
+  assert.strictEqual(client.events[0].data.resumed, true);
+  assert.deepStrictEqual(upstreamRequests, ['41']); // shared: no second upstream
+});
+
+test('an unknown or evicted Last-Event-ID gets the cached snapshot', async () => {
+  push('patch', patch('TOHMI_PE1', 2), 44);
+  push('patch', patch('TOHMI_PE3', 1), 45); // buffer (3 events): 43, 44, 45
+  await settle();
+
+  for (const lastEventId of [42, 'nope', 999]) {
+    const client = openClient(lastEventId);
+    await waitFor('the snapshot', () => client.events.some(e => e.type === 'patch'));
+    await settle();
+    client.close();
+    const [hello, snapshot, ...rest] = dataEvents(client);
+    assert.strictEqual(hello.data.resumed, false, String(lastEventId));
+    assert.deepStrictEqual(snapshot.data.updates.map(u => [u.tagId, u.value]), [['TOHMI_PE1', 2], ['TOHMI_PE2', 1], ['TOHMI_PE3', 1]]);
+    assert.deepStrictEqual(rest, []);
+  }
+
+  const client = openClient(43);
+  await waitFor('the replay', () => client.events.some(e => e.id === '45'));
+  await settle();
+  client.close();
+  assert.deepStrictEqual(dataEvents(client).map(e => e.id), [null, '44', '45']);
+});
+
+test('slow recipe lookups and split upstream chunks never split a client frame', async () => {
+  require('../src/services/recipeService').setRecipeStore({
+    getProject: (id) => new Promise(r => setTimeout(() => r({ name: `Caja ${id} ñ`, layers: [{}, {}] }), 50))
+  });
+  const from = first.blocks.length;
+  const text = [
+    `id: 46\nevent: patch\ndata: ${JSON.stringify(patch('Feedpoint1_recipeData1', 'R1'))}\n\n`,
+    ...[47, 48, 49].map(id => `id: ${id}\nevent: patch\ndata: ${JSON.stringify(patch('TOHMI_PE1', `año ${id}`))}\n\n`),
+    `id: 50\nevent: patch\ndata: ${JSON.stringify(patch('Feedpoint1_recipeData1', 'R2'))}\n\n`
+  ].join('');
+  // 5-byte chunks: blocks, lines and the 2-byte ñ all end up split across writes
+  const bytes = Buffer.from(text);
+  for (let i = 0; i < bytes.length; i += 5) {
+    upstreamRes.write(bytes.subarray(i, i + 5));
+    await new Promise(r => setImmediate(r));
+  }
+  await waitFor('the second recipe', () => first.events.filter(e => e.type === 'recipe').length === 2);
+  await settle();
+
+  const blocks = first.blocks.slice(from);
+  for (const block of blocks) assert.match(block, /^(id: \d+\n)?event: [a-z-]+\ndata: [^\n]+$/, block);
+  const events = blocks.map(b => ({ id: (/^id: (.*)$/m.exec(b) || [])[1] ?? null, type: /^event: (.*)$/m.exec(b)[1], data: JSON.parse(/^data: (.*)$/m.exec(b)[1]) }));
+  assert.deepStrictEqual(events.filter(e => e.id).map(e => e.id), ['46', '47', '48', '49', '50']);
+  assert.deepStrictEqual(events.filter(e => e.type === 'recipe').map(e => [e.data.recipeId, e.data.projectName]), [['R1', 'Caja R1 ñ'], ['R2', 'Caja R2 ñ']]);
+  assert.deepStrictEqual(events.filter(e => e.id && e.data.updates[0].tagId === 'TOHMI_PE1').map(e => e.data.updates[0].value), ['año 47', 'año 48', 'año 49']);
+  // Each recipe's derived events follow the patch that caused it
+  const at = (pred) => events.findIndex(pred);
+  assert.ok(at(e => e.id === '46') < at(e => e.type === 'recipe' && e.data.recipeId === 'R1'));
+  assert.ok(at(e => e.id === '50') < at(e => e.type === 'recipe' && e.data.recipeId === 'R2'));
+  const derived = events.filter(e => !e.id && e.type === 'patch').map(e => e.data.updates.find(u => u.tagId === 'Recipe_Feedpoint1_projectName').value);
+  assert.deepStrictEqual(derived, ['Caja R1 ñ', 'Caja R2 ñ']);
+});
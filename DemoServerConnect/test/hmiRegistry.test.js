@@ -0,0 +1,116 @@
+/*****************************************************************************
+ * hmiRegistry: discovered HMIs get no internal token unless approved
+ * - a loopback responder advertises _iirhmi._tcp on 127.0.0.2 and 127.0.0.3
+ * - HMI_DISCOVERY_TRUST approves 127.0.0.3 only
+ ****************************************************************************/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Bonjour } = require('bonjour-service');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hmi-registry-'));
+const authByIp = { '127.0.0.2': [], '127.0.0.3': [] };   // Authorization header of each request
+let servers, responder, port, registry, hmiService;
+
+const listen = (server, host, at = 0) => new Promise((resolve, reject) => {
+  server.once('error', reject);
+  server.listen(at, host, () => resolve(server.address().port));
+});
+const close = (server) => new Promise((resolve) => server.close(() => resolve()));
+
+/** Fake hmi-live: 401 without a token, like the real /status. */
+const fakeHmi = (ip) => http.createServer((req, res) => {
+  authByIp[ip].push(req.headers.authorization ?? null);
+  const ok = !!req.headers.authorization;
+  res.writeHead(ok ? 200 : 401, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(ok ? { opcuaState: 'connected', clients: 0 } : { error: 'unauthorized' }));
+});
+
+/** Records an hmi-live on `ip` would advertise. */
+function hmiRecords(id, ip) {
+  const type = '_iirhmi._tcp.local';
+  const fqdn = `${id}.${type}`;
+  const host = `${id}.local`;
+  return [
+    { name: type, type: 'PTR', ttl: 120, data: fqdn },
+    { name: fqdn, type: 'SRV', ttl: 120, data: { port, target: host } },
+    { name: fqdn, type: 'TXT', ttl: 120, data: [`id=${id}`, `name=${id}`] },
+    { name: host, type: 'A', ttl: 120, data: ip }
+  ];
+}
+
+async function waitFor(what, predicate) {
+  const until = Date.now() + 8000;
+  while (!predicate()) {
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+before(async () => {
+  servers = [fakeHmi('127.0.0.2'), fakeHmi('127.0.0.3')];
+  port = await listen(servers[0], '127.0.0.2');
+  await listen(servers[1], '127.0.0.3', port);
+
+  // Read by the modules (lazily or at require time)
+  Object.assign(process.env, {
+    HMIDATA_URL: 'http://127.0.0.1:9',
+    HMI_CONFIG_FILE: path.join(dir, 'hmis.json'),
+    HMI_DISCOVERY_MS: '60000',
+    HMI_DISCOVERY_TRUST: '127.0.0.3',
+    HMI_HEALTH_TIMEOUT_MS: '500',
+    INTERNAL_JWT_KEYS_FILE: path.join(dir, 'internal-jwt.json'),
+    SERVER_ID: 'hmi-registry-test',
+    MDNS_BROWSE_MS: '800',
+    MDNS_ENABLED: '1'
+  });
+  registry = require('../src/services/hmiRegistry');
+  hmiService = require('../src/services/hmiService');
+
+  responder = new Bonjour(undefined, (err) => assert.fail(err));
+  responder.server.register([...hmiRecords('rogue', '127.0.0.2'), ...hmiRecords('approved', '127.0.0.3')]);
+  registry.startRegistry();
+  const checked = (id) => registry.listHmis().some(h => h.id === id && h.health.state !== 'unknown');
+  await waitFor('both HMIs discovered and checked', () => checked('rogue') && checked('approved'));
+});
+
+after(async () => {
+  await new Promise((resolve) => responder.destroy(resolve));
+  await Promise.all(servers.map(close));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('an unapproved HMI is health-checked without credentials', () => {
+  const rogue = registry.resolveHmi('rogue');
+  assert.strictEqual(rogue.source, 'mdns');
+  assert.strictEqual(rogue.trusted, false);
+  assert.strictEqual(rogue.health.state, 'up'); // 401: reachable
+  assert.ok(authByIp['127.0.0.2'].length > 0);
+  assert.ok(authByIp['127.0.0.2'].every(a => a === null));
+});
+
+test('an approved address gets the internal token', () => {
+  const approved = registry.resolveHmi('approved');
+  assert.strictEqual(approved.trusted, true);
+  assert.strictEqual(approved.health.state, 'up');
+  assert.strictEqual(approved.health.opcuaState, 'connected');
+  assert.match(authByIp['127.0.0.3'][0], /^Bearer /);
+});
+
+test('data calls to an unapproved HMI are refused before any request', async () => {
+  const before = authByIp['127.0.0.2'].length;
+  await assert.rejects(hmiService.getHmiStatus({ hmiId: 'rogue' }), (err) => {
+    assert.strictEqual(err.status, 403);
+    assert.strictEqual(err.data.translateKey, 'key-sc_untrusted_hmi');
+    return true;
+  });
+  await assert.rejects(hmiService.openHmiSse({ hmiId: 'rogue' }), { status: 403 });
+  assert.throws(() => hmiService.openHmiSocket(() => ({}), { hmiId: 'rogue' }), { status: 403 });
+  assert.strictEqual(authByIp['127.0.0.2'].length, before);
+
+  const r = await hmiService.getHmiStatus({ hmiId: 'approved' });
+  assert.strictEqual(r.status, 200);
+});
@@ -0,0 +1,119 @@
+/*****************************************************************************
+ * /hmi/ws: message acks relayed from a fake hmi-live /hmi-ws
+ * - subscribe / unsubscribe / write reach hmi-live and their acks come back as-is
+ * - the subscription an ack confirms is what the next upstream reconnect asks for
+ * - HMI_WS_MAX_CLIENTS refuses connections past the cap
+ ****************************************************************************/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hmi-socket-'));
+const handshakes = [];          // auth of every upstream connection
+const received = [];            // [type, msg] hmi-live got
+let hmiLive, hmiLiveIo, app, token;
+const clients = [];
+
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = (server) => new Promise((resolve) => { server.closeAllConnections(); server.close(() => resolve()); });
+
+/** Connected /hmi/ws client (rejects with the connect_error data). */
+function open() {
+  return new Promise((resolve, reject) => {
+    const client = connect(`http://127.0.0.1:${app.address().port}`, { path: '/hmi/ws', transports: ['websocket'], auth: { token, tags: 'TOHMI_PE1' }, reconnection: false });
+    clients.push(client);
+    client.once('connect', () => resolve(client));
+    client.once('connect_error', (err) => reject(err.data || err));
+  });
+}
+const send = (client, type, msg) => client.timeout(3000).emitWithAck(type, msg);
+
+async function waitFor(what, predicate) {
+  const until = Date.now() + 5000;
+  while (!predicate()) {
+    if (Date.now() > until) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
+
+before(async () => {
+  // Fake hmi-live: acks like the real one, subscription echoed back
+  hmiLive = http.createServer();
+  hmiLiveIo = new Server(hmiLive, { path: '/hmi-ws' });
+  hmiLiveIo.on('connection', (socket) => {
+    handshakes.push(socket.handshake.auth);
+    const tags = new Set(String(socket.handshake.auth.tags || '').split(',').filter(Boolean));
+    const subscription = () => ({ all: false, tags: [...tags], page: null, count: tags.size });
+    socket.on('subscribe', (msg, ack) => {
+      received.push(['subscribe', msg]);
+      for (const t of msg.tags || []) tags.add(t);
+      ack({ ok: true, subscription: subscription() });
+    });
+    socket.on('unsubscribe', (msg, ack) => {
+      received.push(['unsubscribe', msg]);
+      for (const t of msg.tags || []) tags.delete(t);
+      ack({ ok: true, subscription: subscription() });
+    });
+    socket.on('write', (msg, ack) => {
+      received.push(['write', msg]);
+      if (msg.tagId === 'FRMHMI_Nope') return ack({ error: 'unknown tag', tagId: msg.tagId });
+      ack({ ok: true, tagId: msg.tagId, requested: msg.value, value: msg.value, confirmed: true });
+    });
+  });
+  const port = await listen(hmiLive);
+
+  // Read by the modules (lazily or at require time)
+  Object.assign(process.env, {
+    HMIDATA_URL: `http://127.0.0.1:${port}`,
+    HMI_CONFIG_FILE: path.join(dir, 'hmis.json'),
+    HMI_DISCOVERY_MS: '0',
+    INTERNAL_JWT_KEYS_FILE: path.join(dir, 'internal-jwt.json'),
+    DEVICES_FILE: path.join(dir, 'devices.json'),
+    SERVER_ID: 'hmi-socket-test',
+    HMI_WS_MAX_CLIENTS: '2'
+  });
+  const devices = require('../src/services/deviceService');
+  ({ accessToken: token } = devices.pairDevice(devices.createPairingCode({ roles: ['operator'] }).code));
+  const { attachHmiSocket } = require('../src/handlers/hmi/hmiSocket');
+  app = http.createServer();
+  attachHmiSocket(app);
+  await listen(app);
+});
+
+after(async () => {
+  for (const c of clients) c.close();
+  hmiLiveIo.close();
+  await Promise.all([close(app), close(hmiLive)]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('subscribe, unsubscribe and write acks come back from hmi-live', async () => {
+  const client = await open();
+  await waitFor('the upstream', () => handshakes.length === 1);
+  assert.strictEqual(handshakes[0].tags, 'TOHMI_PE1');
+  assert.match(handshakes[0].token, /^ey/);
+
+  assert.deepStrictEqual(await send(client, 'subscribe', { tags: ['TOHMI_PE2'] }),
+    { ok: true, subscription: { all: false, tags: ['TOHMI_PE1', 'TOHMI_PE2'], page: null, count: 2 } });
+  assert.deepStrictEqual(await send(client, 'unsubscribe', { tags: ['TOHMI_PE1'] }),
+    { ok: true, subscription: { all: false, tags: ['TOHMI_PE2'], page: null, count: 1 } });
+  assert.deepStrictEqual(await send(client, 'write', { tagId: 'FRMHMI_Module1_Start', value: 1 }),
+    { ok: true, tagId: 'FRMHMI_Module1_Start', requested: 1, value: 1, confirmed: true });
+  assert.deepStrictEqual(await send(client, 'write', { tagId: 'FRMHMI_Nope', value: 1 }), { error: 'unknown tag', tagId: 'FRMHMI_Nope' });
+  assert.deepStrictEqual(received.map(([type]) => type), ['subscribe', 'unsubscribe', 'write', 'write']);
+
+  // A dropped upstream reconnects with the subscription the last ack confirmed
+  for (const s of hmiLiveIo.of('/').sockets.values()) s.conn.close();
+  await waitFor('the reconnect', () => handshakes.length === 2);
+  assert.deepStrictEqual(handshakes[1].tags, ['TOHMI_PE2']);
+});
+
+test('connections past HMI_WS_MAX_CLIENTS are refused', async () => {
+  await open(); // the first test's client is still connected
+  await assert.rejects(open(), { translateKey: 'key-sc_too_many_connections', max: 2 });
+});
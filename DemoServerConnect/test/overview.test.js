@@ -0,0 +1,83 @@
+/*****************************************************************************
+ * Plant overview: peer tokens and timeouts
+ * - a peer token (PEER_JWT_SECRET) opens GET /server/overview/local and nothing else
+ * - tokens signed with the internal key are not peer tokens
+ * - a local hmi-live that does not answer is reported down and its request aborted
+ ****************************************************************************/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'overview-'));
+const SERVER_ID = 'overview-test';
+let hmiLive, app, signPeer, signInternal;
+let statusAborted = false;
+
+const listen = (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = (server) => new Promise((resolve) => { server.closeAllConnections(); server.close(() => resolve()); });
+
+async function get(route, token) {
+  const res = await fetch(`http://127.0.0.1:${app.address().port}${route}`, { headers: { authorization: `Bearer ${token}` } });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+before(async () => {
+  // Never answers /status: the overview has to give up and abort the request
+  hmiLive = http.createServer((req, res) => {
+    res.on('close', () => { if (!res.writableEnded) statusAborted = true; });
+  });
+  const port = await listen(hmiLive);
+
+  // Read by the modules (lazily or at require time)
+  Object.assign(process.env, {
+    HMIDATA_URL: `http://127.0.0.1:${port}`,
+    HMI_CONFIG_FILE: path.join(dir, 'hmis.json'),
+    HMI_DISCOVERY_MS: '0',
+    INTERNAL_JWT_KEYS_FILE: path.join(dir, 'internal-jwt.json'),
+    DEVICES_FILE: path.join(dir, 'devices.json'),
+    PEER_JWT_SECRET: 'plant-secret',
+    OVERVIEW_TIMEOUT_MS: '300',
+    SERVER_ID
+  });
+  ({ signPeer, signInternal } = require('../src/utils/jwtInternal'));
+  const server = express();
+  server.use('/server', require('../src/endpoints/server/servers'));
+  server.use('/hmi', require('../src/endpoints/hmi/status'));
+  app = http.createServer(server);
+  await listen(app);
+});
+
+after(async () => {
+  await Promise.all([close(app), close(hmiLive)]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a peer token reads the local overview; a slow hmi-live is down and aborted', async () => {
+  const { status, body } = await get('/server/overview/local', signPeer({ roles: ['operator', 'admin'] }, SERVER_ID));
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.id, SERVER_ID);
+  assert.deepStrictEqual(body.hmis.map(h => [h.id, h.state, h.error]), [['default', 'down', 'timeout']]);
+  await new Promise(r => setTimeout(r, 50));
+  assert.strictEqual(statusAborted, true);
+});
+
+test('a peer token is refused by the /hmi routes and by the device overview', async () => {
+  const token = signPeer({ roles: ['operator'] }, SERVER_ID);
+  for (const route of ['/hmi', '/hmi/status', '/hmi/data', '/server/overview']) {
+    assert.strictEqual((await get(route, token)).status, 401, route);
+  }
+});
+
+test('only PEER_JWT_SECRET makes a peer token', async () => {
+  const internal = signInternal({ roles: ['operator'] }, { audPrefix: 'hmilive' });
+  assert.strictEqual((await get('/server/overview/local', internal)).status, 401);
+  const wrongAudience = signPeer({}, 'another-server');
+  assert.strictEqual((await get('/server/overview/local', wrongAudience)).status, 401);
+  const wrongKey = jwt.sign({}, 'other-plant', { algorithm: 'HS256', issuer: 'serverconnect', audience: `peer-overview:${SERVER_ID}`, expiresIn: '30s' });
+  assert.strictEqual((await get('/server/overview/local', wrongKey)).status, 401);
+});
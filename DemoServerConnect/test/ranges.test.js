@@ -0,0 +1,61 @@
+/*****************************************************************************
+ * Sweep ranges: interface netmasks and SCAN_RANGES, capped at SCAN_MAX_HOSTS
+ * - a wide interface range is narrowed to the block around our address
+ * - an explicit CIDR is swept from its start, SCAN_MAX_HOSTS hosts at most
+ ****************************************************************************/
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+
+let getLocalRanges, parseRanges;
+
+const ipToInt = (ip) => ip.split('.').reduce((n, o) => (n * 256) + Number(o), 0);
+const intToIp = (n) => [24, 16, 8, 0].map(s => Math.floor(n / 2 ** s) % 256).join('.');
+/** [cidr, first host, last host, host count] of a range. */
+const shape = ({ cidr, first, last }) => [cidr, intToIp(first), intToIp(last), last - first + 1];
+
+before(() => {
+  // Read by networkService at require time
+  Object.assign(process.env, { SCAN_MAX_HOSTS: '4096', SCAN_RANGES: '', MDNS_ENABLED: '0' });
+  ({ getLocalRanges, parseRanges } = require('../src/services/networkService'));
+});
+
+test('interface ranges are capped around our address', (t) => {
+  t.mock.method(os, 'networkInterfaces', () => ({
+    lo: [{ family: 'IPv4', address: '127.0.0.1', cidr: '127.0.0.1/8', internal: true }],
+    eth0: [
+      { family: 'IPv4', address: '10.1.77.9', cidr: '10.1.77.9/8', internal: false },
+      { family: 'IPv6', address: 'fe80::1', cidr: 'fe80::1/64', internal: false }
+    ],
+    eth1: [{ family: 'IPv4', address: '192.168.1.20', cidr: '192.168.1.20/24', internal: false }],
+    eth2: [{ family: 'IPv4', address: '192.168.1.30', cidr: '192.168.1.30/24', internal: false }], // same range
+    wan: [{ family: 'IPv4', address: '203.0.113.5', cidr: '203.0.113.5/24', internal: false }],      // public
+    ptp: [{ family: 'IPv4', address: '172.16.0.1', cidr: '172.16.0.1/32', internal: false }],
+    old: [{ family: 'IPv4', address: '172.20.3.4', internal: false }]                               // no cidr
+  }));
+  const ranges = getLocalRanges();
+  assert.deepStrictEqual(ranges.map(shape), [
+    ['10.1.64.0/20', '10.1.64.1', '10.1.79.254', 4094],    // a /8 is 16M hosts
+    ['192.168.1.0/24', '192.168.1.1', '192.168.1.254', 254],
+    ['172.16.0.0/30', '172.16.0.1', '172.16.0.2', 2],       // at least a /30
+    ['172.20.3.0/24', '172.20.3.1', '172.20.3.254', 254]
+  ]);
+  assert.deepStrictEqual(ranges.map(r => r.address), ['10.1.77.9', '192.168.1.20', '172.16.0.1', '172.20.3.4']);
+  assert.ok(ranges.every(r => ipToInt(r.address) >= r.first && ipToInt(r.address) <= r.last));
+});
+
+test('SCAN_RANGES entries are swept from their start, at most SCAN_MAX_HOSTS hosts', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const ranges = parseRanges(['10.0.0.0/16', '10.0.5.77/24', '10.0.9.9', '10.0.8.0/31', 'nope', '10.0.0.0/7', '10.0.0.0/33']);
+  assert.deepStrictEqual(ranges.map(shape), [
+    ['10.0.0.0/16', '10.0.0.1', '10.0.16.0', 4096],
+    ['10.0.5.0/24', '10.0.5.1', '10.0.5.254', 254],
+    ['10.0.9.9/32', '10.0.9.9', '10.0.9.9', 1],
+    ['10.0.8.0/31', '10.0.8.0', '10.0.8.1', 2]
+  ]);
+  assert.deepStrictEqual(warn.mock.calls.map(c => c.arguments[0]), [
+    '[scan] ignoring SCAN_RANGES entry "nope"',
+    '[scan] ignoring SCAN_RANGES entry "10.0.0.0/7"',
+    '[scan] ignoring SCAN_RANGES entry "10.0.0.0/33"'
+  ]);
+});
@@ -0,0 +1,67 @@
+/*****************************************************************************
+ * Roles of a device: what requireRole and the internal token to hmi-live see
+ * - a device record without roles (older DEVICES_FILE) has no role at all
+ * - a user always carries a roles claim; only system calls go without one
+ ****************************************************************************/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roles-'));
+const accessKey = crypto.randomBytes(32).toString('base64');
+let devices, requireRole, internalClaims;
+
+/** Access token for a device, signed the way deviceService signs them. */
+const tokenFor = (sub) => jwt.sign({}, Buffer.from(accessKey, 'base64'),
+  { algorithm: 'HS256', issuer: 'serverconnect', audience: 'mobile:roles-test', subject: sub, expiresIn: '5m' });
+
+/** Run a middleware; resolves with the response status, or 'next'. */
+function run(middleware, user) {
+  return new Promise((resolve) => {
+    const res = { status: (code) => ({ json: () => resolve(code) }) };
+    middleware({ user }, res, () => resolve('next'));
+  });
+}
+
+before(() => {
+  const file = path.join(dir, 'devices.json');
+  fs.writeFileSync(file, JSON.stringify({
+    accessKey,
+    devices: [
+      { id: 'old-tablet', name: 'Old tablet', pairedAt: 1, lastSeenAt: null, revokedAt: null },
+      { id: 'engineer', name: 'Laptop', roles: ['Engineer', 'root'], pairedAt: 1, lastSeenAt: null, revokedAt: null }
+    ]
+  }));
+  Object.assign(process.env, { DEVICES_FILE: file, SERVER_ID: 'roles-test' });
+  devices = require('../src/services/deviceService');
+  ({ requireRole } = require('../src/middlewares/authMobile'));
+  ({ internalClaims } = require('../src/utils/jwtInternal'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a device without roles has none, and is refused role-gated routes', async () => {
+  const { user } = devices.verifyAccessToken(tokenFor('old-tablet'));
+  assert.deepStrictEqual(user, { sub: 'old-tablet', name: 'Old tablet', roles: [] });
+  assert.strictEqual(await run(requireRole('admin'), user), 403);
+  assert.deepStrictEqual(internalClaims(user), { sub: 'old-tablet', name: 'Old tablet', roles: [] });
+});
+
+test('stored roles are normalized to the known ones', async () => {
+  const { user } = devices.verifyAccessToken(tokenFor('engineer'));
+  assert.deepStrictEqual(user.roles, ['engineer']);
+  assert.strictEqual(await run(requireRole('engineer', 'admin'), user), 'next');
+  assert.strictEqual(await run(requireRole('admin'), user), 403);
+});
+
+test('only a call without a user goes to hmi-live without a roles claim', () => {
+  assert.deepStrictEqual(internalClaims(null), {});
+  assert.deepStrictEqual(internalClaims({ sub: 'x', roles: 'admin' }), { sub: 'x', roles: [] });
+  assert.deepStrictEqual(internalClaims({ sub: 'x' }), { sub: 'x', roles: [] });
+});
@@ -0,0 +1,95 @@
+/*****************************************************************************
+ * GET /server/scan against a loopback multicast responder
+ * - the responder answers _iirconnect._tcp with a peer on 127.0.0.2
+ * - SCAN_RANGES=127.0.0.0/30 keeps the HTTP sweep on loopback (127.0.0.1-2)
+ ****************************************************************************/
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { Bonjour } = require('bonjour-service');
+
+const PEER_ID = 'scan-test-peer';
+const listen = (server, host, port = 0) => new Promise((resolve, reject) => {
+  server.once('error', reject);
+  server.listen(port, host, () => resolve(server.address().port));
+});
+const close = (server) => new Promise((resolve) => server.close(() => resolve()));
+const statusServer = (id) => http.createServer((req, res) => {
+  res.writeHead(req.url === '/status' ? 200 : 404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ id }));
+});
+
+/** Records a ServerConnect peer on 127.0.0.2 would advertise. */
+function peerRecords(port) {
+  const type = '_iirconnect._tcp.local';
+  const fqdn = `Scan Test Peer.${type}`;
+  const host = 'scan-test-peer.local';
+  return [
+    { name: type, type: 'PTR', ttl: 120, data: fqdn },
+    { name: fqdn, type: 'SRV', ttl: 120, data: { port, target: host } },
+    { name: fqdn, type: 'TXT', ttl: 120, data: [`id=${PEER_ID}`, 'version=test', `port=${port}`] },
+    { name: host, type: 'A', ttl: 120, data: '127.0.0.2' }
+  ];
+}
+
+let advertised, swept, responder, app, port, records;
+
+async function getScan() {
+  const res = await fetch(`http://127.0.0.1:${app.address().port}/server/scan?fresh=1`);
+  assert.strictEqual(res.status, 200);
+  return res.json();
+}
+
+before(async () => {
+  advertised = statusServer('advertised');
+  port = await listen(advertised, '127.0.0.2');
+  swept = statusServer('swept');
+  await listen(swept, '127.0.0.1', port);
+
+  // Read by networkService at require time
+  Object.assign(process.env, {
+    SERVER_ID: 'scan-test-self',
+    SERVERCONNECT_PORT: String(port),
+    SCAN_RANGES: '127.0.0.0/30',
+    SCAN_SWEEP: 'fallback',
+    SCAN_INTERVAL_MS: '0',
+    SCAN_TIMEOUT_MS: '500',
+    MDNS_BROWSE_MS: '800',
+    MDNS_ENABLED: '1'
+  });
+  const server = express();
+  server.use('/server', require('../src/endpoints/server/servers'));
+  app = http.createServer(server);
+  await listen(app, '127.0.0.1');
+
+  responder = new Bonjour(undefined, (err) => assert.fail(err));
+  records = peerRecords(port);
+  responder.server.register(records);
+});
+
+after(async () => {
+  await new Promise((resolve) => responder.destroy(resolve));
+  await Promise.all([close(app), close(advertised), close(swept)]);
+});
+
+test('mDNS answers first and the sweep is skipped', async () => {
+  const { servers, scanning, lastScan } = await getScan();
+  assert.strictEqual(scanning, false);
+  assert.strictEqual(lastScan.count, 1);
+  assert.deepStrictEqual(servers.map(s => [s.ip, s.port, s.sources]), [['127.0.0.2', port, ['mdns']]]);
+  assert.strictEqual(servers[0].txt.id, PEER_ID);
+  assert.deepStrictEqual(servers[0].data, { id: 'advertised' });
+});
+
+test('without mDNS answers the sweep runs and results merge with the cache', async () => {
+  responder.server.unregister(records);
+  const { servers, lastScan } = await getScan();
+  assert.strictEqual(lastScan.count, 2);
+  const byIp = Object.fromEntries(servers.map(s => [s.ip, s]));
+  assert.deepStrictEqual(Object.keys(byIp).sort(), ['127.0.0.1', '127.0.0.2']);
+  assert.deepStrictEqual(byIp['127.0.0.2'].sources, ['mdns', 'http']);
+  assert.strictEqual(byIp['127.0.0.2'].txt.id, PEER_ID); // kept from the mDNS answer
+  assert.deepStrictEqual(byIp['127.0.0.1'].sources, ['http']);
+  assert.deepStrictEqual(byIp['127.0.0.1'].data, { id: 'swept' });
+});
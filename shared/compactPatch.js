@@ -0,0 +1,257 @@
+/*****************************************************************************
+ * Compact `patch` encoding for the hmi-live data stream (?encoding=compact)
+ * - Tags are sent as their index in /hmi-structure `tags` (same `rev`);
+ *   a tag missing from that table is sent by name
+ * - Timestamps are deltas from one base `t` per patch (omitted when 0); quality is a
+ *   QUALITIES index, omitted for good (dt is then written as 0 when needed)
+ *     { updates: [{ tagId, value, ts, quality }] }  <->  { t, u: [[index|tagId, value, dt?, q?], ...] }
+ * - format "json" (default) or "msgpack" (base64 in SSE, binary on WebSocket)
+ * No dependencies and no Node built-ins (Uint8Array, DataView, TextEncoder, btoa):
+ * hmi-live, ServerConnect and browser or React Native clients can all use it.
+ ****************************************************************************/
+
+const FORMATS = ['json', 'msgpack'];
+// OPC-UA-like data quality of a tag update; the index is the compact `q`
+const QUALITIES = ['good', 'uncertain', 'bad', 'stale'];
+
+// ---------- Index table ----------
+/** tagId -> index for a /hmi-structure `tags` array. */
+function createIndex(tags) {
+  const index = new Map();
+  (tags || []).forEach((tagId, i) => index.set(tagId, i));
+  return index;
+}
+
+// ---------- Compact <-> expanded ----------
+/**
+ * @param {{ updates: Array<{tagId: string, value: any, ts?: number, quality?: string}> }} patch
+ * @param {Map<string, number>} index from createIndex()
+ * @returns {{ t: number, u: Array }}
+ */
+function compactPatch(patch, index) {
+  const updates = (patch && patch.updates) || [];
+  let t = Infinity;
+  for (const u of updates) if (Number.isFinite(u.ts) && u.ts < t) t = u.ts;
+  if (t === Infinity) t = Date.now();
+
+  const u = updates.map((up) => {
+    const key = index.has(up.tagId) ? index.get(up.tagId) : up.tagId;
+    const dt = Number.isFinite(up.ts) ? up.ts - t : 0;
+    const q = QUALITIES.indexOf(up.quality);
+    if (q > 0) return [key, up.value, dt, q];
+    return dt ? [key, up.value, dt] : [key, up.value];
+  });
+  return { t, u };
+}
+
+/**
+ * @param {{ t: number, u: Array }} compact
+ * @param {string[]} tags /hmi-structure `tags` of the same rev
+ * @returns {{ updates: Array<{tagId: string, value: any, ts: number, quality: string}> }}
+ */
+function expandPatch(compact, tags) {
+  const t = Number(compact && compact.t) || 0;
+  const updates = ((compact && compact.u) || []).map(([key, value, dt = 0, q = 0]) => ({
+    tagId: typeof key === 'number' ? (tags[key] ?? `#${key}`) : String(key),
+    value,
+    ts: t + dt,
+    quality: QUALITIES[q] || 'good'
+  }));
+  return { updates };
+}
+
+// ---------- MessagePack (subset: nil, bool, int, float64, str, array, map) ----------
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder();
+
+/** @returns {Uint8Array} */
+function msgpackEncode(value) {
+  let bytes = new Uint8Array(256);
+  let view = new DataView(bytes.buffer);
+  let pos = 0;
+  const reserve = (n) => {
+    if (pos + n <= bytes.length) return;
+    const grown = new Uint8Array(Math.max(bytes.length * 2, pos + n));
+    grown.set(bytes);
+    bytes = grown;
+    view = new DataView(bytes.buffer);
+  };
+  const byte = (...b) => {
+    reserve(b.length);
+    for (const x of b) bytes[pos++] = x;
+  };
+  const num = (size, setter, v) => { // DataView setters are big-endian by default
+    reserve(size);
+    view[setter](pos, v);
+    pos += size;
+  };
+  const raw = (b) => {
+    reserve(b.length);
+    bytes.set(b, pos);
+    pos += b.length;
+  };
+  const len = (n, fix, fixMax, c8, c16, c32) => {
+    if (n <= fixMax) byte(fix | n);
+    else if (c8 != null && n < 0x100) byte(c8, n);
+    else if (n < 0x10000) { byte(c16); num(2, 'setUint16', n); }
+    else { byte(c32); num(4, 'setUint32', n); }
+  };
+
+  const enc = (v) => {
+    if (v == null) return byte(0xc0);
+    if (v === false) return byte(0xc2);
+    if (v === true) return byte(0xc3);
+    if (typeof v === 'number') {
+      if (Number.isInteger(v) && v >= 0 && v < 0x80) return byte(v);
+      if (Number.isInteger(v) && v < 0 && v >= -32) return byte(v & 0xff);
+      if (Number.isInteger(v) && v >= 0 && v <= 0xffffffff) {
+        if (v < 0x100) return byte(0xcc, v);
+        if (v < 0x10000) { byte(0xcd); return num(2, 'setUint16', v); }
+        byte(0xce); return num(4, 'setUint32', v);
+      }
+      if (Number.isInteger(v) && v < 0 && v >= -0x80000000) {
+        if (v >= -0x80) { byte(0xd0); return num(1, 'setInt8', v); }
+        if (v >= -0x8000) { byte(0xd1); return num(2, 'setInt16', v); }
+        byte(0xd2); return num(4, 'setInt32', v);
+      }
+      // Larger integers (epoch ms) and fractions: float64 is exact up to 2^53
+      byte(0xcb); return num(8, 'setFloat64', v);
+    }
+    if (typeof v === 'string') {
+      const s = utf8Encoder.encode(v);
+      len(s.length, 0xa0, 31, 0xd9, 0xda, 0xdb);
+      return raw(s);
+    }
+    if (Array.isArray(v)) {
+      len(v.length, 0x90, 15, null, 0xdc, 0xdd);
+      return v.forEach(enc);
+    }
+    if (typeof v === 'object') {
+      const entries = Object.entries(v).filter(([, x]) => x !== undefined);
+      len(entries.length, 0x80, 15, null, 0xde, 0xdf);
+      return entries.forEach(([k, x]) => { enc(k); enc(x); });
+    }
+    return byte(0xc0); // functions/symbols/bigint: not part of the stream
+  };
+
+  enc(value);
+  return bytes.slice(0, pos);
+}
+
+/** @param {Uint8Array|ArrayBuffer|number[]} input (a Node Buffer is a Uint8Array) */
+function msgpackDecode(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+  const take = (n) => {
+    if (pos + n > bytes.length) throw new Error('msgpack: unexpected end of data');
+    const at = pos;
+    pos += n;
+    return at;
+  };
+  const str = (n) => {
+    const at = take(n);
+    return utf8Decoder.decode(bytes.subarray(at, pos));
+  };
+  const arr = (n) => Array.from({ length: n }, () => dec());
+  const map = (n) => {
+    const o = {};
+    for (let i = 0; i < n; i++) {
+      const k = dec();
+      o[k] = dec();
+    }
+    return o;
+  };
+
+  const dec = () => {
+    const b = bytes[take(1)];
+    if (b < 0x80) return b;
+    if (b >= 0xe0) return b - 0x100;
+    if ((b & 0xf0) === 0x80) return map(b & 0x0f);
+    if ((b & 0xf0) === 0x90) return arr(b & 0x0f);
+    if ((b & 0xe0) === 0xa0) return str(b & 0x1f);
+    switch (b) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xca: return view.getFloat32(take(4));
+      case 0xcb: return view.getFloat64(take(8));
+      case 0xcc: return view.getUint8(take(1));
+      case 0xcd: return view.getUint16(take(2));
+      case 0xce: return view.getUint32(take(4));
+      case 0xcf: return Number(view.getBigUint64(take(8)));
+      case 0xd0: return view.getInt8(take(1));
+      case 0xd1: return view.getInt16(take(2));
+      case 0xd2: return view.getInt32(take(4));
+      case 0xd3: return Number(view.getBigInt64(take(8)));
+      case 0xd9: return str(view.getUint8(take(1)));
+      case 0xda: return str(view.getUint16(take(2)));
+      case 0xdb: return str(view.getUint32(take(4)));
+      case 0xdc: return arr(view.getUint16(take(2)));
+      case 0xdd: return arr(view.getUint32(take(4)));
+      case 0xde: return map(view.getUint16(take(2)));
+      case 0xdf: return map(view.getUint32(take(4)));
+      default: throw new Error(`msgpack: unsupported type 0x${b.toString(16)}`);
+    }
+  };
+
+  return dec();
+}
+
+// ---------- Base64 (btoa/atob: browsers and Node 16+) ----------
+function toBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function fromBase64(text) {
+  const bin = atob(text);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+// ---------- Wire ----------
+/**
+ * Encode a patch for the wire.
+ * @param {Object} patch { updates }
+ * @param {Map<string, number>} index
+ * @param {{ format?: 'json'|'msgpack', binary?: boolean }} [opts] binary: bytes instead of base64 (WebSocket)
+ * @returns {Object|string|Uint8Array} compact object (json), base64 string or bytes (msgpack)
+ */
+function encodePatch(patch, index, { format = 'json', binary = false } = {}) {
+  const compact = compactPatch(patch, index);
+  if (format !== 'msgpack') return compact;
+  const packed = msgpackEncode(compact);
+  return binary ? packed : toBase64(packed);
+}
+
+/**
+ * Decode a compact patch as received (SSE data string, parsed object or WebSocket binary).
+ * @param {Object|string|Uint8Array|ArrayBuffer} data
+ * @param {string[]} tags /hmi-structure `tags` of the same rev
+ * @param {{ format?: 'json'|'msgpack' }} [opts]
+ * @returns {{ updates: Array<{tagId: string, value: any, ts: number, quality: string}> }}
+ */
+function decodePatch(data, tags, { format = 'json' } = {}) {
+  let compact = data;
+  if (format === 'msgpack') {
+    compact = msgpackDecode(typeof data === 'string' ? fromBase64(data) : data);
+  } else if (typeof data === 'string') {
+    compact = JSON.parse(data);
+  }
+  return expandPatch(compact, tags);
+}
+
+module.exports = {
+  FORMATS,
+  QUALITIES,
+  createIndex,
+  compactPatch,
+  expandPatch,
+  encodePatch,
+  decodePatch,
+  msgpackEncode,
+  msgpackDecode
+};
@@ -0,0 +1,212 @@
+/*****************************************************************************
+ * Server identity and internal JWT keys (ServerConnect signs, hmi-live verifies)
+ * - Secret from INTERNAL_JWT_SECRET (+ INTERNAL_JWT_KID), else from the key file
+ *   INTERNAL_JWT_KEYS_FILE (default shared/keys/internal-jwt.json), generated on first run
+ * - Rotation (`node shared/identity.js rotate`) keeps the old key verifiable for
+ *   INTERNAL_JWT_GRACE_MS (default 10 min); tokens name their key in the `kid` header
+ * - The server id (audience) is stored in the key file too, so both servers agree on it
+ * - The MAC-derived key is used only with INTERNAL_JWT_LEGACY=1; otherwise an unusable key
+ *   file is an error, reported at startup by checkInternalKeys()
+ * No dependencies: both servers require it; JWT signing stays with their own jsonwebtoken.
+ ****************************************************************************/
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const LEGACY_KID = 'legacy-mac';
+const LEGACY_PEPPER = 'iir-minimal-local-shared-key-v1';
+
+// Read lazily: ServerConnect loads .env after its requires
+const env = {
+  secret: () => process.env.INTERNAL_JWT_SECRET || null,
+  kid: () => process.env.INTERNAL_JWT_KID || null,
+  previousSecret: () => process.env.INTERNAL_JWT_PREVIOUS_SECRET || null,
+  previousKid: () => process.env.INTERNAL_JWT_PREVIOUS_KID || null,
+  file: () => path.resolve(process.env.INTERNAL_JWT_KEYS_FILE || path.join(__dirname, 'keys', 'internal-jwt.json')),
+  graceMs: () => Number(process.env.INTERNAL_JWT_GRACE_MS || 10 * 60 * 1000),
+  legacy: () => process.env.INTERNAL_JWT_LEGACY === '1'
+};
+
+// ---------- Server identity ----------
+/** First non-internal MAC (lowercased) or null. */
+function getPrimaryMac() {
+  const ifaces = os.networkInterfaces();
+  for (const name of Object.keys(ifaces)) {
+    for (const iface of ifaces[name] || []) {
+      if (!iface.internal && iface.mac && iface.mac !== '00:00:00:00:00:00') {
+        return iface.mac.toLowerCase();
+      }
+    }
+  }
+  return null;
+}
+
+/** Machine id from MAC, then hostname. Differs per process when interfaces change order. */
+function machineId() {
+  return getPrimaryMac() || os.hostname() || 'unknown-server';
+}
+
+/** Server id for token audiences: SERVER_ID, else the key file's, else the machine id.
+ * @returns {string}
+ */
+function getServerId() {
+  if (process.env.SERVER_ID) return process.env.SERVER_ID;
+  const keys = !env.secret() && !env.legacy() ? readKeyFile() : null;
+  return (keys && keys.serverId) || machineId();
+}
+
+/** Legacy 32-byte key: SHA-256 of the machine id + a fixed pepper. Anyone knowing the MAC can derive it.
+ * @returns {Buffer}
+ */
+function deriveSharedSecret() {
+  return crypto.createHash('sha256').update(`${machineId()}:${LEGACY_PEPPER}`).digest();
+}
+
+// ---------- Key file ----------
+const newKey = () => ({
+  kid: `k${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex')}`,
+  secret: crypto.randomBytes(32).toString('base64'),
+  createdAt: Date.now()
+});
+
+let cached = null;            // { file, mtimeMs, keys }
+
+function writeKeyFile(file, keys, { exclusive = false } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  if (!exclusive) {
+    fs.renameSync(tmp, file);
+    return;
+  }
+  // Both servers may start together: only one creates the file (link fails with EEXIST),
+  // and the other never sees it half written
+  try {
+    fs.linkSync(tmp, file);
+  } finally {
+    fs.rmSync(tmp, { force: true });
+  }
+}
+
+/** Current key file content (re-read when it changes on disk); created on first use. Throws when unusable. */
+function readKeyFile() {
+  const file = env.file();
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (cached && cached.file === file && cached.mtimeMs === mtimeMs) return cached.keys;
+    const keys = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!keys.current || typeof keys.current.secret !== 'string' || !keys.current.kid) throw new Error('missing current key');
+    cached = { file, mtimeMs, keys };
+    return keys;
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      try {
+        writeKeyFile(file, { serverId: machineId(), current: newKey(), previous: [] }, { exclusive: true });
+      } catch (w) {
+        if (w.code !== 'EEXIST') throw unusable(`cannot create ${file}: ${w.message}`);
+      }
+      return readKeyFile();
+    }
+    throw unusable(`${file} unusable: ${e.message}`);
+  }
+}
+
+const unusable = (reason) => new Error(
+  `[identity] no internal JWT key: ${reason}. Fix or remove the file (it is recreated), set INTERNAL_JWT_SECRET, ` +
+  'or set INTERNAL_JWT_LEGACY=1 to use the legacy MAC-derived key'
+);
+
+// ---------- Keys for signing / verifying ----------
+/**
+ * Key to sign internal tokens with.
+ * @returns {{ kid: string, key: Buffer }}
+ */
+function getSigningKey() {
+  if (env.secret()) return { kid: env.kid() || 'env', key: Buffer.from(env.secret(), 'utf8') };
+  if (env.legacy()) return { kid: LEGACY_KID, key: deriveSharedSecret() };
+  const keys = readKeyFile();
+  return { kid: keys.current.kid, key: Buffer.from(keys.current.secret, 'base64') };
+}
+
+/**
+ * Keys a token may be signed with: the current one, previous ones still in their grace
+ * window and, when enabled, the legacy key. A token's `kid` selects one of them.
+ * @param {string} [kid] from the token header; without it every accepted key is tried
+ * @returns {Buffer[]}
+ */
+function getVerificationKeys(kid) {
+  const list = [];
+  if (env.secret()) {
+    list.push({ kid: env.kid() || 'env', key: Buffer.from(env.secret(), 'utf8') });
+    if (env.previousSecret()) list.push({ kid: env.previousKid() || 'env-previous', key: Buffer.from(env.previousSecret(), 'utf8') });
+  } else if (!env.legacy()) {
+    const keys = readKeyFile();
+    const now = Date.now();
+    list.push({ kid: keys.current.kid, key: Buffer.from(keys.current.secret, 'base64') });
+    for (const p of keys.previous || []) {
+      if (p.notAfter > now) list.push({ kid: p.kid, key: Buffer.from(p.secret, 'base64') });
+    }
+  }
+  if (env.legacy()) list.push({ kid: LEGACY_KID, key: deriveSharedSecret() });
+  return list.filter(k => kid == null || k.kid === kid).map(k => k.key);
+}
+
+/**
+ * Rotate the key file: a new current key; the old one is accepted for graceMs more.
+ * @param {{ graceMs?: number }} [opts]
+ * @returns {{ kid: string, previousKid: string, notAfter: number }}
+ */
+function rotateKeys({ graceMs = env.graceMs() } = {}) {
+  if (env.secret()) throw new Error('INTERNAL_JWT_SECRET is set: rotate it there (INTERNAL_JWT_PREVIOUS_SECRET keeps the old one valid)');
+  if (env.legacy()) throw new Error('INTERNAL_JWT_LEGACY=1 is set: the legacy key cannot be rotated');
+  const keys = readKeyFile();
+  const now = Date.now();
+  const retired = { ...keys.current, retiredAt: now, notAfter: now + graceMs };
+  const next = {
+    ...keys,
+    current: newKey(),
+    previous: [retired, ...(keys.previous || []).filter(p => p.notAfter > now)]
+  };
+  writeKeyFile(env.file(), next);
+  return { kid: next.current.kid, previousKid: retired.kid, notAfter: retired.notAfter };
+}
+
+/**
+ * Resolve the internal key once at startup, so a broken key file stops the server
+ * instead of failing its first internal token.
+ * @returns {{ source: 'env'|'file'|'legacy', kid: string }}
+ */
+function checkInternalKeys() {
+  if (env.legacy() && !env.secret()) {
+    console.warn('[identity] INTERNAL_JWT_LEGACY=1: using the legacy MAC-derived internal key (anyone knowing the MAC can derive it)');
+  }
+  const { kid } = getSigningKey();
+  return { source: env.secret() ? 'env' : env.legacy() ? 'legacy' : 'file', kid };
+}
+
+module.exports = {
+  LEGACY_KID,
+  getServerId,
+  deriveSharedSecret,
+  getSigningKey,
+  getVerificationKeys,
+  rotateKeys,
+  checkInternalKeys
+};
+
+// CLI: node shared/identity.js rotate [graceMs]
+if (require.main === module) {
+  const [cmd, grace] = process.argv.slice(2);
+  if (cmd !== 'rotate') {
+    console.error('usage: node shared/identity.js rotate [graceMs]');
+    process.exit(1);
+  }
+  try {
+    const r = rotateKeys(grace ? { graceMs: Number(grace) } : undefined);
+    console.log(`new key ${r.kid}; ${r.previousKid} accepted until ${new Date(r.notAfter).toISOString()}`);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}